@@ -0,0 +1,35 @@
+import RabbitMQClient from "../../shared/utils/rabbitmqClient.js";
+import { OutboxRelay } from "../../shared/utils/outbox.js";
+import supplierService from "../services/supplierService.js";
+import { EXCHANGES, QUEUES, ROUTING_KEYS } from "../../shared/events/eventTypes.js";
+
+// One connection per process, shared by the server and event publishers
+export const rabbitMQ = new RabbitMQClient();
+export const outboxRelay = new OutboxRelay(rabbitMQ);
+
+// Queues this service consumes; their dead letters are managed at /dead-letters
+export const CONSUMER_QUEUES = [QUEUES.PRODUCTS_SUPPLIER_EVENTS];
+
+export const setupRabbitMQ = async () => {
+    try {
+        await rabbitMQ.connect();
+        await rabbitMQ.createExchange(EXCHANGES.USERS, "topic");
+        await rabbitMQ.createExchange(EXCHANGES.PRODUCTS, "topic");
+        await rabbitMQ.createExchange(EXCHANGES.SUPPLIERS, "topic");
+
+        // Flag products whose supplier is deactivated
+        await rabbitMQ.subscribe(
+            EXCHANGES.SUPPLIERS,
+            QUEUES.PRODUCTS_SUPPLIER_EVENTS,
+            ROUTING_KEYS.ALL_SUPPLIERS,
+            (event) => supplierService.handleSupplierEvent(event),
+            { dedupe: true }
+        );
+        console.log("RabbitMQ connected");
+    } catch (error) {
+        console.error("RabbitMQ failed:", error.message);
+    }
+
+    // Runs even if the broker is down; recorded events go out once it is back
+    outboxRelay.start();
+};
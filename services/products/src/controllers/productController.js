@@ -1,5 +1,9 @@
+import mongoose from "mongoose";
 import logger from "../utils/logger.js";
 import Product from "../models/productModel.js";
+import supplierService from "../services/supplierService.js";
+import stockService from "../services/stockService.js";
+import eventPublisher from "../services/eventPublisher.js";
 import {
     createPaginationResponse,
     parseSortParams,
@@ -7,24 +11,64 @@ import {
     buildFilterQuery,
 } from "../utils/pagination.js";
 import {
+    AppError,
     NotFoundError,
     ConflictError,
     BadRequestError,
+    ServiceUnavailableError,
+    ERROR_CODES,
     asyncHandler,
 } from "../utils/errors.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+const tokenOf = (req) =>
+    req.cookies?.accessToken || req.headers.authorization?.replace("Bearer ", "");
+
+const SUPPLIERS_UNAVAILABLE_WARNING =
+    "Supplier not verified — suppliers service is down";
+
+/**
+ * Check that the supplier exists and is active. The product is still
+ * saved when the Suppliers service is down.
+ * @returns {boolean} whether the supplier could be verified
+ */
+async function verifySupplier(supplierId, req) {
+    const supplier = await supplierService.getSupplier(supplierId, tokenOf(req));
+
+    if (supplier?._isFallback) {
+        return false;
+    }
+    if (!supplier || !supplier.isActive) {
+        throw new BadRequestError("Supplier not found or inactive", "SUPPLIER_NOT_FOUND");
+    }
+    return true;
+}
+
+/**
+ * The product as carried by product.created, enough for consumers to
+ * keep their own copy. updatedAt lets them order later changes.
+ */
+const snapshotOf = (product) => ({
+    productId: product._id.toString(),
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    price: product.price,
+    supplierId: product.supplierId?.toString(),
+    lowStockThreshold: product.lowStockThreshold,
+    reorderPoint: product.reorderPoint,
+    criticalLevel: product.criticalLevel,
+    serialized: product.serialized,
+    isActive: product.isActive,
+    updatedAt: product.updatedAt.toISOString(),
+});
 
 // @desc    Create new product
 // @route   POST /api/v1/products
 // @access  Private (Admin, Manager)
 export const createProduct = asyncHandler(async (req, res) => {
-    const { name, description, category, price, sku, supplierId, lowStockThreshold } = req.body;
-
-    const existingProduct = await Product.findOne({ sku });
-    if (existingProduct) {
-        throw new ConflictError("Product with this SKU", "PRODUCT_ALREADY_EXISTS");
-    }
-
-    const product = await Product.create({
+    const {
         name,
         description,
         category,
@@ -32,7 +76,48 @@ export const createProduct = asyncHandler(async (req, res) => {
         sku,
         supplierId,
         lowStockThreshold,
-        createdBy: req.user.id,
+        reorderPoint,
+        criticalLevel,
+        serialized,
+    } = req.body;
+
+    const existingProduct = await Product.findOne({ sku });
+    if (existingProduct) {
+        throw new ConflictError("Product with this SKU", "PRODUCT_ALREADY_EXISTS");
+    }
+
+    const verified = await verifySupplier(supplierId, req);
+
+    // The product and its event are saved together
+    let product;
+    await mongoose.connection.transaction(async (session) => {
+        [product] = await Product.create(
+            [
+                {
+                    name,
+                    description,
+                    category,
+                    price,
+                    sku,
+                    supplierId,
+                    lowStockThreshold,
+                    reorderPoint,
+                    criticalLevel,
+                    serialized,
+                    createdBy: req.user.id,
+                },
+            ],
+            { session }
+        );
+        await eventPublisher.publish(
+            EVENTS.PRODUCT_CREATED,
+            {
+                ...snapshotOf(product),
+                createdBy: req.user.id,
+                timestamp: new Date().toISOString(),
+            },
+            { session }
+        );
     });
 
     logger.info(`Product created: ${product.sku} by user ${req.user.id}`);
@@ -41,6 +126,7 @@ export const createProduct = asyncHandler(async (req, res) => {
         success: true,
         message: "Product created successfully",
         data: product,
+        ...(!verified && { warning: SUPPLIERS_UNAVAILABLE_WARNING }),
     });
 });
 
@@ -51,7 +137,7 @@ export const getAllProducts = asyncHandler(async (req, res) => {
     const { page, limit, skip } = req.pagination;
 
     // Build filter query
-    const allowedFilters = ['category', 'sku', 'name', 'supplierId', 'isActive'];
+    const allowedFilters = ['category', 'sku', 'name', 'supplierId', 'isActive', 'supplierInactive'];
     const filter = buildFilterQuery(req.query, allowedFilters);
 
     // Role-based filtering
@@ -96,6 +182,27 @@ export const getProductById = asyncHandler(async (req, res) => {
     });
 });
 
+// @desc    Get several products by ID in one call
+// @route   POST /api/v1/products/batch
+// @access  Private (Admin, Manager, Services)
+export const getProductsByIds = asyncHandler(async (req, res) => {
+    const filter = { _id: { $in: req.body.ids } };
+
+    // Admins and other services also see inactive products
+    if (!req.serviceAuth && req.user.role !== "admin") {
+        filter.isActive = true;
+    }
+
+    const products = await Product.find(filter);
+    const found = new Set(products.map((product) => product._id.toString()));
+
+    res.json({
+        success: true,
+        data: products,
+        missing: req.body.ids.filter((id) => !found.has(id)),
+    });
+});
+
 // @desc    Update product
 // @route   PUT /api/v1/products/:id
 // @access  Private (Admin, Manager)
@@ -107,6 +214,9 @@ export const updateProduct = asyncHandler(async (req, res) => {
         "price",
         "supplierId",
         "lowStockThreshold",
+        "reorderPoint",
+        "criticalLevel",
+        "serialized",
     ];
 
     const updates = {};
@@ -120,27 +230,74 @@ export const updateProduct = asyncHandler(async (req, res) => {
         throw new BadRequestError("SKU cannot be modified", "INVALID_SKU");
     }
 
-    const product = await Product.findByIdAndUpdate(
-        req.params.id,
-        updates,
-        { new: true, runValidators: true }
-    );
+    let verified = true;
+    if (updates.supplierId) {
+        verified = await verifySupplier(updates.supplierId, req);
+        if (verified) {
+            updates.supplierInactive = false;
+        }
+    }
+
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
         throw new NotFoundError("Product", "PRODUCT_NOT_FOUND");
     }
 
+    // Fields set to the value they already had are not modified
+    const before = product.toObject();
+    product.set(updates);
+    const changed = product.directModifiedPaths();
+
+    await mongoose.connection.transaction(async (session) => {
+        await product.save({ session });
+        if (changed.length === 0) return;
+
+        const common = {
+            productId: product._id.toString(),
+            sku: product.sku,
+            updatedBy: req.user.id,
+            updatedAt: product.updatedAt.toISOString(),
+            timestamp: new Date().toISOString(),
+        };
+
+        await eventPublisher.publish(
+            EVENTS.PRODUCT_UPDATED,
+            {
+                ...common,
+                changes: Object.fromEntries(changed.map((key) => [key, product.get(key)])),
+                previous: Object.fromEntries(changed.map((key) => [key, before[key]])),
+            },
+            { session }
+        );
+        if (changed.includes("price")) {
+            await eventPublisher.publish(
+                EVENTS.PRODUCT_PRICE_CHANGED,
+                { ...common, oldPrice: before.price, newPrice: product.price },
+                { session }
+            );
+        }
+        if (changed.includes("category")) {
+            await eventPublisher.publish(
+                EVENTS.PRODUCT_CATEGORY_CHANGED,
+                { ...common, oldCategory: before.category, newCategory: product.category },
+                { session }
+            );
+        }
+    });
+
     logger.info(`Product updated: ${product.sku} by user ${req.user.id}`);
 
     res.json({
         success: true,
         message: "Product updated successfully",
         data: product,
+        ...(!verified && { warning: SUPPLIERS_UNAVAILABLE_WARNING }),
     });
 });
 
-// @desc    Delete product (soft delete)
-// @route   DELETE /api/v1/products/:id
+// @desc    Delete product (soft delete); refused while stock is on hand
+// @route   DELETE /api/v1/products/:id?force=true
 // @access  Private (Admin only)
 export const deleteProduct = asyncHandler(async (req, res) => {
     const product = await Product.findById(req.params.id);
@@ -149,9 +306,58 @@ export const deleteProduct = asyncHandler(async (req, res) => {
         throw new NotFoundError("Product", "PRODUCT_NOT_FOUND");
     }
 
-    await product.softDelete();
+    // Stock stops moving before the product is deleted: the Stock service
+    // checks on-hand and blocks movements in one transaction. force skips
+    // the stock check (the stock stays listed as held for a discontinued
+    // product) but still blocks movements.
+    const force = req.query.force === "true";
+    const discontinued = await stockService.discontinue(product, { force, token: tokenOf(req) });
 
-    logger.info(`Product soft-deleted: ${product.sku} by user ${req.user.id}`);
+    if (!discontinued && !force) {
+        throw new ServiceUnavailableError("Stock service");
+    }
+    if (discontinued && !discontinued.ok) {
+        throw new AppError(
+            discontinued.message,
+            discontinued.status,
+            discontinued.code || ERROR_CODES.PRODUCT_HAS_STOCK,
+            discontinued.details
+        );
+    }
+    if (!discontinued) {
+        logger.warn(
+            `[ProductController] deleteProduct: stock service down; ${product.sku} is blocked ` +
+            "in stock once product.deleted is delivered"
+        );
+    }
+
+    try {
+        await mongoose.connection.transaction(async (session) => {
+            await product.softDelete({ session });
+            await eventPublisher.publish(
+                EVENTS.PRODUCT_DELETED,
+                {
+                    productId: product._id.toString(),
+                    sku: product.sku,
+                    name: product.name,
+                    forced: force,
+                    deletedBy: req.user.id,
+                    updatedAt: product.updatedAt.toISOString(),
+                    timestamp: new Date().toISOString(),
+                },
+                { session }
+            );
+        });
+    } catch (error) {
+        if (discontinued?.created) {
+            await stockService.reinstate(product._id.toString(), tokenOf(req));
+        }
+        throw error;
+    }
+
+    logger.info(
+        `Product soft-deleted${force ? " (forced)" : ""}: ${product.sku} by user ${req.user.id}`
+    );
 
     res.json({
         success: true,
@@ -44,6 +44,28 @@ const productSchema = new mongoose.Schema(
             default: 10,
             min: [0, "Threshold cannot be negative"],
         },
+        // Available quantity at which to reorder; falls back to lowStockThreshold
+        reorderPoint: {
+            type: Number,
+            default: null,
+            min: [0, "Reorder point cannot be negative"],
+        },
+        // Available quantity at which stock is critical; none when null
+        criticalLevel: {
+            type: Number,
+            default: null,
+            min: [0, "Critical level cannot be negative"],
+        },
+        // Set while the product's supplier is deactivated
+        supplierInactive: {
+            type: Boolean,
+            default: false,
+        },
+        // Stock of serialized products is tracked unit by unit
+        serialized: {
+            type: Boolean,
+            default: false,
+        },
         isActive: {
             type: Boolean,
             default: true,
@@ -61,11 +83,12 @@ const productSchema = new mongoose.Schema(
 productSchema.index({ sku: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ supplierId: 1 });
 productSchema.index({ name: "text", description: "text" }); // Text search
 
-productSchema.methods.softDelete = async function () {
+productSchema.methods.softDelete = async function ({ session } = {}) {
     this.isActive = false;
-    return await this.save();
+    return await this.save({ session });
 };
 
 productSchema.statics.findActive = function () {
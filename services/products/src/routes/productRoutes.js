@@ -6,15 +6,31 @@ import {
     updateProduct,
     deleteProduct,
     searchProducts,
+    getProductsByIds,
 } from "../controllers/productController.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { optionalServiceAuth } from "../middlewares/serviceAuth.js";
 import { validateRequest } from "../middlewares/validationMiddleware.js";
-import { createProductSchema, updateProductSchema } from "../validations/productValidation.js";
+import {
+    createProductSchema,
+    updateProductSchema,
+    productBatchSchema,
+} from "../validations/productValidation.js";
 import { paginationMiddleware } from "../utils/pagination.js";
+import deadLetterRoutes from "./deadLetterRoutes.js";
+import outboxRoutes from "./outboxRoutes.js";
 
 const router = express.Router();
 
+// Trusted services may call with their service key instead of a user session
+const staffOrService = (req, res, next) => {
+    if (req.serviceAuth) {
+        return next();
+    }
+    authMiddleware(req, res, () => roleMiddleware("admin", "manager")(req, res, next));
+};
+
 router.get("/health", (req, res) => {
     res.json({
         status: "UP",
@@ -24,6 +40,10 @@ router.get("/health", (req, res) => {
     });
 });
 
+// Mounted before "/:id" so the paths are not taken for a product id
+router.use("/dead-letters", deadLetterRoutes);
+router.use("/outbox", outboxRoutes);
+
 router.get(
     "/search",
     authMiddleware,
@@ -40,6 +60,14 @@ router.post(
     createProduct
 );
 
+router.post(
+    "/batch",
+    optionalServiceAuth,
+    staffOrService,
+    validateRequest(productBatchSchema),
+    getProductsByIds
+);
+
 router.get(
     "/",
     authMiddleware,
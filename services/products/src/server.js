@@ -10,8 +10,7 @@ import productRoutes from "./routes/productRoutes.js";
 import { errorHandler } from "./middlewares/errorMiddleware.js";
 
 import ConsulClient from "../shared/utils/consulClient.js";
-import RabbitMQClient from "../shared/utils/rabbitmqClient.js";
-import { EXCHANGES } from "../shared/events/eventTypes.js";
+import { rabbitMQ, setupRabbitMQ } from "./config/rabbitmq.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -66,18 +65,6 @@ app.get("/", (req, res) => {
 // Error Handler
 app.use(errorHandler);
 
-// RabbitMQ Setup
-const rabbitMQ = new RabbitMQClient();
-async function setupRabbitMQ() {
-    try {
-        await rabbitMQ.connect();
-        await rabbitMQ.createExchange(EXCHANGES.USERS, "topic");
-        console.log("RabbitMQ connected");
-    } catch (error) {
-        console.error("RabbitMQ failed:", error.message);
-    }
-}
-
 // Start Server
 const PORT = process.env.PORT || 5002;
 connectDB()
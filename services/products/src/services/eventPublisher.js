@@ -0,0 +1,30 @@
+/**
+ * Event Publisher
+ * Records domain events from the Products service in the outbox. Pass the
+ * session of the transaction making the change; the outbox relay started
+ * in config/rabbitmq.js publishes them once it commits.
+ *
+ * services/products/src/services/eventPublisher.js
+ */
+
+import { addToOutbox } from "../../shared/utils/outbox.js";
+import { createEvent } from "../../shared/events/eventTypes.js";
+import { eventRegistry } from "../../shared/events/eventSchemas.js";
+
+const eventPublisher = {
+    /**
+     * @param {string} eventType  e.g. EVENTS.PRODUCT_DELETED
+     * @param {object} data       payload in the latest version of its schema
+     * @param {{ session?: import("mongoose").ClientSession }} options
+     * @returns {object} the recorded event
+     * @throws {EventValidationError} if the payload does not match
+     */
+    async publish(eventType, data, { session } = {}) {
+        const version = eventRegistry.assertValid(eventType, data);
+        const event = createEvent(eventType, data, { version });
+        await addToOutbox(event, { session });
+        return event;
+    },
+};
+
+export default eventPublisher;
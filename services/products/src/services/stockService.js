@@ -0,0 +1,100 @@
+/**
+ * Stock Service
+ * Calls to the Stock service through a circuit breaker.
+ *
+ * services/products/src/services/stockService.js
+ */
+
+import logger from "../utils/logger.js";
+import { getCircuitBreaker } from "../../shared/utils/circuitBreaker.js";
+
+const STOCK_SERVICE_URL = process.env.STOCK_SERVICE_URL || "http://localhost:5003";
+
+// A rejected request (4xx) is an answer, not an outage: it must neither
+// trip the breaker nor be replaced by the fallback
+const isClientError = (error) =>
+    error.response?.status >= 400 && error.response.status < 500;
+
+// Defined once at module level so the breaker state persists across requests
+export const stockBreaker = getCircuitBreaker(
+    "stock-service",
+    {
+        timeout: 5000,
+        errorThresholdPercentage: 50,
+        resetTimeout: 30000,
+        volumeThreshold: 3,
+        errorFilter: isClientError,
+    },
+    // Fallback: callers treat the stock as unknown
+    () => ({ _isFallback: true })
+);
+
+const stockService = {
+    /**
+     * Have the Stock service block movements of a product about to be
+     * deleted. Without force it refuses while the product holds stock;
+     * the check and the block are one transaction there.
+     * @returns {{ ok: true, created: boolean }
+     *         | { ok: false, status, code, message, details } | null}
+     *          created false when the product was already discontinued;
+     *          null when the Stock service is unavailable
+     */
+    async discontinue(product, { force = false, token } = {}) {
+        const productId = product._id.toString();
+        let data;
+        try {
+            data = await stockBreaker.execute({
+                method: "POST",
+                url: `${STOCK_SERVICE_URL}/api/stock/discontinued/${productId}`,
+                params: force ? { force: true } : {},
+                data: { sku: product.sku, name: product.name },
+                headers: {
+                    Cookie: `accessToken=${token}`,
+                },
+                timeout: 5000,
+            });
+        } catch (error) {
+            if (!isClientError(error)) throw error;
+            const { error: body } = error.response.data || {};
+            return {
+                ok: false,
+                status: error.response.status,
+                code: body?.code,
+                message: body?.message || "Stock service refused to discontinue the product",
+                details: body?.details || null,
+            };
+        }
+
+        if (!data || data._isFallback) {
+            logger.warn(`[StockService] could not discontinue product ${productId}`);
+            return null;
+        }
+
+        return { ok: true, created: data.created };
+    },
+
+    /**
+     * Undo discontinue() when the product could not be deleted after all.
+     * Best effort: a failure is logged, not thrown.
+     */
+    async reinstate(productId, token) {
+        try {
+            const data = await stockBreaker.execute({
+                method: "DELETE",
+                url: `${STOCK_SERVICE_URL}/api/stock/discontinued/${productId}`,
+                headers: {
+                    Cookie: `accessToken=${token}`,
+                },
+                timeout: 5000,
+            });
+            if (data && !data._isFallback) return true;
+        } catch (error) {
+            logger.error(`[StockService] reinstate of product ${productId} failed: ${error.message}`);
+            return false;
+        }
+        logger.error(`[StockService] product ${productId} left discontinued in the Stock service`);
+        return false;
+    },
+};
+
+export default stockService;
@@ -0,0 +1,96 @@
+/**
+ * Supplier Service
+ * Supplier lookups against the Suppliers service through a circuit
+ * breaker, and the handling of supplier events.
+ *
+ * services/products/src/services/supplierService.js
+ */
+
+import Product from "../models/productModel.js";
+import logger from "../utils/logger.js";
+import { getCircuitBreaker } from "../../shared/utils/circuitBreaker.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+const SUPPLIERS_SERVICE_URL =
+    process.env.SUPPLIERS_SERVICE_URL || "http://localhost:5004";
+
+// A 404 means the supplier does not exist, not that the service is down:
+// it must neither trip the breaker nor be replaced by the fallback
+const isClientError = (error) =>
+    error.response?.status >= 400 && error.response.status < 500;
+
+// Defined once at module level so the breaker state persists across requests
+export const suppliersBreaker = getCircuitBreaker(
+    "suppliers-service",
+    {
+        timeout: 5000,
+        errorThresholdPercentage: 50,
+        resetTimeout: 30000,
+        volumeThreshold: 3,
+        errorFilter: isClientError,
+    },
+    // Fallback: callers treat the supplier as unverified
+    () => ({ _isFallback: true })
+);
+
+const supplierService = {
+    /**
+     * Fetch a supplier from the Suppliers service.
+     * @returns {object|null} the supplier; null when it does not exist;
+     *          { _isFallback: true } when the service is unavailable
+     */
+    async getSupplier(supplierId, token) {
+        if (!/^[0-9a-f]{24}$/i.test(supplierId)) {
+            return null;
+        }
+
+        try {
+            const data = await suppliersBreaker.execute({
+                method: "GET",
+                url: `${SUPPLIERS_SERVICE_URL}/api/suppliers/${supplierId}`,
+                headers: {
+                    Cookie: `accessToken=${token}`,
+                },
+                timeout: 5000,
+            });
+
+            if (data?._isFallback) {
+                logger.warn(`[SupplierService] supplier ${supplierId} not verified — service unavailable`);
+                return data;
+            }
+            return data?.supplier || null;
+        } catch (error) {
+            if (isClientError(error)) {
+                return null;
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Flag or unflag the products of a supplier when it is deactivated
+     * or activated again.
+     */
+    async handleSupplierEvent(event) {
+        const inactive = {
+            [EVENTS.SUPPLIER_DEACTIVATED]: true,
+            [EVENTS.SUPPLIER_ACTIVATED]: false,
+        }[event.eventType];
+        if (inactive === undefined) {
+            return;
+        }
+
+        const { supplierId } = event.data;
+        const result = await Product.updateMany(
+            { supplierId, supplierInactive: !inactive },
+            { $set: { supplierInactive: inactive } }
+        );
+
+        logger.info(
+            `[SupplierService] ${event.eventType}: ${result.modifiedCount} product(s) of ` +
+            `supplier ${supplierId} ${inactive ? "flagged" : "unflagged"}`
+        );
+    },
+};
+
+export default supplierService;
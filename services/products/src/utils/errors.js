@@ -16,6 +16,7 @@ export const ERROR_CODES = {
     PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
     PRODUCT_ALREADY_EXISTS: 'PRODUCT_ALREADY_EXISTS',
     INVALID_SKU: 'INVALID_SKU',
+    PRODUCT_HAS_STOCK: 'PRODUCT_HAS_STOCK',
 
     // Stock errors
     INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
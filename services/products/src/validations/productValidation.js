@@ -56,6 +56,32 @@ export const createProductSchema = Joi.object({
         .messages({
             "number.min": "Low stock threshold cannot be negative",
         }),
+
+    reorderPoint: Joi.number()
+        .integer()
+        .min(0)
+        .allow(null)
+        .messages({
+            "number.base": "Reorder point must be a number",
+            "number.min": "Reorder point cannot be negative",
+        }),
+
+    criticalLevel: Joi.number()
+        .integer()
+        .min(0)
+        .max(Joi.ref("lowStockThreshold"))
+        .allow(null)
+        .messages({
+            "number.base": "Critical level must be a number",
+            "number.min": "Critical level cannot be negative",
+            "number.max": "Critical level cannot exceed the low stock threshold",
+        }),
+
+    serialized: Joi.boolean()
+        .default(false)
+        .messages({
+            "boolean.base": "Serialized must be true or false",
+        }),
 });
 
 export const updateProductSchema = Joi.object({
@@ -67,4 +93,23 @@ export const updateProductSchema = Joi.object({
     price: Joi.number().min(0).optional(),
     supplierId: Joi.string().optional(),
     lowStockThreshold: Joi.number().min(0).optional(),
-}).min(1); 
\ No newline at end of file
+    reorderPoint: Joi.number().integer().min(0).allow(null).optional(),
+    criticalLevel: Joi.number().integer().min(0).allow(null).optional(),
+    serialized: Joi.boolean().optional(),
+}).min(1); 
+
+export const productBatchSchema = Joi.object({
+    ids: Joi.array()
+        .items(Joi.string().hex().length(24))
+        .min(1)
+        .max(500)
+        .unique()
+        .required()
+        .messages({
+            "array.min": "At least one product ID is required",
+            "array.max": "Cannot look up more than 500 products at once",
+            "string.hex": "Product IDs must be valid IDs",
+            "string.length": "Product IDs must be valid IDs",
+            "any.required": "Product IDs are required",
+        }),
+});
@@ -0,0 +1,347 @@
+/**
+ * Versioned Event Schemas
+ * Joi schema of every event type per payload version, and upcasters that
+ * turn an older payload into the next version. Publishers validate against
+ * the latest version; consumers upcast what they receive (by
+ * metadata.version) and validate it before handling it.
+ *
+ * Place in: services/shared/events/eventSchemas.js
+ */
+
+import Joi from 'joi';
+import { EVENTS } from './eventTypes.js';
+
+// Events without metadata.version predate versioning
+export const DEFAULT_EVENT_VERSION = '1.0';
+
+// =========================================================================
+// ERRORS
+// =========================================================================
+
+/**
+ * Payload that does not match its schema. Marked permanent: retrying the
+ * same message cannot succeed, so consumers dead-letter it straight away.
+ */
+export class EventValidationError extends Error {
+    constructor(eventType, version, message) {
+        super(`Invalid ${eventType}${version ? ` v${version}` : ''} payload: ${message}`);
+        this.name = 'EventValidationError';
+        this.eventType = eventType;
+        this.version = version;
+        this.permanent = true;
+    }
+}
+
+// =========================================================================
+// REGISTRY
+// =========================================================================
+
+function compareVersions(a, b) {
+    const [aMajor, aMinor = 0] = a.split('.').map(Number);
+    const [bMajor, bMinor = 0] = b.split('.').map(Number);
+    return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * An empty registry. The services share `eventRegistry` below; tests can
+ * build their own with only the schemas they need.
+ * @param {{ strict?: boolean }} options  strict: event types without a
+ *        schema are invalid (default); otherwise they pass unchecked
+ */
+export function createEventRegistry({ strict = true } = {}) {
+    const schemas = new Map();      // eventType → Map(version → Joi schema)
+    const upcasters = new Map();    // `${eventType}@${version}` → { to, upcast }
+
+    return {
+        /**
+         * @param {string} eventType  e.g. EVENTS.PRODUCT_CREATED
+         * @param {string} version    e.g. '2.0'
+         * @param {Joi.ObjectSchema} schema
+         */
+        register(eventType, version, schema) {
+            if (!schemas.has(eventType)) {
+                schemas.set(eventType, new Map());
+            }
+            schemas.get(eventType).set(version, schema);
+            return this;
+        },
+
+        /**
+         * Register how a `from` payload becomes a `to` payload.
+         * @param {function} upcast  (data, event) => data
+         */
+        registerUpcaster(eventType, from, to, upcast) {
+            upcasters.set(`${eventType}@${from}`, { to, upcast });
+            return this;
+        },
+
+        /**
+         * Highest registered version of an event type, or null.
+         */
+        latestVersion(eventType) {
+            const versions = [...(schemas.get(eventType)?.keys() || [])];
+            return versions.sort(compareVersions).pop() ?? null;
+        },
+
+        /**
+         * @returns {{ value?: object, error?: string }}
+         */
+        validate(eventType, data, version = this.latestVersion(eventType)) {
+            const schema = schemas.get(eventType)?.get(version);
+            if (!schema) {
+                return strict
+                    ? { error: 'no schema registered' }
+                    : { value: data };
+            }
+
+            const { value, error } = schema.validate(data, { abortEarly: false });
+            return error
+                ? { error: error.details.map((detail) => detail.message).join(', ') }
+                : { value };
+        },
+
+        /**
+         * Validate a payload against the latest version (or `version`).
+         * @returns {string} the version it was validated against
+         * @throws {EventValidationError}
+         */
+        assertValid(eventType, data, version = this.latestVersion(eventType)) {
+            const { error } = this.validate(eventType, data, version);
+            if (error) {
+                throw new EventValidationError(eventType, version, error);
+            }
+            return version ?? DEFAULT_EVENT_VERSION;
+        },
+
+        /**
+         * The event with its payload upcast to the latest version.
+         * @throws {EventValidationError} when no upcaster leads there
+         */
+        upcast(event) {
+            const latest = this.latestVersion(event.eventType);
+            let version = event.metadata?.version || DEFAULT_EVENT_VERSION;
+            let data = event.data;
+
+            while (latest && version !== latest) {
+                const step = upcasters.get(`${event.eventType}@${version}`);
+                if (!step) {
+                    throw new EventValidationError(
+                        event.eventType,
+                        version,
+                        `no upcaster to v${latest}`
+                    );
+                }
+                data = step.upcast(data, event);
+                version = step.to;
+            }
+
+            return { ...event, data, metadata: { ...event.metadata, version } };
+        },
+
+        /**
+         * Upcast a received event and validate it.
+         * @throws {EventValidationError}
+         */
+        read(event) {
+            if (!event?.eventType) {
+                throw new EventValidationError('unknown', null, 'missing eventType');
+            }
+
+            const current = this.upcast(event);
+            this.assertValid(current.eventType, current.data, current.metadata.version);
+            return current;
+        },
+    };
+}
+
+// =========================================================================
+// SCHEMAS
+// =========================================================================
+
+const objectId = Joi.string().hex().length(24);
+const isoDate = Joi.string().isoDate();
+const userId = Joi.string();
+
+// ===== PRODUCT EVENTS =====
+
+const productCreatedV1 = Joi.object({
+    productId: objectId.required(),
+    sku: Joi.string().required(),
+    name: Joi.string().required(),
+    description: Joi.string().allow(''),
+    category: Joi.string().required(),
+    price: Joi.number().min(0).required(),
+    createdBy: userId.required(),
+    timestamp: isoDate.required(),
+}).unknown(true);
+
+// 2.0 carries the whole product and its version (updatedAt), so
+// consumers can keep a copy and order later changes
+const productCreatedV2 = productCreatedV1.keys({
+    supplierId: Joi.string(),
+    lowStockThreshold: Joi.number().min(0),
+    reorderPoint: Joi.number().min(0).allow(null),
+    criticalLevel: Joi.number().min(0).allow(null),
+    serialized: Joi.boolean(),
+    isActive: Joi.boolean(),
+    updatedAt: isoDate.required(),
+});
+
+const productUpdatedV1 = Joi.object({
+    productId: objectId.required(),
+    changes: Joi.object().min(1).required(),
+    updatedBy: userId.required(),
+    timestamp: isoDate.required(),
+}).unknown(true);
+
+const productUpdatedV2 = productUpdatedV1.keys({
+    sku: Joi.string().allow(null),
+    previous: Joi.object().required(),
+    updatedAt: isoDate.required(),
+});
+
+const productDeletedV1 = Joi.object({
+    productId: objectId.required(),
+    sku: Joi.string().required(),
+    name: Joi.string().required(),
+    forced: Joi.boolean().required(),
+    deletedBy: userId.required(),
+    timestamp: isoDate.required(),
+}).unknown(true);
+
+const productDeletedV2 = productDeletedV1.keys({
+    updatedAt: isoDate.required(),
+});
+
+const productChangeFields = {
+    productId: objectId.required(),
+    sku: Joi.string().required(),
+    updatedBy: userId.required(),
+    updatedAt: isoDate.required(),
+    timestamp: isoDate.required(),
+};
+
+const productPriceChangedV1 = Joi.object({
+    ...productChangeFields,
+    oldPrice: Joi.number().min(0).required(),
+    newPrice: Joi.number().min(0).required(),
+}).unknown(true);
+
+const productCategoryChangedV1 = Joi.object({
+    ...productChangeFields,
+    oldCategory: Joi.string().required(),
+    newCategory: Joi.string().required(),
+}).unknown(true);
+
+// ===== STOCK EVENTS =====
+
+// Shared by stock.low, stock.critical and stock.out
+const stockAlertV1 = Joi.object({
+    productId: Joi.string().required(),
+    sku: Joi.string().required(),
+    currentQuantity: Joi.number().required(),
+    minimumStock: Joi.number().required(),
+    location: Joi.string().required(),
+    severity: Joi.string().valid('low', 'critical', 'out').required(),
+    timestamp: isoDate.required(),
+}).unknown(true);
+
+// 2.0 alerts on available stock (on hand minus reserved)
+const stockAlertV2 = stockAlertV1.keys({
+    available: Joi.number().required(),
+    reserved: Joi.number().min(0).required(),
+    reorderPoint: Joi.number().min(0).allow(null),
+    criticalLevel: Joi.number().min(0).allow(null),
+});
+
+// ===== SUPPLIER EVENTS =====
+
+// Shared by supplier.deactivated and supplier.activated
+const supplierStatusV1 = Joi.object({
+    supplierId: objectId.required(),
+    name: Joi.string().required(),
+    dependentProductCount: Joi.number().integer().min(0).allow(null),
+    performedBy: userId.required(),
+    timestamp: isoDate.required(),
+}).unknown(true);
+
+// ===== ORDER EVENTS =====
+
+// Shared by all order.* events
+const orderV1 = Joi.object({
+    orderId: objectId.required(),
+    orderNumber: Joi.string().required(),
+    supplierId: objectId.required(),
+    status: Joi.string()
+        .valid('draft', 'sent', 'confirmed', 'partially_received', 'received', 'cancelled')
+        .required(),
+    lines: Joi.array()
+        .items(
+            Joi.object({
+                lineId: objectId.required(),
+                productId: Joi.string().required(),
+                quantity: Joi.number().integer().min(1).required(),
+                unitCost: Joi.number().min(0).allow(null),
+                receivedQuantity: Joi.number().integer().min(0).required(),
+            }).unknown(true)
+        )
+        .min(1)
+        .required(),
+    totalAmount: Joi.number().min(0).required(),
+    expectedDeliveryDate: isoDate,
+    performedBy: userId.required(),
+    timestamp: isoDate.required(),
+}).unknown(true);
+
+// =========================================================================
+// DEFAULT REGISTRY
+// =========================================================================
+
+// Payloads recorded before a field existed take it from the event itself
+const versionFromTimestamp = (data, event) => ({
+    ...data,
+    updatedAt: data.updatedAt ?? data.timestamp ?? event.timestamp,
+});
+
+export const eventRegistry = createEventRegistry()
+    .register(EVENTS.PRODUCT_CREATED, '1.0', productCreatedV1)
+    .register(EVENTS.PRODUCT_CREATED, '2.0', productCreatedV2)
+    .registerUpcaster(EVENTS.PRODUCT_CREATED, '1.0', '2.0', versionFromTimestamp)
+
+    .register(EVENTS.PRODUCT_UPDATED, '1.0', productUpdatedV1)
+    .register(EVENTS.PRODUCT_UPDATED, '2.0', productUpdatedV2)
+    .registerUpcaster(EVENTS.PRODUCT_UPDATED, '1.0', '2.0', (data, event) => ({
+        ...versionFromTimestamp(data, event),
+        previous: data.previous ?? {},
+    }))
+
+    .register(EVENTS.PRODUCT_DELETED, '1.0', productDeletedV1)
+    .register(EVENTS.PRODUCT_DELETED, '2.0', productDeletedV2)
+    .registerUpcaster(EVENTS.PRODUCT_DELETED, '1.0', '2.0', versionFromTimestamp)
+
+    .register(EVENTS.PRODUCT_PRICE_CHANGED, '1.0', productPriceChangedV1)
+    .register(EVENTS.PRODUCT_CATEGORY_CHANGED, '1.0', productCategoryChangedV1);
+
+for (const eventType of [EVENTS.STOCK_LOW, EVENTS.STOCK_CRITICAL, EVENTS.STOCK_OUT]) {
+    eventRegistry
+        .register(eventType, '1.0', stockAlertV1)
+        .register(eventType, '2.0', stockAlertV2)
+        .registerUpcaster(eventType, '1.0', '2.0', (data) => ({
+            ...data,
+            available: data.available ?? data.currentQuantity,
+            reserved: data.reserved ?? 0,
+        }));
+}
+
+for (const eventType of [EVENTS.SUPPLIER_DEACTIVATED, EVENTS.SUPPLIER_ACTIVATED]) {
+    eventRegistry.register(eventType, '1.0', supplierStatusV1);
+}
+
+for (const eventType of [
+    EVENTS.ORDER_CREATED,
+    EVENTS.ORDER_CONFIRMED,
+    EVENTS.ORDER_FULFILLED,
+    EVENTS.ORDER_CANCELLED,
+]) {
+    eventRegistry.register(eventType, '1.0', orderV1);
+}
@@ -107,6 +107,7 @@ export const QUEUES = {
 
     // Products Service Queues
     PRODUCTS_STOCK_EVENTS: 'products-service.stock-events',
+    PRODUCTS_SUPPLIER_EVENTS: 'products-service.supplier-events',
 
     // Users Service Queues (Future)
     USERS_AUDIT_EVENTS: 'users-service.audit-events',
@@ -117,68 +118,9 @@ export const QUEUES = {
 
 // =========================================================================
 // EVENT PAYLOAD SCHEMAS
-// Document expected structure for each event type
+// Versioned Joi schemas and upcasters live in eventSchemas.js
 // =========================================================================
 
-export const EVENT_SCHEMAS = {
-    PRODUCT_CREATED: {
-        productId: 'string (MongoDB ObjectId)',
-        sku: 'string (unique)',
-        name: 'string',
-        description: 'string (optional)',
-        category: 'string',
-        price: 'number',
-        createdBy: 'string (userId)',
-        timestamp: 'ISO 8601 string',
-    },
-
-    PRODUCT_UPDATED: {
-        productId: 'string',
-        changes: {
-            // Only include changed fields
-            name: 'string (optional)',
-            price: 'number (optional)',
-            category: 'string (optional)',
-            // ... etc
-        },
-        updatedBy: 'string (userId)',
-        timestamp: 'ISO 8601 string',
-    },
-
-    STOCK_LOW: {
-        productId: 'string',
-        sku: 'string',
-        currentQuantity: 'number',
-        minimumStock: 'number',
-        location: 'string',
-        severity: 'string (low|critical)',
-        timestamp: 'ISO 8601 string',
-    },
-
-    STOCK_MOVEMENT_IN: {
-        productId: 'string',
-        quantity: 'number',
-        fromLocation: 'string (optional)',
-        toLocation: 'string',
-        reason: 'string (purchase|transfer|return)',
-        supplierId: 'string (optional)',
-        reference: 'string (PO number, etc)',
-        performedBy: 'string (userId)',
-        timestamp: 'ISO 8601 string',
-    },
-
-    STOCK_MOVEMENT_OUT: {
-        productId: 'string',
-        quantity: 'number',
-        fromLocation: 'string',
-        toLocation: 'string (optional)',
-        reason: 'string (sale|transfer|damage|return)',
-        reference: 'string (order number, etc)',
-        performedBy: 'string (userId)',
-        timestamp: 'ISO 8601 string',
-    },
-};
-
 // =========================================================================
 // HELPER FUNCTIONS
 // =========================================================================
@@ -207,34 +149,6 @@ function generateEventId() {
     return `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
 }
 
-/**
- * Validate event payload against schema
- * @param {string} eventType
- * @param {object} data
- * @returns {boolean}
- */
-export function validateEvent(eventType, data) {
-    const schema = EVENT_SCHEMAS[eventType];
-    if (!schema) {
-        console.warn(`⚠️ No schema defined for event: ${eventType}`);
-        return true; // Allow events without schemas
-    }
-
-    // Basic validation - check required fields exist
-    const requiredFields = Object.keys(schema).filter(
-        key => !schema[key].includes('optional')
-    );
-
-    for (const field of requiredFields) {
-        if (!(field in data)) {
-            console.error(`❌ Event validation failed: Missing field '${field}' in ${eventType}`);
-            return false;
-        }
-    }
-
-    return true;
-}
-
 /**
  * Get exchange name for an event type
  */
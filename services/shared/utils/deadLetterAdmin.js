@@ -0,0 +1,154 @@
+/**
+ * Dead Letter Admin
+ * Express handlers to list, inspect, replay and purge the dead-lettered
+ * messages of a service's consumer queues. Each service mounts them on
+ * its own admin-only routes.
+ *
+ * Usage:
+ *   const deadLetters = createDeadLetterHandlers(rabbitMQ, [QUEUES.X]);
+ *   router.get("/dead-letters", auth, admin, deadLetters.listQueues);
+ *
+ * Place in: services/shared/utils/deadLetterAdmin.js
+ */
+
+import { deadLetterQueueName } from "./rabbitmqClient.js";
+
+/**
+ * @param {import("./rabbitmqClient.js").default} rabbitMQ
+ * @param {string[]} queues  consumer queues the service owns
+ */
+export function createDeadLetterHandlers(rabbitMQ, queues) {
+    // Responds and returns false when the request cannot be served
+    const check = (req, res) => {
+        if (req.params.queue && !queues.includes(req.params.queue)) {
+            res.status(404).json({
+                success: false,
+                message: `Unknown queue: ${req.params.queue}`,
+            });
+            return false;
+        }
+        if (!rabbitMQ.isConnected) {
+            res.status(503).json({
+                success: false,
+                message: "RabbitMQ unavailable",
+            });
+            return false;
+        }
+        return true;
+    };
+
+    return {
+        // GET /dead-letters
+        async listQueues(req, res, next) {
+            try {
+                if (!check(req, res)) return;
+
+                const stats = await Promise.all(
+                    queues.map(async (queue) => ({
+                        queue,
+                        deadLetterQueue: deadLetterQueueName(queue),
+                        messageCount: (await rabbitMQ.getDeadLetterStats(queue))?.messageCount ?? null,
+                    }))
+                );
+
+                res.json({
+                    success: true,
+                    queues: stats,
+                });
+            } catch (err) {
+                next(err);
+            }
+        },
+
+        // GET /dead-letters/:queue?limit=20
+        async listMessages(req, res, next) {
+            try {
+                if (!check(req, res)) return;
+
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+                const messages = await rabbitMQ.getDeadLetters(req.params.queue, { limit });
+
+                res.json({
+                    success: true,
+                    queue: req.params.queue,
+                    count: messages.length,
+                    messages,
+                });
+            } catch (err) {
+                next(err);
+            }
+        },
+
+        // GET /dead-letters/:queue/:messageId
+        async getMessage(req, res, next) {
+            try {
+                if (!check(req, res)) return;
+
+                const [message] = await rabbitMQ.getDeadLetters(req.params.queue, {
+                    messageId: req.params.messageId,
+                });
+                if (!message) {
+                    return res.status(404).json({
+                        success: false,
+                        message: "Dead-lettered message not found",
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message,
+                });
+            } catch (err) {
+                next(err);
+            }
+        },
+
+        // POST /dead-letters/:queue/replay  { messageId? }
+        async replayMessages(req, res, next) {
+            try {
+                if (!check(req, res)) return;
+
+                const messageId = req.body?.messageId;
+                const replayed = await rabbitMQ.replayDeadLetters(req.params.queue, { messageId });
+                if (messageId && replayed === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        message: "Dead-lettered message not found",
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: `${replayed} message(s) replayed`,
+                    replayed,
+                });
+            } catch (err) {
+                next(err);
+            }
+        },
+
+        // DELETE /dead-letters/:queue?messageId=
+        async purgeMessages(req, res, next) {
+            try {
+                if (!check(req, res)) return;
+
+                const messageId = req.query.messageId;
+                const purged = await rabbitMQ.purgeDeadLetters(req.params.queue, { messageId });
+                if (messageId && purged === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        message: "Dead-lettered message not found",
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: `${purged} message(s) purged`,
+                    purged,
+                });
+            } catch (err) {
+                next(err);
+            }
+        },
+    };
+}
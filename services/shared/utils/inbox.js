@@ -0,0 +1,158 @@
+/**
+ * Inbox (consumer deduplication)
+ * Records the eventId of every event a consumer queue has processed, so a
+ * redelivered event (after a crash, a nack or a relay retry) is skipped
+ * instead of applied twice. Records expire after a retention period,
+ * well beyond any realistic redelivery delay.
+ *
+ * A delivery claims the eventId (an insert on the unique index) before
+ * the handler runs, so two concurrent deliveries never both run it. The
+ * claim is released when the handler fails, so the retry runs it again;
+ * a claim left behind by a crashed consumer is taken over once its lease
+ * runs out. Handlers stay at-least-once at worst and never lose an event.
+ *
+ * Place in: services/shared/utils/inbox.js
+ */
+
+import mongoose from "mongoose";
+
+// Processed events are remembered this long
+const RETENTION_SECONDS = (parseInt(process.env.INBOX_RETENTION_DAYS) || 7) * 24 * 60 * 60;
+
+// A claim not completed within this time is taken to be abandoned
+const CLAIM_TIMEOUT_MS = parseInt(process.env.INBOX_CLAIM_TIMEOUT_MS) || 5 * 60 * 1000;
+
+export const INBOX_STATUS = {
+    PROCESSING: "processing",
+    PROCESSED: "processed",
+};
+
+// ─── Model ──────────────────────────────────────────────────────────────────
+const inboxSchema = new mongoose.Schema(
+    {
+        // Queue the event was consumed from; each consumer dedupes on its own
+        consumer: { type: String, required: true },
+        eventId: { type: String, required: true },
+        eventType: { type: String },
+        // Records written before claims existed have no status: processed
+        status: {
+            type: String,
+            enum: Object.values(INBOX_STATUS),
+            default: INBOX_STATUS.PROCESSED,
+        },
+        claimedUntil: { type: Date },
+        processedAt: { type: Date, default: Date.now },
+    },
+    {
+        collection: "inbox",
+    }
+);
+
+inboxSchema.index({ consumer: 1, eventId: 1 }, { unique: true });
+inboxSchema.index({ processedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+export const InboxRecord = mongoose.model("InboxRecord", inboxSchema);
+
+const inbox = {
+    /**
+     * Whether `consumer` has already processed the event.
+     */
+    async seen(consumer, eventId) {
+        return Boolean(
+            await InboxRecord.exists({ consumer, eventId, status: { $ne: INBOX_STATUS.PROCESSING } })
+        );
+    },
+
+    /**
+     * Claim the event for `consumer` before handling it.
+     * @returns {"claimed" | "processed" | "busy"} busy when another
+     *          delivery holds a live claim on it
+     */
+    async claim(consumer, event) {
+        const now = new Date();
+        const claimedUntil = new Date(now.getTime() + CLAIM_TIMEOUT_MS);
+
+        try {
+            await InboxRecord.create({
+                consumer,
+                eventId: event.eventId,
+                eventType: event.eventType,
+                status: INBOX_STATUS.PROCESSING,
+                claimedUntil,
+            });
+            return "claimed";
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+
+        // Take over a claim whose consumer died mid-way
+        const abandoned = await InboxRecord.findOneAndUpdate(
+            {
+                consumer,
+                eventId: event.eventId,
+                status: INBOX_STATUS.PROCESSING,
+                claimedUntil: { $lte: now },
+            },
+            { $set: { claimedUntil } }
+        );
+        if (abandoned) {
+            return "claimed";
+        }
+
+        const record = await InboxRecord.findOne({ consumer, eventId: event.eventId });
+        return record && record.status !== INBOX_STATUS.PROCESSING ? "processed" : "busy";
+    },
+
+    /**
+     * Mark a claimed event processed.
+     */
+    async complete(consumer, eventId) {
+        await InboxRecord.updateOne(
+            { consumer, eventId },
+            {
+                $set: { status: INBOX_STATUS.PROCESSED, processedAt: new Date() },
+                $unset: { claimedUntil: "" },
+            }
+        );
+    },
+
+    /**
+     * Drop a claim so the event is handled again when redelivered.
+     */
+    async release(consumer, eventId) {
+        await InboxRecord.deleteOne({ consumer, eventId, status: INBOX_STATUS.PROCESSING });
+    },
+
+    /**
+     * Run handler(event) unless `consumer` already processed the event.
+     * Events without an eventId are always processed.
+     * @returns {boolean} whether the handler ran
+     * @throws when another delivery is handling the event right now, so
+     *         this one is retried rather than acknowledged
+     */
+    async processOnce(consumer, event, handler) {
+        if (!event?.eventId) {
+            await handler(event);
+            return true;
+        }
+
+        const claim = await this.claim(consumer, event);
+        if (claim === "processed") {
+            return false;
+        }
+        if (claim === "busy") {
+            throw new Error(`Event ${event.eventId} is being processed by another ${consumer} delivery`);
+        }
+
+        try {
+            await handler(event);
+        } catch (error) {
+            await this.release(consumer, event.eventId);
+            throw error;
+        }
+        await this.complete(consumer, event.eventId);
+        return true;
+    },
+};
+
+export default inbox;
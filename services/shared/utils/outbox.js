@@ -0,0 +1,282 @@
+/**
+ * Transactional Outbox
+ * Events are written to the `outbox` collection in the same transaction
+ * as the domain change they describe, so a change is never saved without
+ * its event (or the other way round). A relay then publishes pending
+ * events to RabbitMQ, retrying with backoff until the broker confirms.
+ *
+ * Flow:
+ *   write → outbox (pending) → relay publishes → sent
+ *                                      ↘ retried with backoff → failed
+ *   failed → redriveFailed() (admin endpoint, see outboxAdmin.js) → pending
+ *
+ * Place in: services/shared/utils/outbox.js
+ */
+
+import mongoose from "mongoose";
+import logger from "./logger.js";
+import { getExchangeForEvent } from "../events/eventTypes.js";
+
+export const OUTBOX_STATUS = {
+    PENDING: "pending",
+    SENT: "sent",
+    FAILED: "failed",
+};
+
+// ─── Default Options ────────────────────────────────────────────────────────
+const DEFAULT_OPTIONS = {
+    pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000,
+    batchSize: 50,
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10,
+    lockTimeout: 30000,             // A claim held longer is taken over
+    maxBackoff: 5 * 60 * 1000,      // Retry at least every 5 minutes
+};
+
+// Sent events are kept this long, then removed by a TTL index
+const SENT_RETENTION_SECONDS =
+    (parseInt(process.env.OUTBOX_RETENTION_DAYS) || 7) * 24 * 60 * 60;
+
+// ─── Model ──────────────────────────────────────────────────────────────────
+const outboxSchema = new mongoose.Schema(
+    {
+        eventId: { type: String, required: true, unique: true },
+        eventType: { type: String, required: true },
+        exchange: { type: String, required: true },
+        routingKey: { type: String, required: true },
+        // The event exactly as it will be published
+        payload: { type: mongoose.Schema.Types.Mixed, required: true },
+        status: {
+            type: String,
+            enum: Object.values(OUTBOX_STATUS),
+            default: OUTBOX_STATUS.PENDING,
+        },
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: { type: Date, default: Date.now },
+        lockedUntil: { type: Date, default: null },
+        lastError: { type: String },
+        sentAt: { type: Date },
+    },
+    {
+        collection: "outbox",
+        timestamps: true,
+    }
+);
+
+outboxSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+export const OutboxMessage = mongoose.model("OutboxMessage", outboxSchema);
+
+/**
+ * Store events for publishing. Pass the session of the transaction that
+ * makes the domain change so both are committed together.
+ * @param {object|object[]} events  events built with createEvent()
+ * @param {{ session?: import("mongoose").ClientSession }} options
+ */
+export async function addToOutbox(events, { session } = {}) {
+    const list = Array.isArray(events) ? events : [events];
+
+    return OutboxMessage.create(
+        list.map((event) => ({
+            eventId: event.eventId,
+            eventType: event.eventType,
+            exchange: getExchangeForEvent(event.eventType),
+            routingKey: event.eventType,
+            payload: event,
+        })),
+        { session, ordered: true }
+    );
+}
+
+/**
+ * Put failed events back in line: pending, due now, with a fresh set of
+ * attempts. lastError is kept until the next attempt.
+ * @param {{ eventId?: string }} options  one event, else every failed one
+ * @returns {number} how many events were re-driven
+ */
+export async function redriveFailed({ eventId } = {}) {
+    const { modifiedCount } = await OutboxMessage.updateMany(
+        { status: OUTBOX_STATUS.FAILED, ...(eventId && { eventId }) },
+        {
+            $set: {
+                status: OUTBOX_STATUS.PENDING,
+                attempts: 0,
+                nextAttemptAt: new Date(),
+                lockedUntil: null,
+            },
+        }
+    );
+    if (modifiedCount > 0) {
+        logger.info(`[Outbox] ${modifiedCount} failed event(s) re-driven`);
+    }
+    return modifiedCount;
+}
+
+// ─── Relay ──────────────────────────────────────────────────────────────────
+/**
+ * Publishes pending outbox events. Each event is claimed before it is
+ * published, so several instances of a service can relay side by side.
+ *
+ * Usage:
+ *   const relay = new OutboxRelay(rabbitMQ);
+ *   relay.start();
+ */
+export class OutboxRelay {
+    /**
+     * @param {import("./rabbitmqClient.js").default} rabbitMQ
+     * @param {object} options  - Override DEFAULT_OPTIONS
+     */
+    constructor(rabbitMQ, options = {}) {
+        this.rabbitMQ = rabbitMQ;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.timer = null;
+        this.running = false;
+        this.lastReconnectAt = 0;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.flush().catch((error) => {
+                logger.error(`[Outbox] relay pass failed: ${error.message}`);
+            });
+        }, this.options.pollInterval);
+        this.timer.unref();
+        logger.info(`[Outbox] relay started (every ${this.options.pollInterval}ms)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Publish up to one batch of due events.
+     * @returns {number} how many events were sent
+     */
+    async flush() {
+        // Passes never overlap; a slow one simply delays the next
+        if (this.running || mongoose.connection.readyState !== 1) {
+            return 0;
+        }
+        this.running = true;
+
+        try {
+            if (!(await this.ensureConnected())) {
+                return 0;
+            }
+
+            let sent = 0;
+            for (let i = 0; i < this.options.batchSize; i++) {
+                const message = await this.claim();
+                if (!message) break;
+
+                if (await this.publish(message)) {
+                    sent++;
+                } else if (!this.rabbitMQ.isConnected) {
+                    // The broker went away; leave the rest for later
+                    break;
+                }
+            }
+            return sent;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Whether the broker is reachable. Once the client has given up
+     * reconnecting on its own, the relay keeps trying at the same pace.
+     */
+    async ensureConnected() {
+        const client = this.rabbitMQ;
+        if (client.isConnected) {
+            return true;
+        }
+        if (
+            client.reconnectAttempts < client.maxReconnectAttempts ||
+            Date.now() - this.lastReconnectAt < client.reconnectInterval
+        ) {
+            return false;
+        }
+
+        this.lastReconnectAt = Date.now();
+        try {
+            await client.connect();
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Take the oldest due event, or null when there is none.
+     */
+    claim() {
+        const now = new Date();
+
+        return OutboxMessage.findOneAndUpdate(
+            {
+                status: OUTBOX_STATUS.PENDING,
+                nextAttemptAt: { $lte: now },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + this.options.lockTimeout) } },
+            { sort: { nextAttemptAt: 1, createdAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Publish one claimed event and record the outcome.
+     * @returns {boolean} whether the broker accepted it
+     */
+    async publish(message) {
+        try {
+            await this.rabbitMQ.publishConfirmed(
+                message.exchange,
+                message.routingKey,
+                message.payload,
+                { messageId: message.eventId }
+            );
+        } catch (error) {
+            const attempts = message.attempts + 1;
+            const failed = attempts >= this.options.maxAttempts;
+            const backoff = Math.min(1000 * 2 ** attempts, this.options.maxBackoff);
+
+            await OutboxMessage.updateOne(
+                { _id: message._id },
+                {
+                    $set: {
+                        attempts,
+                        lastError: error.message,
+                        lockedUntil: null,
+                        nextAttemptAt: new Date(Date.now() + backoff),
+                        ...(failed && { status: OUTBOX_STATUS.FAILED }),
+                    },
+                }
+            );
+            logger.error(
+                `[Outbox] ${message.eventType} ${message.eventId} not published ` +
+                `(attempt ${attempts}/${this.options.maxAttempts}): ${error.message}`
+            );
+            if (failed) {
+                // Nothing retries it from here; an admin re-drives it
+                logger.error(
+                    `[Outbox] ${message.eventType} ${message.eventId} FAILED after ${attempts} ` +
+                    "attempts; re-drive it with POST <service>/outbox/redrive"
+                );
+            }
+            return false;
+        }
+
+        await OutboxMessage.updateOne(
+            { _id: message._id },
+            {
+                $set: { status: OUTBOX_STATUS.SENT, sentAt: new Date(), lockedUntil: null },
+                $inc: { attempts: 1 },
+            }
+        );
+        return true;
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Outbox Admin
+ * Express handlers to list the outbox events a service gave up on and
+ * to re-drive them. Each service mounts them on its own admin-only routes.
+ *
+ * Usage:
+ *   const outbox = createOutboxHandlers();
+ *   router.post("/outbox/redrive", auth, admin, outbox.redrive);
+ *
+ * Place in: services/shared/utils/outboxAdmin.js
+ */
+
+import { OutboxMessage, OUTBOX_STATUS, redriveFailed } from "./outbox.js";
+
+export function createOutboxHandlers() {
+    return {
+        // GET /outbox/failed?limit=20
+        async listFailed(req, res, next) {
+            try {
+                const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+                const filter = { status: OUTBOX_STATUS.FAILED };
+
+                const [events, total] = await Promise.all([
+                    OutboxMessage.find(filter)
+                        .select("eventId eventType exchange routingKey attempts lastError createdAt updatedAt")
+                        .sort({ createdAt: 1 })
+                        .limit(limit),
+                    OutboxMessage.countDocuments(filter),
+                ]);
+
+                res.json({
+                    success: true,
+                    total,
+                    count: events.length,
+                    events,
+                });
+            } catch (err) {
+                next(err);
+            }
+        },
+
+        // POST /outbox/redrive  { eventId? }
+        async redrive(req, res, next) {
+            try {
+                const eventId = req.body?.eventId;
+                const redriven = await redriveFailed({ eventId });
+                if (eventId && redriven === 0) {
+                    return res.status(404).json({
+                        success: false,
+                        message: "Failed outbox event not found",
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: `${redriven} event(s) re-driven`,
+                    redriven,
+                });
+            } catch (err) {
+                next(err);
+            }
+        },
+    };
+}
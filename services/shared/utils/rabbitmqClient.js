@@ -4,11 +4,55 @@
  */
 
 import amqp from 'amqplib';
+import inbox from './inbox.js';
+import { eventRegistry } from '../events/eventSchemas.js';
+
+// ─── Retry / Dead Letters ───────────────────────────────────────────────────
+// A failed message is republished through its queue's retry exchange into
+// a delay queue, which hands it back to the queue once the delay expires.
+// Delays double with each attempt; after the last attempt the message goes
+// to the queue's dead-letter queue (<queue>.dlq) until an admin replays or
+// purges it.
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.RABBITMQ_MAX_ATTEMPTS) || 5;
+const DEFAULT_RETRY_DELAY = parseInt(process.env.RABBITMQ_RETRY_DELAY_MS) || 1000;
+
+// Dead-letter scans look at no more messages than this
+const MAX_DEAD_LETTER_SCAN = 1000;
+
+export const retryExchangeName = (queueName) => `${queueName}.retry`;
+export const deadLetterExchangeName = (queueName) => `${queueName}.dlx`;
+export const deadLetterQueueName = (queueName) => `${queueName}.dlq`;
+
+/**
+ * Readable summary of a dead-lettered message.
+ */
+function describeDeadLetter(msg) {
+    const headers = msg.properties.headers || {};
+    let content;
+    try {
+        content = JSON.parse(msg.content.toString());
+    } catch (error) {
+        content = msg.content.toString();
+    }
+
+    return {
+        messageId: msg.properties.messageId || content?.eventId || null,
+        eventType: content?.eventType || null,
+        attempts: headers['x-attempts'] ?? null,
+        error: headers['x-last-error'] ?? null,
+        failedAt: headers['x-failed-at'] ?? null,
+        originalExchange: headers['x-original-exchange'] ?? null,
+        originalRoutingKey: headers['x-original-routing-key'] ?? null,
+        content,
+    };
+}
 
 class RabbitMQClient {
     constructor() {
         this.connection = null;
         this.channel = null;
+        this.confirmChannel = null;
+        this.confirmedExchanges = new Set();
         this.url = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
         this.isConnected = false;
         this.reconnectInterval = 5000; // 5 seconds
@@ -23,6 +67,7 @@ class RabbitMQClient {
         try {
             this.connection = await amqp.connect(this.url);
             this.channel = await this.connection.createChannel();
+            this.confirmChannel = null;
             this.isConnected = true;
             this.reconnectAttempts = 0;
 
@@ -138,6 +183,86 @@ class RabbitMQClient {
         return success;
     }
 
+    /**
+     * The shared confirm channel, opened on first use.
+     */
+    async getConfirmChannel() {
+        if (!this.connection) {
+            await this.connect();
+        }
+
+        if (!this.confirmChannel) {
+            const channel = await this.connection.createConfirmChannel();
+            channel.on('error', (err) => {
+                console.error('❌ [RabbitMQ] Confirm channel error:', err.message);
+            });
+            channel.on('close', () => {
+                if (this.confirmChannel === channel) {
+                    this.confirmChannel = null;
+                }
+            });
+            this.confirmChannel = channel;
+            this.confirmedExchanges = new Set();
+        }
+        return this.confirmChannel;
+    }
+
+    /**
+     * Publish raw content to an existing exchange and wait until the
+     * broker has accepted it. Rejects like publishConfirmed().
+     * @param {string} exchangeName
+     * @param {string} routingKey
+     * @param {Buffer} content
+     * @param {object} properties
+     */
+    async publishRawConfirmed(exchangeName, routingKey, content, properties) {
+        const channel = await this.getConfirmChannel();
+
+        await new Promise((resolve, reject) => {
+            channel.publish(
+                exchangeName,
+                routingKey,
+                content,
+                properties,
+                (err) => (err ? reject(err) : resolve())
+            );
+        });
+    }
+
+    /**
+     * Publish a message and wait until the broker has accepted it.
+     * Rejects when the broker refuses the message or the channel closes,
+     * so the caller can retry. The exchange is asserted (topic, durable)
+     * the first time it is used on the channel.
+     * @param {string} exchangeName
+     * @param {string} routingKey
+     * @param {object} message
+     * @param {object} options
+     */
+    async publishConfirmed(exchangeName, routingKey, message, options = {}) {
+        const channel = await this.getConfirmChannel();
+
+        if (!this.confirmedExchanges.has(exchangeName)) {
+            await channel.assertExchange(exchangeName, 'topic', { durable: true });
+            this.confirmedExchanges.add(exchangeName);
+        }
+
+        await this.publishRawConfirmed(
+            exchangeName,
+            routingKey,
+            Buffer.from(JSON.stringify(message)),
+            {
+                persistent: true,
+                timestamp: Date.now(),
+                contentType: 'application/json',
+                ...options,
+            }
+        );
+
+        console.log(`📤 [RabbitMQ] Published to ${exchangeName}/${routingKey} (confirmed)`);
+        return true;
+    }
+
     /**
      * Subscribe to messages from a queue
      * @param {string} exchangeName
@@ -145,6 +270,12 @@ class RabbitMQClient {
      * @param {string} routingKey - Can use wildcards: * (one word), # (zero or more words)
      * @param {function} callback - async (message, originalMsg) => {}
      * @param {object} options
+     * @param {boolean} options.dedupe - Skip events this queue already processed
+     *                                   (by eventId, see inbox.js)
+     * @param {object|false} options.retry - { maxAttempts, delay } for failed
+     *                                   messages; false to nack them instead
+     * @param {boolean} options.validate - Upcast and validate events against
+     *                                   eventSchemas.js (default true)
      */
     async subscribe(exchangeName, queueName, routingKey, callback, options = {}) {
         if (!this.channel) {
@@ -157,6 +288,17 @@ class RabbitMQClient {
             ...options.queueOptions,
         });
 
+        const retry = options.retry === false
+            ? null
+            : {
+                maxAttempts: DEFAULT_MAX_ATTEMPTS,
+                delay: DEFAULT_RETRY_DELAY,
+                ...options.retry,
+            };
+        if (retry) {
+            await this.setupRetryTopology(queueName, retry);
+        }
+
         // Bind queue to exchange with routing key
         await this.channel.bindQueue(queueName, exchangeName, routingKey);
 
@@ -169,15 +311,31 @@ class RabbitMQClient {
             async (msg) => {
                 if (msg) {
                     try {
-                        const content = JSON.parse(msg.content.toString());
+                        let content = JSON.parse(msg.content.toString());
+
+                        // Handlers always see the latest, valid payload version
+                        if (options.validate !== false) {
+                            content = eventRegistry.read(content);
+                        }
 
                         console.log(`📥 [RabbitMQ] Received from ${queueName}`);
                         if (process.env.LOG_LEVEL === 'debug') {
                             console.log('   Message:', JSON.stringify(content, null, 2));
                         }
 
-                        // Call the callback
-                        await callback(content, msg);
+                        // Call the callback, once per eventId when deduping
+                        if (options.dedupe) {
+                            const processed = await inbox.processOnce(
+                                queueName,
+                                content,
+                                (event) => callback(event, msg)
+                            );
+                            if (!processed) {
+                                console.log(`⏭️ [RabbitMQ] Skipped duplicate ${content.eventId} on ${queueName}`);
+                            }
+                        } else {
+                            await callback(content, msg);
+                        }
 
                         // Acknowledge message (remove from queue)
                         this.channel.ack(msg);
@@ -185,10 +343,14 @@ class RabbitMQClient {
                     } catch (error) {
                         console.error(`❌ [RabbitMQ] Error processing message from ${queueName}:`, error);
 
-                        // Negative acknowledgment
-                        // false, false = don't requeue (send to dead letter if configured)
-                        // false, true = requeue for retry
-                        this.channel.nack(msg, false, options.requeue !== false);
+                        if (retry) {
+                            await this.retryOrDeadLetter(queueName, msg, error, retry);
+                        } else {
+                            // Negative acknowledgment
+                            // false, false = don't requeue (dropped)
+                            // false, true = requeue for retry
+                            this.channel.nack(msg, false, options.requeue !== false);
+                        }
                     }
                 }
             },
@@ -202,6 +364,231 @@ class RabbitMQClient {
         console.log(`   - Routing Key: ${routingKey}`);
     }
 
+    /**
+     * Route another exchange into an existing queue, e.g. one consumer
+     * queue fed by several exchanges
+     * @param {string} queueName
+     * @param {string} exchangeName
+     * @param {string} routingKey
+     */
+    async bindQueue(queueName, exchangeName, routingKey) {
+        if (!this.channel) {
+            await this.connect();
+        }
+
+        await this.channel.bindQueue(queueName, exchangeName, routingKey);
+        console.log(`🔗 [RabbitMQ] Bound ${queueName} to ${exchangeName} (${routingKey})`);
+    }
+
+    /**
+     * Declare the retry exchange, one delay queue per backoff step and the
+     * dead-letter exchange and queue of a queue. Safe to call repeatedly.
+     * @param {string} queueName
+     * @param {{ maxAttempts: number, delay: number }} retry
+     */
+    async setupRetryTopology(queueName, retry = {}) {
+        if (!this.channel) {
+            await this.connect();
+        }
+
+        const { maxAttempts = DEFAULT_MAX_ATTEMPTS, delay = DEFAULT_RETRY_DELAY } = retry;
+
+        await this.channel.assertExchange(retryExchangeName(queueName), 'direct', { durable: true });
+        for (let attempt = 1; attempt < maxAttempts; attempt++) {
+            const wait = delay * 2 ** (attempt - 1);
+            const delayQueue = `${retryExchangeName(queueName)}.${wait}`;
+
+            // Expired messages go back to the queue through the default exchange
+            await this.channel.assertQueue(delayQueue, {
+                durable: true,
+                arguments: {
+                    'x-message-ttl': wait,
+                    'x-dead-letter-exchange': '',
+                    'x-dead-letter-routing-key': queueName,
+                },
+            });
+            await this.channel.bindQueue(delayQueue, retryExchangeName(queueName), String(wait));
+        }
+
+        await this.setupDeadLetterQueue(queueName);
+    }
+
+    /**
+     * Declare the dead-letter exchange and queue of a queue.
+     * @param {string} queueName
+     */
+    async setupDeadLetterQueue(queueName) {
+        if (!this.channel) {
+            await this.connect();
+        }
+
+        await this.channel.assertExchange(deadLetterExchangeName(queueName), 'fanout', { durable: true });
+        await this.channel.assertQueue(deadLetterQueueName(queueName), { durable: true });
+        await this.channel.bindQueue(deadLetterQueueName(queueName), deadLetterExchangeName(queueName), '');
+    }
+
+    /**
+     * Number of dead-lettered messages of a queue.
+     * @param {string} queueName
+     */
+    async getDeadLetterStats(queueName) {
+        await this.setupDeadLetterQueue(queueName);
+        return this.getQueueStats(deadLetterQueueName(queueName));
+    }
+
+    /**
+     * Send a failed message to its next delay queue, or to the dead-letter
+     * queue once it has used all its attempts. The attempt count travels in
+     * the x-attempts header. The copy goes out on the confirm channel and
+     * the original is acked only once the broker has it, so a message is
+     * never lost between the two (at worst retried twice). Requeues the
+     * message if the copy cannot be published.
+     */
+    async retryOrDeadLetter(queueName, msg, error, { maxAttempts, delay }) {
+        const headers = msg.properties.headers || {};
+        const attempts = (headers['x-attempts'] || 0) + 1;
+        // Unreadable or invalid messages would fail again; skip the retries
+        const permanent = error.permanent === true || error instanceof SyntaxError;
+        const properties = {
+            ...msg.properties,
+            persistent: true,
+            headers: {
+                ...headers,
+                'x-attempts': attempts,
+                'x-last-error': error.message,
+                // Retries come back through the default exchange; keep the first route
+                'x-original-exchange': headers['x-original-exchange'] ?? msg.fields.exchange,
+                'x-original-routing-key': headers['x-original-routing-key'] ?? msg.fields.routingKey,
+            },
+        };
+
+        try {
+            if (attempts < maxAttempts && !permanent) {
+                const wait = delay * 2 ** (attempts - 1);
+                await this.publishRawConfirmed(retryExchangeName(queueName), String(wait), msg.content, properties);
+                console.warn(`🔁 [RabbitMQ] Retrying message from ${queueName} in ${wait}ms (attempt ${attempts}/${maxAttempts})`);
+            } else {
+                properties.headers['x-failed-at'] = new Date().toISOString();
+                await this.publishRawConfirmed(deadLetterExchangeName(queueName), '', msg.content, properties);
+                console.error(`☠️ [RabbitMQ] Message from ${queueName} dead-lettered after ${attempts} attempt(s)`);
+            }
+            this.channel.ack(msg);
+        } catch (publishError) {
+            console.error(`❌ [RabbitMQ] Could not retry message from ${queueName}:`, publishError.message);
+            this.channel.nack(msg, false, true);
+        }
+    }
+
+    /**
+     * Run fn(channel) on a channel of its own, closed afterwards. Messages
+     * fetched and not acknowledged on it go back to their queue on close.
+     */
+    async withAdminChannel(fn) {
+        if (!this.connection) {
+            await this.connect();
+        }
+
+        const channel = await this.connection.createChannel();
+        channel.on('error', (err) => {
+            console.error('❌ [RabbitMQ] Admin channel error:', err.message);
+        });
+        try {
+            return await fn(channel);
+        } finally {
+            await channel.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Fetch dead-lettered messages of a queue, oldest first, and run
+     * visit(message, summary) on each; visit returns true to remove it.
+     * Messages not removed stay in the dead-letter queue.
+     */
+    async scanDeadLetters(queueName, visit, { limit = MAX_DEAD_LETTER_SCAN } = {}) {
+        await this.setupDeadLetterQueue(queueName);
+
+        return this.withAdminChannel(async (channel) => {
+            const { messageCount } = await channel.checkQueue(deadLetterQueueName(queueName));
+            const max = Math.min(messageCount, limit, MAX_DEAD_LETTER_SCAN);
+
+            for (let i = 0; i < max; i++) {
+                const msg = await channel.get(deadLetterQueueName(queueName), { noAck: false });
+                if (!msg) break;
+
+                if (await visit(msg, describeDeadLetter(msg), channel)) {
+                    channel.ack(msg);
+                }
+            }
+        });
+    }
+
+    /**
+     * Dead-lettered messages of a queue, without removing them.
+     * @param {string} queueName
+     * @param {{ limit?: number, messageId?: string }} options
+     */
+    async getDeadLetters(queueName, { limit = 20, messageId } = {}) {
+        const messages = [];
+        await this.scanDeadLetters(queueName, (msg, summary) => {
+            if (!messageId || summary.messageId === messageId) {
+                messages.push(summary);
+            }
+            return false;
+        }, { limit: messageId ? MAX_DEAD_LETTER_SCAN : limit });
+        return messages;
+    }
+
+    /**
+     * Send dead-lettered messages back to their queue with a fresh attempt
+     * count: the one with messageId, or all of them.
+     * @returns {number} how many were replayed
+     */
+    async replayDeadLetters(queueName, { messageId } = {}) {
+        let replayed = 0;
+        await this.scanDeadLetters(queueName, (msg, summary, channel) => {
+            if (messageId && summary.messageId !== messageId) {
+                return false;
+            }
+
+            const {
+                'x-attempts': attempts,
+                'x-last-error': lastError,
+                'x-failed-at': failedAt,
+                ...headers
+            } = msg.properties.headers || {};
+            channel.sendToQueue(queueName, msg.content, {
+                ...msg.properties,
+                persistent: true,
+                headers: { ...headers, 'x-replayed-at': new Date().toISOString() },
+            });
+            replayed++;
+            return true;
+        });
+
+        console.log(`♻️ [RabbitMQ] Replayed ${replayed} dead-lettered message(s) to ${queueName}`);
+        return replayed;
+    }
+
+    /**
+     * Delete dead-lettered messages: the one with messageId, or all of them.
+     * @returns {number} how many were deleted
+     */
+    async purgeDeadLetters(queueName, { messageId } = {}) {
+        await this.setupDeadLetterQueue(queueName);
+
+        if (!messageId) {
+            return this.purgeQueue(deadLetterQueueName(queueName));
+        }
+
+        let purged = 0;
+        await this.scanDeadLetters(queueName, (msg, summary) => {
+            if (summary.messageId !== messageId) return false;
+            purged++;
+            return true;
+        });
+        return purged;
+    }
+
     /**
      * Send RPC request and wait for response
      * @param {string} queueName
@@ -321,6 +708,8 @@ class RabbitMQClient {
     /**
      * Purge all messages from a queue
      * @param {string} queueName
+     * @returns {number} how many messages were purged
+     * @throws when the broker refuses the purge (nothing was purged)
      */
     async purgeQueue(queueName) {
         if (!this.channel) {
@@ -333,7 +722,7 @@ class RabbitMQClient {
             return result.messageCount;
         } catch (error) {
             console.error(`❌ [RabbitMQ] Failed to purge ${queueName}:`, error.message);
-            return 0;
+            throw error;
         }
     }
 
@@ -0,0 +1,31 @@
+/**
+ * Replica Set Check
+ * Every write path runs in a MongoDB transaction, and transactions only
+ * work on a replica set (a single-node one is enough for development).
+ * Services call this right after connecting, so a standalone server is
+ * reported at startup instead of on the first write.
+ *
+ * Place in: services/shared/utils/replicaSet.js
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * @param {import("mongoose").Connection} connection  defaults to the
+ *        default mongoose connection
+ * @throws {Error} when the server is not a replica set member
+ */
+export async function assertReplicaSet(connection = mongoose.connection) {
+    const hello = await connection.db.admin().command({ hello: 1 });
+
+    // mongos routes transactions for sharded clusters
+    if (hello.setName || hello.msg === "isdbgrid") {
+        return hello.setName || "sharded";
+    }
+
+    throw new Error(
+        "MongoDB is not running as a replica set; transactions are unavailable. " +
+        "Start mongod with --replSet rs0, run rs.initiate() once and add " +
+        "?replicaSet=rs0 to MONGO_URI (see docker-compose.yml)."
+    );
+}
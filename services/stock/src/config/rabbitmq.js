@@ -0,0 +1,41 @@
+import RabbitMQClient from "../../shared/utils/rabbitmqClient.js";
+import { OutboxRelay } from "../../shared/utils/outbox.js";
+import productService from "../services/productService.js";
+import discontinuedProductService from "../services/discontinuedProductService.js";
+import { EVENTS, EXCHANGES, QUEUES, ROUTING_KEYS } from "../../shared/events/eventTypes.js";
+
+// One connection per process, shared by the server and event publishers
+export const rabbitMQ = new RabbitMQClient();
+export const outboxRelay = new OutboxRelay(rabbitMQ);
+
+// Queues this service consumes; their dead letters are managed at /dead-letters
+export const CONSUMER_QUEUES = [QUEUES.STOCK_PRODUCT_EVENTS];
+
+export const setupRabbitMQ = async () => {
+    try {
+        await rabbitMQ.connect();
+        await rabbitMQ.createExchange(EXCHANGES.STOCK, "topic");
+        await rabbitMQ.createExchange(EXCHANGES.PRODUCTS, "topic");
+
+        // Product events keep the product replica current; deleted
+        // products can no longer move stock
+        await rabbitMQ.subscribe(
+            EXCHANGES.PRODUCTS,
+            QUEUES.STOCK_PRODUCT_EVENTS,
+            ROUTING_KEYS.ALL_PRODUCTS,
+            async (event) => {
+                await productService.handleProductEvent(event);
+                if (event.eventType === EVENTS.PRODUCT_DELETED) {
+                    await discontinuedProductService.handleProductDeleted(event);
+                }
+            },
+            { dedupe: true }
+        );
+        console.log("RabbitMQ connected");
+    } catch (error) {
+        console.error("RabbitMQ failed:", error.message);
+    }
+
+    // Runs even if the broker is down; recorded events go out once it is back
+    outboxRelay.start();
+};
@@ -0,0 +1,235 @@
+/**
+ * Count Controller
+ * Physical inventory / cycle count sessions: open, count, review variance,
+ * approve into adjustment movements.
+ *
+ * services/stock/src/controllers/countController.js
+ */
+
+import mongoose from "mongoose";
+import StockCount from "../models/stockCountModel.js";
+import countService from "../services/countService.js";
+import locationService from "../services/locationService.js";
+import productService from "../services/productService.js";
+import stockAlertService from "../services/stockAlertService.js";
+import logger from "../utils/logger.js";
+import {
+    AppError,
+    NotFoundError,
+    BadRequestError,
+    ServiceUnavailableError,
+    ERROR_CODES,
+    asyncHandler,
+} from "../utils/errors.js";
+
+function assertCountId(id) {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new BadRequestError(`Invalid count id: ${id}`);
+    }
+}
+
+/**
+ * Products to count, from an explicit list or a whole category.
+ * Every listed product must exist; unknown ids are reported together.
+ */
+async function resolveProducts({ productIds, category }, token) {
+    if (category) {
+        const products = await productService.getProductsByCategory(category, token);
+        if (!products) {
+            throw new ServiceUnavailableError("Products service");
+        }
+        if (products.length === 0) {
+            throw new BadRequestError(`No active products in category ${category}`);
+        }
+        return products.map((product) => ({
+            productId: String(product._id),
+            name: product.name,
+            sku: product.sku,
+            serialized: product.serialized,
+        }));
+    }
+
+    const found = await Promise.all(
+        productIds.map(async (productId) => ({
+            productId,
+            product: await productService.getProductInfo(productId, token),
+        }))
+    );
+
+    const unknown = found.filter(({ product }) => !product).map(({ productId }) => productId);
+    if (unknown.length > 0) {
+        throw new AppError(
+            `Product(s) not found: ${unknown.join(", ")}`,
+            404,
+            ERROR_CODES.PRODUCT_NOT_FOUND,
+            { unknownProductIds: unknown }
+        );
+    }
+    if (found.some(({ product }) => product._isFallback)) {
+        throw new ServiceUnavailableError("Products service");
+    }
+
+    return Promise.all(
+        found.map(async ({ productId, product }) => ({
+            productId,
+            name: product.name,
+            sku: product.sku,
+            serialized: await productService.isSerialized(product, productId),
+        }))
+    );
+}
+
+// @desc    Open a stock count session
+// @route   POST /api/stock/counts
+// @access  Private (Admin, Manager)
+export const createCount = asyncHandler(async (req, res) => {
+    const { name, locationId, productIds, category, notes } = req.body;
+
+    const location = await locationService.resolve(locationId);
+    const products = await resolveProducts({ productIds, category }, req.cookies?.accessToken);
+
+    const count = await countService.open({
+        name,
+        location,
+        category,
+        notes,
+        products,
+        createdBy: req.user.id,
+    });
+
+    logger.info(
+        `Stock count opened: ${count._id} (${count.lines.length} products at ${location.code}) ` +
+        `by user ${req.user.id}`
+    );
+
+    res.status(201).json({
+        success: true,
+        message: "Stock count opened successfully",
+        count,
+    });
+});
+
+// @desc    List stock counts
+// @route   GET /api/stock/counts?status=&locationId=
+// @access  Private (Admin, Manager)
+export const getCounts = asyncHandler(async (req, res) => {
+    const { status, locationId, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (locationId) filter.locationId = (await locationService.resolve(locationId))._id;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [counts, total] = await Promise.all([
+        StockCount.find(filter)
+            .populate("locationId", "code name")
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip(skip),
+        StockCount.countDocuments(filter),
+    ]);
+
+    res.json({
+        success: true,
+        counts: counts.map((count) => {
+            const { lines, ...summary } = count.toJSON();
+            return summary;
+        }),
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit)),
+        },
+    });
+});
+
+// @desc    Get a stock count with expected, counted and variance per line
+// @route   GET /api/stock/counts/:id
+// @access  Private (Admin, Manager)
+export const getCountById = asyncHandler(async (req, res) => {
+    assertCountId(req.params.id);
+
+    const count = await StockCount.findById(req.params.id).populate("locationId", "code name");
+    if (!count) {
+        throw new NotFoundError("Stock count", ERROR_CODES.COUNT_NOT_FOUND);
+    }
+
+    res.json({
+        success: true,
+        count,
+    });
+});
+
+// @desc    Submit counted quantities
+// @route   POST /api/stock/counts/:id/counts
+// @access  Private (Admin, Manager)
+export const recordCounts = asyncHandler(async (req, res) => {
+    assertCountId(req.params.id);
+
+    const count = await countService.recordCounts(req.params.id, req.body.counts, req.user.id);
+
+    logger.info(
+        `Stock count ${count._id}: ${req.body.counts.length} line(s) counted by user ${req.user.id}`
+    );
+
+    res.json({
+        success: true,
+        message: "Counts recorded successfully",
+        count,
+    });
+});
+
+// @desc    Approve a stock count and post its variances as adjustments.
+//          Refused while lines are disputed, unless excludeDisputed is set:
+//          those lines are then left unposted and listed in the response.
+// @route   POST /api/stock/counts/:id/approve  { excludeDisputed? }
+// @access  Private (Admin)
+export const approveCount = asyncHandler(async (req, res) => {
+    assertCountId(req.params.id);
+
+    const { count, movements, excluded } = await countService.approve(req.params.id, req.user.id, {
+        excludeDisputed: req.body?.excludeDisputed === true,
+    });
+
+    logger.info(
+        `Stock count approved: ${count._id} (${movements.length} adjustment(s), ` +
+        `${excluded.length} disputed line(s) excluded) by user ${req.user.id}`
+    );
+    for (const movement of movements) {
+        stockAlertService.notify(movement.productId, { token: req.cookies?.accessToken });
+    }
+
+    res.json({
+        success: true,
+        message: "Stock count approved and adjustments posted",
+        count,
+        movements,
+        ...(excluded.length > 0 && {
+            excluded: excluded.map((line) => ({
+                productId: line.productId,
+                sku: line.sku,
+                counts: line.counts,
+            })),
+            warning: `${excluded.length} disputed line(s) were not posted`,
+        }),
+    });
+});
+
+// @desc    Cancel an open stock count
+// @route   POST /api/stock/counts/:id/cancel
+// @access  Private (Admin, Manager)
+export const cancelCount = asyncHandler(async (req, res) => {
+    assertCountId(req.params.id);
+
+    const count = await countService.cancel(req.params.id, req.user.id);
+
+    logger.info(`Stock count cancelled: ${count._id} by user ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: "Stock count cancelled",
+        count,
+    });
+});
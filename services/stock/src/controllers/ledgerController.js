@@ -0,0 +1,126 @@
+/**
+ * Ledger Controller
+ * Point-in-time stock from the movement ledger, snapshot checkpoints and
+ * the stock level consistency check.
+ *
+ * services/stock/src/controllers/ledgerController.js
+ */
+
+import StockSnapshot from "../models/stockSnapshotModel.js";
+import ledgerService, { SNAPSHOT_SETTLE_MS } from "../services/ledgerService.js";
+import locationService from "../services/locationService.js";
+import logger from "../utils/logger.js";
+import { parseAsOf } from "../utils/dates.js";
+import { BadRequestError, asyncHandler } from "../utils/errors.js";
+
+// @desc    Stock of every product at a point in time
+// @route   GET /api/stock/as-of?asOf=&productId=&locationId=
+// @access  Private (Admin, Manager)
+export const getStockAsOf = asyncHandler(async (req, res) => {
+    const asOf = parseAsOf(req.query.asOf);
+    const location = req.query.locationId
+        ? await locationService.resolve(req.query.locationId)
+        : null;
+
+    const { snapshot, levels } = await ledgerService.quantitiesAsOf(asOf, {
+        productId: req.query.productId,
+        locationId: location?._id,
+    });
+
+    const products = new Map();
+    for (const level of levels) {
+        const row = products.get(level.productId) || {
+            productId: level.productId,
+            quantity: 0,
+            locations: [],
+        };
+        row.quantity += level.quantity;
+        row.locations.push({ locationId: level.locationId, quantity: level.quantity });
+        products.set(level.productId, row);
+    }
+
+    const rows = [...products.values()].filter((row) => row.quantity !== 0);
+
+    res.json({
+        success: true,
+        asOf: asOf.toISOString(),
+        basedOnSnapshot: snapshot ? snapshot.takenAt : null,
+        scope: location ? locationService.toSummary(location) : "all-locations",
+        count: rows.length,
+        totalQuantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+        products: rows,
+    });
+});
+
+// @desc    Store a snapshot checkpoint of all stock quantities
+// @route   POST /api/stock/snapshots
+// @access  Private (Admin)
+export const createSnapshot = asyncHandler(async (req, res) => {
+    const latestAllowed = new Date(Date.now() - SNAPSHOT_SETTLE_MS);
+    const asOf = parseAsOf(req.body?.asOf, latestAllowed);
+
+    if (asOf > latestAllowed) {
+        throw new BadRequestError(
+            `Snapshots must be at least ${Math.round(SNAPSHOT_SETTLE_MS / 1000)}s in the past`
+        );
+    }
+
+    const snapshot = await ledgerService.createSnapshot(asOf, req.user.id);
+
+    logger.info(
+        `Stock snapshot at ${asOf.toISOString()} (${snapshot.levels.length} levels) by user ${req.user.id}`
+    );
+
+    res.status(201).json({
+        success: true,
+        message: "Stock snapshot created successfully",
+        snapshot: {
+            id: snapshot._id,
+            takenAt: snapshot.takenAt,
+            levelCount: snapshot.levels.length,
+            movementCount: snapshot.movementCount,
+        },
+    });
+});
+
+// @desc    List snapshot checkpoints
+// @route   GET /api/stock/snapshots
+// @access  Private (Admin, Manager)
+export const getSnapshots = asyncHandler(async (req, res) => {
+    const snapshots = await StockSnapshot.find()
+        .select("-levels")
+        .sort({ takenAt: -1 })
+        .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+        success: true,
+        count: snapshots.length,
+        snapshots,
+    });
+});
+
+// @desc    Stock levels that disagree with the sum of their movements
+// @route   GET /api/stock/consistency?productId=&locationId=
+// @access  Private (Admin)
+export const getConsistencyReport = asyncHandler(async (req, res) => {
+    const location = req.query.locationId
+        ? await locationService.resolve(req.query.locationId)
+        : null;
+
+    const { checkedAt, discrepancies } = await ledgerService.findDiscrepancies({
+        productId: req.query.productId,
+        locationId: location?._id,
+    });
+
+    if (discrepancies.length > 0) {
+        logger.warn(`Stock consistency check found ${discrepancies.length} discrepancies`);
+    }
+
+    res.json({
+        success: true,
+        checkedAt: checkedAt.toISOString(),
+        consistent: discrepancies.length === 0,
+        count: discrepancies.length,
+        discrepancies,
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Location Controller
+ * Warehouses / stock locations that stock levels are kept against.
+ *
+ * services/stock/src/controllers/locationController.js
+ */
+
+import Location from "../models/locationModel.js";
+import StockLevel from "../models/stockLevelModel.js";
+import logger from "../utils/logger.js";
+import {
+    NotFoundError,
+    ConflictError,
+    BadRequestError,
+    ERROR_CODES,
+    asyncHandler,
+} from "../utils/errors.js";
+
+// @desc    Create location
+// @route   POST /api/stock/locations
+// @access  Private (Admin)
+export const createLocation = asyncHandler(async (req, res) => {
+    const { code, name, address, isDefault } = req.body;
+
+    const existing = await Location.findOne({ code });
+    if (existing) {
+        throw new ConflictError("Location with this code", ERROR_CODES.LOCATION_ALREADY_EXISTS);
+    }
+
+    let location = await Location.create({
+        code,
+        name,
+        address,
+        createdBy: req.user.id,
+    });
+
+    if (isDefault) {
+        location = await location.makeDefault();
+    }
+
+    logger.info(`Location created: ${location.code} by user ${req.user.id}`);
+
+    res.status(201).json({
+        success: true,
+        message: "Location created successfully",
+        location,
+    });
+});
+
+// @desc    Get all locations
+// @route   GET /api/stock/locations
+// @access  Private (Admin, Manager)
+export const getAllLocations = asyncHandler(async (req, res) => {
+    // Admins see all locations, Managers see only active
+    const filter = req.user.role === "admin" ? {} : { isActive: true };
+
+    const locations = await Location.find(filter).sort({ isDefault: -1, code: 1 });
+
+    res.json({
+        success: true,
+        count: locations.length,
+        locations,
+    });
+});
+
+// @desc    Get single location with its stock totals
+// @route   GET /api/stock/locations/:id
+// @access  Private (Admin, Manager)
+export const getLocationById = asyncHandler(async (req, res) => {
+    const location = await Location.findById(req.params.id);
+
+    if (!location || (req.user.role !== "admin" && !location.isActive)) {
+        throw new NotFoundError("Location", ERROR_CODES.LOCATION_NOT_FOUND);
+    }
+
+    const [totals] = await StockLevel.aggregate([
+        { $match: { locationId: location._id } },
+        {
+            $group: {
+                _id: null,
+                productCount: { $sum: 1 },
+                totalQuantity: { $sum: "$currentQuantity" },
+            },
+        },
+    ]);
+
+    res.json({
+        success: true,
+        location,
+        stock: {
+            productCount: totals?.productCount || 0,
+            totalQuantity: totals?.totalQuantity || 0,
+        },
+    });
+});
+
+// @desc    Update location
+// @route   PUT /api/stock/locations/:id
+// @access  Private (Admin)
+export const updateLocation = asyncHandler(async (req, res) => {
+    const { name, address, isDefault } = req.body;
+
+    let location = await Location.findById(req.params.id);
+    if (!location) {
+        throw new NotFoundError("Location", ERROR_CODES.LOCATION_NOT_FOUND);
+    }
+
+    if (name !== undefined) location.name = name;
+    if (address !== undefined) location.address = address;
+    location = await location.save();
+
+    if (isDefault) {
+        if (!location.isActive) {
+            throw new BadRequestError("An inactive location cannot be the default");
+        }
+        location = await location.makeDefault();
+    }
+
+    logger.info(`Location updated: ${location.code} by user ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: "Location updated successfully",
+        location,
+    });
+});
+
+// @desc    Deactivate location (soft delete)
+// @route   DELETE /api/stock/locations/:id
+// @access  Private (Admin)
+export const deleteLocation = asyncHandler(async (req, res) => {
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+        throw new NotFoundError("Location", ERROR_CODES.LOCATION_NOT_FOUND);
+    }
+
+    const heldStock = await StockLevel.countDocuments({
+        locationId: location._id,
+        currentQuantity: { $gt: 0 },
+    });
+    if (heldStock > 0) {
+        throw new BadRequestError(
+            `Location still holds stock for ${heldStock} product(s); move it out first`
+        );
+    }
+
+    await location.softDelete();
+
+    logger.info(`Location deactivated: ${location.code} by user ${req.user.id}`);
+
+    res.json({
+        success: true,
+        message: "Location deleted successfully",
+    });
+});
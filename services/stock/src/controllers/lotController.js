@@ -0,0 +1,65 @@
+/**
+ * Lot Controller
+ * Batch / lot quantities and expiry dates per product and location.
+ *
+ * services/stock/src/controllers/lotController.js
+ */
+
+import StockLot from "../models/stockLotModel.js";
+import locationService from "../services/locationService.js";
+import { BadRequestError, asyncHandler } from "../utils/errors.js";
+
+const DEFAULT_EXPIRY_WINDOW_DAYS = parseInt(process.env.DEFAULT_EXPIRY_WINDOW_DAYS) || 30;
+
+async function buildLotFilter({ productId, locationId }) {
+    const filter = {};
+    if (productId) filter.productId = productId;
+    if (locationId) filter.locationId = (await locationService.resolve(locationId))._id;
+    return filter;
+}
+
+// @desc    List lots with stock on hand
+// @route   GET /api/stock/lots?productId=&locationId=
+// @access  Private (Admin, Manager)
+export const getLots = asyncHandler(async (req, res) => {
+    const filter = await buildLotFilter(req.query);
+    if (req.query.includeEmpty !== "true") {
+        filter.quantity = { $gt: 0 };
+    }
+
+    const lots = await StockLot.find(filter)
+        .populate("locationId", "code name")
+        .sort({ productId: 1, expiryDate: 1 });
+
+    res.json({
+        success: true,
+        count: lots.length,
+        lots,
+    });
+});
+
+// @desc    List lots expiring within N days (including already expired)
+// @route   GET /api/stock/lots/expiring?days=30&productId=&locationId=
+// @access  Private (Admin, Manager)
+export const getExpiringLots = asyncHandler(async (req, res) => {
+    const days = req.query.days === undefined ? DEFAULT_EXPIRY_WINDOW_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0) {
+        throw new BadRequestError("days must be a non-negative integer");
+    }
+
+    const now = new Date();
+    const before = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const lots = await StockLot.getExpiring(before, await buildLotFilter(req.query));
+
+    res.json({
+        success: true,
+        days,
+        count: lots.length,
+        totalQuantity: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+        lots: lots.map((lot) => ({
+            ...lot.toObject(),
+            expired: lot.expiryDate <= now,
+            daysUntilExpiry: Math.ceil((lot.expiryDate - now) / (24 * 60 * 60 * 1000)),
+        })),
+    });
+});
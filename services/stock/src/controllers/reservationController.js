@@ -0,0 +1,209 @@
+/**
+ * Reservation Controller
+ * Soft allocation of stock for pending orders. Held quantities count
+ * against available stock until confirmed, released or expired.
+ *
+ * services/stock/src/controllers/reservationController.js
+ */
+
+import mongoose from "mongoose";
+import Reservation from "../models/reservationModel.js";
+import stockService from "../services/stockService.js";
+import locationService from "../services/locationService.js";
+import productService from "../services/productService.js";
+import { checkProductActive } from "../services/discontinuedProductService.js";
+import stockAlertService from "../services/stockAlertService.js";
+import logger from "../utils/logger.js";
+import {
+    NotFoundError,
+    BadRequestError,
+    InsufficientStockError,
+    ERROR_CODES,
+    asyncHandler,
+} from "../utils/errors.js";
+
+function assertReservationId(id) {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new BadRequestError(`Invalid reservation id: ${id}`);
+    }
+}
+
+// @desc    Reserve stock for a pending order
+// @route   POST /api/stock/reservations
+// @access  Private (Admin, Manager)
+export const createReservation = asyncHandler(async (req, res) => {
+    const { productId, quantity, locationId, reference, ttlMinutes } = req.body;
+
+    // Same product guard as a stock exit; reserve() also rejects products
+    // recorded as discontinued, inside its transaction
+    const product = await productService.getProductInfo(productId, req.cookies?.accessToken);
+    if (!product) {
+        throw new NotFoundError("Product", ERROR_CODES.PRODUCT_NOT_FOUND);
+    }
+    checkProductActive(productId, product);
+
+    if (product._isFallback) {
+        logger.warn(
+            `[ReservationController] createReservation: using fallback for product ${productId}`
+        );
+    }
+
+    const location = await locationService.resolve(locationId);
+
+    let result;
+    try {
+        result = await stockService.reserve({
+            productId,
+            locationId: location._id,
+            quantity,
+            reference,
+            ttlMinutes,
+            createdBy: req.user.id,
+        });
+    } catch (error) {
+        if (error instanceof InsufficientStockError) {
+            return res.status(400).json({
+                success: false,
+                message: "Insufficient available stock",
+                available: error.errors.available,
+                requested: error.errors.requested,
+            });
+        }
+        throw error;
+    }
+
+    const { reservation, stockLevel } = result;
+
+    logger.info(
+        `Stock reserved: ${quantity} units of ${productId} at ${location.code} ` +
+        `for ${reference} by user ${req.user.id}`
+    );
+    stockAlertService.notify(productId, { token: req.cookies?.accessToken });
+
+    res.status(201).json({
+        success: true,
+        message: "Stock reserved successfully",
+        reservation,
+        currentStock: stockLevel.currentQuantity,
+        available: stockLevel.available,
+    });
+});
+
+// @desc    List reservations
+// @route   GET /api/stock/reservations?status=&productId=&reference=
+// @access  Private (Admin, Manager)
+export const getReservations = asyncHandler(async (req, res) => {
+    const { status, productId, reference, limit = 50, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (productId) filter.productId = productId;
+    if (reference) filter.reference = reference;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reservations, total] = await Promise.all([
+        Reservation.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip(skip),
+        Reservation.countDocuments(filter),
+    ]);
+
+    res.json({
+        success: true,
+        reservations,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit)),
+        },
+    });
+});
+
+// @desc    Get a reservation
+// @route   GET /api/stock/reservations/:id
+// @access  Private (Admin, Manager)
+export const getReservationById = asyncHandler(async (req, res) => {
+    assertReservationId(req.params.id);
+
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+        throw new NotFoundError("Reservation", ERROR_CODES.RESERVATION_NOT_FOUND);
+    }
+
+    res.json({
+        success: true,
+        reservation,
+    });
+});
+
+// @desc    Confirm a reservation into a stock exit
+// @route   POST /api/stock/reservations/:id/confirm
+// @access  Private (Admin, Manager)
+export const confirmReservation = asyncHandler(async (req, res) => {
+    assertReservationId(req.params.id);
+
+    const pending = await Reservation.findById(req.params.id);
+    if (!pending) {
+        throw new NotFoundError("Reservation", ERROR_CODES.RESERVATION_NOT_FOUND);
+    }
+
+    const product = await productService.getProductInfo(
+        pending.productId,
+        req.cookies?.accessToken
+    );
+    checkProductActive(pending.productId, product);
+    const serialized = product
+        ? await productService.isSerialized(product, pending.productId)
+        : false;
+
+    const { reservation, movement, stockLevel } = await stockService.confirmReservation(
+        req.params.id,
+        {
+            reason: req.body.reason,
+            serialized,
+            serialNumbers: req.body.serialNumbers,
+            performedBy: req.user.id,
+        }
+    );
+
+    logger.info(
+        `Reservation confirmed: ${reservation._id} (${reservation.quantity} units of ` +
+        `${reservation.productId}) by user ${req.user.id}`
+    );
+    stockAlertService.notify(reservation.productId, { product });
+
+    res.json({
+        success: true,
+        message: "Reservation confirmed and stock exit recorded",
+        reservation,
+        movement,
+        currentStock: stockLevel.currentQuantity,
+        available: stockLevel.available,
+    });
+});
+
+// @desc    Release a reservation
+// @route   POST /api/stock/reservations/:id/release
+// @access  Private (Admin, Manager)
+export const releaseReservation = asyncHandler(async (req, res) => {
+    assertReservationId(req.params.id);
+
+    const { reservation, stockLevel } = await stockService.releaseReservation(
+        req.params.id,
+        { performedBy: req.user.id }
+    );
+
+    logger.info(`Reservation released: ${reservation._id} by user ${req.user.id}`);
+    stockAlertService.notify(reservation.productId, { token: req.cookies?.accessToken });
+
+    res.json({
+        success: true,
+        message: "Reservation released successfully",
+        reservation,
+        currentStock: stockLevel?.currentQuantity,
+        available: stockLevel?.available,
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Serial Number Controller
+ * Where each unit of a serialized product is, and how it got there.
+ *
+ * services/stock/src/controllers/serialController.js
+ */
+
+import SerialNumber from "../models/serialNumberModel.js";
+import StockMovement from "../models/stockMovementModel.js";
+import locationService from "../services/locationService.js";
+import { NotFoundError, ERROR_CODES, asyncHandler } from "../utils/errors.js";
+
+// @desc    Current status and movement history of one serial number
+// @route   GET /api/stock/serials/:serialNumber?productId=
+// @access  Private (Admin, Manager)
+export const getSerialHistory = asyncHandler(async (req, res) => {
+    const { serialNumber } = req.params;
+    const { productId } = req.query;
+
+    const filter = { serialNumber };
+    if (productId) filter.productId = productId;
+
+    const serials = await SerialNumber.find(filter).populate("locationId", "code name");
+    if (serials.length === 0) {
+        throw new NotFoundError(`Serial number ${serialNumber}`, ERROR_CODES.SERIAL_NOT_FOUND);
+    }
+
+    // The same serial may exist under more than one product
+    const results = await Promise.all(
+        serials.map(async (serial) => ({
+            productId: serial.productId,
+            serialNumber: serial.serialNumber,
+            status: serial.status,
+            location: serial.locationId,
+            lastMovementAt: serial.lastMovementAt,
+            movements: await StockMovement.getBySerial(serial.productId, serialNumber),
+        }))
+    );
+
+    res.json({
+        success: true,
+        count: results.length,
+        serials: results,
+    });
+});
+
+// @desc    Serial numbers currently in stock
+// @route   GET /api/stock/serials?productId=&locationId=&status=
+// @access  Private (Admin, Manager)
+export const getSerials = asyncHandler(async (req, res) => {
+    const { productId, locationId, status = "in_stock" } = req.query;
+
+    const filter = { status };
+    if (productId) filter.productId = productId;
+    if (locationId) filter.locationId = (await locationService.resolve(locationId))._id;
+
+    const serials = await SerialNumber.find(filter)
+        .populate("locationId", "code name")
+        .sort({ productId: 1, serialNumber: 1 });
+
+    res.json({
+        success: true,
+        count: serials.length,
+        serials,
+    });
+});
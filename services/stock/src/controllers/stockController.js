@@ -1,67 +1,71 @@
 /**
  * Stock Controller
- * All inter-service calls go through circuit breakers so a downstream
- * failure (Products service down) never crashes the Stock service.
+ * Product lookups go through productService, whose circuit breaker keeps
+ * a downstream failure (Products service down) from crashing the Stock service.
  *
  * services/stock/src/controllers/stockController.js
  */
 
-import StockMovement, { MOVEMENT_TYPES } from "../models/stockMovementModel.js";
+import crypto from "crypto";
+import StockMovement from "../models/stockMovementModel.js";
 import StockLevel from "../models/stockLevelModel.js";
+import IdempotencyRecord from "../models/idempotencyRecordModel.js";
+import Location from "../models/locationModel.js";
+import stockService, { checkSerialNumbers } from "../services/stockService.js";
+import locationService from "../services/locationService.js";
 import logger from "../utils/logger.js";
-import { getCircuitBreaker } from "../../shared/utils/circuitBreaker.js";
-import { asyncHandler } from "../utils/errors.js";
-
-const PRODUCTS_SERVICE_URL =
-    process.env.PRODUCTS_SERVICE_URL || "http://localhost:5002";
-
-// ─── Circuit Breakers ────────────────────────────────────────────────────────
-// Defined once at module level so the state (OPEN/CLOSED) persists across
-// requests and stats keep accumulating.
-
-const productsBreaker = getCircuitBreaker(
-    "products-service",
-    {
-        timeout: 5000,
-        errorThresholdPercentage: 50,
-        resetTimeout: 30000,
-        volumeThreshold: 3,
+import productService, { productsBreaker } from "../services/productService.js";
+import ledgerService from "../services/ledgerService.js";
+import stockAlertService from "../services/stockAlertService.js";
+import discontinuedProductService, {
+    checkProductActive,
+} from "../services/discontinuedProductService.js";
+import { parseAsOf } from "../utils/dates.js";
+import { BULK_MODES } from "../validations/stockValidation.js";
+import {
+    AppError,
+    BadRequestError,
+    NotFoundError,
+    InsufficientStockError,
+    ServiceUnavailableError,
+    ERROR_CODES,
+    asyncHandler,
+} from "../utils/errors.js";
+
+const insufficientStockResponse = (res, error, location) =>
+    res.status(400).json({
+        success: false,
+        message: "Insufficient stock",
+        available: error.errors.available,
+        requested: error.errors.requested,
+        location: locationService.toSummary(location),
+    });
+
+const lineFailure = (index, error) => ({
+    index,
+    success: false,
+    error: {
+        message: error.message,
+        code: error.code,
+        ...(error.errors && { details: error.errors }),
     },
-    // Fallback: return a minimal object so the stock operation can continue
-    () => ({
-        _isFallback: true,
-        name: "Unknown (products-service unavailable)",
-        sku: "N/A",
-        lowStockThreshold: parseInt(process.env.DEFAULT_LOW_STOCK_THRESHOLD) || 10,
-    })
-);
-
-// ─── Helper ──────────────────────────────────────────────────────────────────
+});
+
 /**
- * Fetch product info from the Products service.
- * Returns fallback object if the circuit is open or the call fails.
+ * Resolve each distinct locationId once. Unresolvable ids map to their error.
+ * The empty key stands for the default location.
  */
-async function getProductInfo(productId, token) {
-    try {
-        const data = await productsBreaker.execute({
-            method: "GET",
-            url: `${PRODUCTS_SERVICE_URL}/api/products/${productId}`,
-            headers: {
-                Cookie: `accessToken=${token}`,
-            },
-            timeout: 5000,
-        });
-
-        // Products service returns { success, data: product }
-        return data?.data || data?.product || null;
-    } catch (error) {
-        logger.error(
-            `[StockController] getProductInfo failed for ${productId}: ${error.message}`
-        );
-        // Fallback already handled by circuit breaker — if we reach here
-        // the fallback itself threw (shouldn't happen with our config).
-        return null;
+async function resolveLocations(locationIds) {
+    const locations = new Map();
+    for (const locationId of locationIds) {
+        try {
+            locations.set(locationId, await locationService.resolve(locationId));
+        } catch (error) {
+            if (!(error instanceof AppError)) throw error;
+            locations.set(locationId, error);
+        }
     }
+    return locations;
 }
 
 // ─── Controllers ─────────────────────────────────────────────────────────────
@@ -70,10 +74,20 @@ async function getProductInfo(productId, token) {
 // @route   POST /api/stock/entry
 // @access  Private (Admin, Manager)
 export const addStockEntry = asyncHandler(async (req, res) => {
-    const { productId, quantity, reason, reference } = req.body;
+    const {
+        productId,
+        quantity,
+        reason,
+        reference,
+        locationId,
+        lotNumber,
+        expiryDate,
+        serialNumbers,
+        unitCost,
+    } = req.body;
 
     const token = req.cookies?.accessToken;
-    const product = await getProductInfo(productId, token);
+    const product = await productService.getProductInfo(productId, token);
 
     // If fallback was used, _isFallback is true — product exists but service
     // is down. We still allow the stock operation to proceed.
@@ -83,6 +97,7 @@ export const addStockEntry = asyncHandler(async (req, res) => {
             message: "Product not found",
         });
     }
+    checkProductActive(productId, product);
 
     if (product._isFallback) {
         logger.warn(
@@ -90,27 +105,33 @@ export const addStockEntry = asyncHandler(async (req, res) => {
         );
     }
 
-    const stockLevel = await StockLevel.getOrCreate(productId);
+    const location = await locationService.resolve(locationId);
+    const serialized = await productService.isSerialized(product, productId);
 
-    const movement = await StockMovement.create({
+    const { movement, stockLevel } = await stockService.recordEntry({
         productId,
-        type: MOVEMENT_TYPES.ENTRY,
+        locationId: location._id,
         quantity,
         reason,
         reference,
+        lotNumber,
+        expiryDate,
+        serialized,
+        serialNumbers,
+        unitCost,
         performedBy: req.user.id,
     });
 
-    await stockLevel.updateQuantity(quantity);
-
     logger.info(
-        `Stock entry: ${quantity} units of ${productId} by user ${req.user.id}`
+        `Stock entry: ${quantity} units of ${productId} at ${location.code} by user ${req.user.id}`
     );
+    stockAlertService.notify(productId, { product, token });
 
     res.status(201).json({
         success: true,
         message: "Stock entry recorded successfully",
         movement,
+        location: locationService.toSummary(location),
         currentStock: stockLevel.currentQuantity,
         ...(product._isFallback && {
             warning: "Product details unavailable — products service is down",
@@ -122,10 +143,10 @@ export const addStockEntry = asyncHandler(async (req, res) => {
 // @route   POST /api/stock/exit
 // @access  Private (Admin, Manager)
 export const removeStockExit = asyncHandler(async (req, res) => {
-    const { productId, quantity, reason, reference } = req.body;
+    const { productId, quantity, reason, reference, locationId, lotNumber, serialNumbers } = req.body;
 
     const token = req.cookies?.accessToken;
-    const product = await getProductInfo(productId, token);
+    const product = await productService.getProductInfo(productId, token);
 
     if (!product) {
         return res.status(404).json({
@@ -133,6 +154,7 @@ export const removeStockExit = asyncHandler(async (req, res) => {
             message: "Product not found",
         });
     }
+    checkProductActive(productId, product);
 
     if (product._isFallback) {
         logger.warn(
@@ -140,57 +162,356 @@ export const removeStockExit = asyncHandler(async (req, res) => {
         );
     }
 
-    const stockLevel = await StockLevel.getOrCreate(productId);
+    const location = await locationService.resolve(locationId);
+    const serialized = await productService.isSerialized(product, productId);
 
-    if (stockLevel.currentQuantity < quantity) {
-        return res.status(400).json({
-            success: false,
-            message: "Insufficient stock",
-            available: stockLevel.currentQuantity,
-            requested: quantity,
+    let result;
+    try {
+        result = await stockService.recordExit({
+            productId,
+            locationId: location._id,
+            quantity,
+            reason,
+            reference,
+            lotNumber,
+            serialized,
+            serialNumbers,
+            performedBy: req.user.id,
         });
+    } catch (error) {
+        if (error instanceof InsufficientStockError) {
+            return insufficientStockResponse(res, error, location);
+        }
+        throw error;
     }
+    const { movement, stockLevel } = result;
 
-    const movement = await StockMovement.create({
+    logger.info(
+        `Stock exit: ${quantity} units of ${productId} at ${location.code} by user ${req.user.id}`
+    );
+    stockAlertService.notify(productId, { product, token });
+
+    res.status(201).json({
+        success: true,
+        message: "Stock exit recorded successfully",
+        movement,
+        location: locationService.toSummary(location),
+        currentStock: stockLevel.currentQuantity,
+        ...(product._isFallback && {
+            warning: "Product details unavailable — products service is down",
+        }),
+    });
+});
+
+// @desc    Transfer stock between two locations, atomically (needs
+//          MongoDB as a replica set, see README)
+// @route   POST /api/stock/transfer
+// @access  Private (Admin, Manager)
+export const transferStock = asyncHandler(async (req, res) => {
+    const {
         productId,
-        type: MOVEMENT_TYPES.EXIT,
         quantity,
+        fromLocationId,
+        toLocationId,
         reason,
         reference,
-        performedBy: req.user.id,
-    });
+        lotNumber,
+        serialNumbers,
+    } = req.body;
 
-    await stockLevel.updateQuantity(-quantity);
+    const token = req.cookies?.accessToken;
+    const product = await productService.getProductInfo(productId, token);
+
+    if (!product) {
+        return res.status(404).json({
+            success: false,
+            message: "Product not found",
+        });
+    }
+    checkProductActive(productId, product);
+
+    if (product._isFallback) {
+        logger.warn(
+            `[StockController] transferStock: using fallback for product ${productId}`
+        );
+    }
+
+    const [fromLocation, toLocation, serialized] = await Promise.all([
+        locationService.resolve(fromLocationId),
+        locationService.resolve(toLocationId),
+        productService.isSerialized(product, productId),
+    ]);
+
+    const transferId = crypto.randomUUID();
+
+    // Both legs commit together or not at all
+    let result;
+    try {
+        result = await stockService.transfer({
+            productId,
+            quantity,
+            fromLocationId: fromLocation._id,
+            toLocationId: toLocation._id,
+            reason,
+            reference,
+            lotNumber,
+            serialized,
+            serialNumbers,
+            transferId,
+            performedBy: req.user.id,
+        });
+    } catch (error) {
+        if (error instanceof InsufficientStockError) {
+            return insufficientStockResponse(res, error, fromLocation);
+        }
+        throw error;
+    }
 
     logger.info(
-        `Stock exit: ${quantity} units of ${productId} by user ${req.user.id}`
+        `Stock transfer ${transferId}: ${quantity} units of ${productId} ` +
+        `${fromLocation.code} -> ${toLocation.code} by user ${req.user.id}`
     );
 
     res.status(201).json({
         success: true,
-        message: "Stock exit recorded successfully",
-        movement,
-        currentStock: stockLevel.currentQuantity,
+        message: "Stock transfer recorded successfully",
+        transferId,
+        quantity,
+        from: {
+            location: locationService.toSummary(fromLocation),
+            currentStock: result.exit.stockLevel.currentQuantity,
+        },
+        to: {
+            location: locationService.toSummary(toLocation),
+            currentStock: result.entry.stockLevel.currentQuantity,
+        },
+        movements: [result.exit.movement, result.entry.movement],
         ...(product._isFallback && {
             warning: "Product details unavailable — products service is down",
         }),
     });
 });
 
-// @desc    Get current stock level for a product
-// @route   GET /api/stock/product/:id
+// Response to a retried request whose Idempotency-Key was already applied
+const idempotentReplay = (res, record, mode) =>
+    res.status(201).json({
+        success: true,
+        message: "Bulk movements already recorded",
+        mode,
+        applied: record.results.length,
+        failed: 0,
+        results: record.results.map((result) => ({ ...result, success: true })),
+        replayed: true,
+    });
+
+// @desc    Record many entries / exits in one request. An atomic request
+//          may carry an Idempotency-Key header: a retry with the same key
+//          returns the original results instead of applying them again.
+// @route   POST /api/stock/movements/bulk
+// @access  Private (Admin, Manager, trusted services)
+export const recordBulkMovements = asyncHandler(async (req, res) => {
+    const { mode, lines } = req.body;
+    const partial = mode === BULK_MODES.PARTIAL;
+    const token = req.cookies?.accessToken;
+    const idempotencyKey = req.get("Idempotency-Key");
+    // Services act on behalf of the user they name
+    const performedBy = req.user?.id || req.body.performedBy || req.serviceAuth?.serviceName;
+
+    if (idempotencyKey) {
+        if (partial) {
+            throw new BadRequestError("Idempotency-Key is only supported in atomic mode");
+        }
+        const record = await IdempotencyRecord.findOne({ key: idempotencyKey });
+        if (record) {
+            return idempotentReplay(res, record, mode);
+        }
+    }
+
+    // One product lookup and one resolution per location for all lines
+    const [products, locations] = await Promise.all([
+        productService.getProductsByIds([...new Set(lines.map((line) => line.productId))], token),
+        resolveLocations(new Set(lines.map((line) => line.locationId || ""))),
+    ]);
+    const serialized = await productService.serializedIds(products);
+
+    const rejected = [];
+    const ready = [];
+
+    lines.forEach((line, index) => {
+        const product = products.get(line.productId);
+        const location = locations.get(line.locationId || "");
+
+        if (!product) {
+            rejected.push(lineFailure(index, {
+                message: "Product not found",
+                code: ERROR_CODES.PRODUCT_NOT_FOUND,
+            }));
+            return;
+        }
+        if (location instanceof AppError) {
+            rejected.push(lineFailure(index, location));
+            return;
+        }
+        try {
+            checkProductActive(line.productId, product);
+            checkSerialNumbers(serialized.has(line.productId), line.serialNumbers, line.quantity);
+        } catch (error) {
+            rejected.push(lineFailure(index, error));
+            return;
+        }
+
+        ready.push({
+            ...line,
+            index,
+            locationId: location._id,
+            serialized: serialized.has(line.productId),
+            performedBy,
+        });
+    });
+
+    if (rejected.length > 0 && !partial) {
+        return res.status(400).json({
+            success: false,
+            message: "Bulk movement rejected; no lines were applied",
+            errors: rejected,
+        });
+    }
+
+    let applied;
+    try {
+        applied = await stockService.applyBulk(ready, { partial, idempotencyKey, performedBy });
+    } catch (error) {
+        // A concurrent request with the same key got there first
+        if (IdempotencyRecord.isDuplicate(error)) {
+            return idempotentReplay(res, await IdempotencyRecord.findOne({ key: idempotencyKey }), mode);
+        }
+        if (error.lineIndex === undefined || !(error instanceof AppError)) throw error;
+        return res.status(error.statusCode).json({
+            success: false,
+            message: "Bulk movement rejected; no lines were applied",
+            errors: [lineFailure(error.lineIndex, error)],
+        });
+    }
+
+    const results = [
+        ...rejected,
+        ...applied.map(({ index, movement, stockLevel, error }) => {
+            if (!error) {
+                return {
+                    index,
+                    success: true,
+                    type: movement.type,
+                    productId: movement.productId,
+                    movementId: movement._id,
+                    currentStock: stockLevel.currentQuantity,
+                };
+            }
+            if (error instanceof AppError) {
+                return lineFailure(index, error);
+            }
+            logger.error(`[StockController] bulk line ${index} failed: ${error.message}`);
+            return lineFailure(index, {
+                message: "Internal error",
+                code: ERROR_CODES.INTERNAL_SERVER_ERROR,
+            });
+        }),
+    ].sort((a, b) => a.index - b.index);
+
+    const appliedCount = results.filter((result) => result.success).length;
+    const failedCount = results.length - appliedCount;
+
+    logger.info(
+        `Bulk stock movements (${mode}): ${appliedCount} applied, ${failedCount} failed ` +
+        `by ${performedBy}`
+    );
+    for (const productId of new Set(applied.filter((r) => !r.error).map((r) => r.movement.productId))) {
+        stockAlertService.notify(productId, { product: products.get(productId), token });
+    }
+
+    res.status(failedCount > 0 ? 207 : 201).json({
+        success: failedCount === 0,
+        message:
+            failedCount === 0
+                ? "Bulk movements recorded successfully"
+                : `${appliedCount} of ${results.length} lines applied`,
+        mode,
+        applied: appliedCount,
+        failed: failedCount,
+        results,
+        ...([...products.values()].some((product) => product?._isFallback) && {
+            warning: "Product details unavailable — products service is down",
+        }),
+    });
+});
+
+// @desc    Get stock level for a product (per location + roll-up), now or as of a date
+// @route   GET /api/stock/product/:id?locationId=&asOf=
 // @access  Private (Admin, Manager)
 export const getProductStockLevel = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const { locationId } = req.query;
+
+    if (req.query.asOf) {
+        const asOf = parseAsOf(req.query.asOf);
+        const location = locationId ? await locationService.resolve(locationId) : null;
+        const { snapshot, levels } = await ledgerService.quantitiesAsOf(asOf, {
+            productId: id,
+            locationId: location?._id,
+        });
+
+        return res.json({
+            success: true,
+            productId: id,
+            asOf: asOf.toISOString(),
+            basedOnSnapshot: snapshot ? snapshot.takenAt : null,
+            currentQuantity: levels.reduce((sum, level) => sum + level.quantity, 0),
+            locations: levels.map((level) => ({
+                locationId: level.locationId,
+                currentQuantity: level.quantity,
+            })),
+        });
+    }
 
-    const stockLevel = await StockLevel.getOrCreate(id);
-    const recentMovements = await StockMovement.getByProduct(id, 10);
+    if (locationId) {
+        const location = await locationService.resolve(locationId);
+        const [stockLevel, recentMovements] = await Promise.all([
+            StockLevel.getOrCreate(id, location._id),
+            StockMovement.find({ productId: id, locationId: location._id })
+                .sort({ timestamp: -1 })
+                .limit(10),
+        ]);
+
+        return res.json({
+            success: true,
+            productId: id,
+            location: locationService.toSummary(location),
+            currentQuantity: stockLevel.currentQuantity,
+            reserved: stockLevel.reserved,
+            available: stockLevel.available,
+            lastUpdated: stockLevel.lastUpdated,
+            recentMovements,
+        });
+    }
+
+    const [{ totalQuantity, totalReserved, lastUpdated, levels }, recentMovements] = await Promise.all([
+        StockLevel.getProductTotals(id),
+        StockMovement.getByProduct(id, 10),
+    ]);
 
     res.json({
         success: true,
         productId: id,
-        currentQuantity: stockLevel.currentQuantity,
-        lastUpdated: stockLevel.lastUpdated,
+        currentQuantity: totalQuantity,
+        reserved: totalReserved,
+        available: totalQuantity - totalReserved,
+        lastUpdated,
+        locations: levels.map((level) => ({
+            location: level.locationId && locationService.toSummary(level.locationId),
+            currentQuantity: level.currentQuantity,
+            reserved: level.reserved,
+            available: level.available,
+            lastUpdated: level.lastUpdated,
+        })),
         recentMovements,
     });
 });
@@ -199,11 +520,13 @@ export const getProductStockLevel = asyncHandler(async (req, res) => {
 // @route   GET /api/stock/movements
 // @access  Private (Admin, Manager)
 export const getStockMovements = asyncHandler(async (req, res) => {
-    const { productId, type, limit = 50, page = 1 } = req.query;
+    const { productId, type, locationId, transferId, limit = 50, page = 1 } = req.query;
 
     const filter = {};
     if (productId) filter.productId = productId;
     if (type) filter.type = type;
+    if (transferId) filter.transferId = transferId;
+    if (locationId) filter.locationId = (await locationService.resolve(locationId))._id;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -227,8 +550,8 @@ export const getStockMovements = asyncHandler(async (req, res) => {
     });
 });
 
-// @desc    Get low stock alerts
-// @route   GET /api/stock/alerts
+// @desc    Get low stock alerts (one location, or rolled up across all)
+// @route   GET /api/stock/alerts?locationId=
 // @access  Private (Admin, Manager)
 export const getLowStockAlerts = asyncHandler(async (req, res) => {
     const threshold =
@@ -236,20 +559,27 @@ export const getLowStockAlerts = asyncHandler(async (req, res) => {
         parseInt(process.env.DEFAULT_LOW_STOCK_THRESHOLD) ||
         10;
 
-    const lowStockItems = await StockLevel.getLowStock(threshold);
+    const location = req.query.locationId
+        ? await locationService.resolve(req.query.locationId)
+        : null;
+
+    const lowStockItems = await StockLevel.getLowStock(threshold, location?._id);
     const token = req.cookies?.accessToken;
 
     // Use Promise.allSettled so one failed lookup doesn't abort everything
     const settled = await Promise.allSettled(
         lowStockItems.map(async (item) => {
-            const product = await getProductInfo(item.productId, token);
+            const product = await productService.getProductInfo(item.productId, token);
             return {
                 productId: item.productId,
                 productName: product?.name || "Unknown",
                 sku: product?.sku || "N/A",
                 currentQuantity: item.currentQuantity,
+                reserved: item.reserved || 0,
+                available: item.available ?? item.currentQuantity - (item.reserved || 0),
                 threshold: product?.lowStockThreshold || threshold,
                 lastUpdated: item.lastUpdated,
+                ...(!location && { locationCount: item.locationCount }),
                 productAvailable: !product?._isFallback,
             };
         })
@@ -262,6 +592,7 @@ export const getLowStockAlerts = asyncHandler(async (req, res) => {
         success: true,
         count: alerts.length,
         threshold,
+        scope: location ? locationService.toSummary(location) : "all-locations",
         alerts,
         ...(failedCount > 0 && {
             warning: `${failedCount} item(s) could not be fully resolved`,
@@ -269,8 +600,93 @@ export const getLowStockAlerts = asyncHandler(async (req, res) => {
     });
 });
 
-// @desc    Get stock summary / statistics
-// @route   GET /api/stock/summary
+// @desc    Products currently at an alert level (as last published)
+// @route   GET /api/stock/alerts/active?level=low|critical|out
+// @access  Private (Admin, Manager)
+export const getActiveStockAlerts = asyncHandler(async (req, res) => {
+    const alerts = await stockAlertService.getActive(req.query.level);
+
+    res.json({
+        success: true,
+        count: alerts.length,
+        alerts,
+    });
+});
+
+// @desc    Stock still held for discontinued (deleted) products
+// @route   GET /api/stock/discontinued
+// @access  Private (Admin, Manager)
+export const getDiscontinuedStock = asyncHandler(async (req, res) => {
+    const products = await discontinuedProductService.heldStockReport();
+
+    res.json({
+        success: true,
+        count: products.length,
+        totalQuantity: products.reduce((sum, product) => sum + product.currentQuantity, 0),
+        products,
+    });
+});
+
+// @desc    Discontinue a product before it is deleted; refused while it
+//          holds stock unless forced
+// @route   POST /api/stock/discontinued/:productId?force=true
+// @access  Private (Admin)
+export const discontinueProduct = asyncHandler(async (req, res) => {
+    const { productId } = req.params;
+
+    const { created } = await stockService.runInTransaction((session) =>
+        discontinuedProductService.discontinue(
+            {
+                productId,
+                sku: req.body.sku,
+                name: req.body.name,
+                discontinuedBy: req.user.id,
+                force: req.query.force === "true",
+            },
+            session
+        )
+    );
+
+    res.status(created ? 201 : 200).json({
+        success: true,
+        message: "Product discontinued; stock movements blocked",
+        productId,
+        created,
+    });
+});
+
+// @desc    Reinstate a product whose deletion did not complete
+// @route   DELETE /api/stock/discontinued/:productId
+// @access  Private (Admin)
+export const reinstateProduct = asyncHandler(async (req, res) => {
+    const reinstated = await discontinuedProductService.reinstate(req.params.productId);
+    if (!reinstated) {
+        throw new NotFoundError("Discontinued product", ERROR_CODES.PRODUCT_NOT_FOUND);
+    }
+
+    res.json({
+        success: true,
+        message: "Product reinstated",
+    });
+});
+
+// @desc    Rebuild the product replica from the Products service
+// @route   POST /api/stock/products/resync
+// @access  Private (Admin)
+export const resyncProducts = asyncHandler(async (req, res) => {
+    const result = await productService.resync(req.cookies?.accessToken);
+    if (!result) {
+        throw new ServiceUnavailableError("Products service");
+    }
+
+    res.json({
+        success: true,
+        ...result,
+    });
+});
+
+// @desc    Get stock summary / statistics (one location, or all with breakdown)
+// @route   GET /api/stock/summary?locationId=
 // @access  Private (Admin, Manager)
 export const getStockSummary = asyncHandler(async (req, res) => {
     const threshold =
@@ -278,21 +694,48 @@ export const getStockSummary = asyncHandler(async (req, res) => {
 
     const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
 
-    const [totalProducts, totalQuantityAgg, lowStockCount, recentMovementsCount] =
-        await Promise.all([
-            StockLevel.countDocuments(),
-            StockLevel.aggregate([{ $group: { _id: null, total: { $sum: "$currentQuantity" } } }]),
-            StockLevel.countDocuments({ currentQuantity: { $lte: threshold } }),
-            StockMovement.countDocuments({ timestamp: { $gte: yesterday } }),
-        ]);
+    const location = req.query.locationId
+        ? await locationService.resolve(req.query.locationId)
+        : null;
+    const match = location ? { locationId: location._id } : {};
+
+    const [productTotals, recentMovementsCount, byLocationAgg] = await Promise.all([
+        StockLevel.rollUp(match),
+        StockMovement.countDocuments({ ...match, timestamp: { $gte: yesterday } }),
+        StockLevel.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: "$locationId",
+                    productCount: { $sum: 1 },
+                    totalQuantity: { $sum: "$currentQuantity" },
+                },
+            },
+        ]),
+    ]);
+
+    const locations = await Location.find({
+        _id: { $in: byLocationAgg.map((l) => l._id) },
+    }).select("code name");
+    const locationsById = new Map(locations.map((l) => [String(l._id), l]));
 
     res.json({
         success: true,
+        scope: location ? locationService.toSummary(location) : "all-locations",
         summary: {
-            totalProducts,
-            totalQuantity: totalQuantityAgg[0]?.total || 0,
-            lowStockCount,
+            totalProducts: productTotals.length,
+            totalQuantity: productTotals.reduce((sum, p) => sum + p.currentQuantity, 0),
+            totalReserved: productTotals.reduce((sum, p) => sum + p.reserved, 0),
+            lowStockCount: productTotals.filter((p) => p.available <= threshold).length,
             recentMovementsCount,
+            byLocation: byLocationAgg.map((l) => {
+                const loc = locationsById.get(String(l._id));
+                return {
+                    location: loc ? locationService.toSummary(loc) : { id: l._id },
+                    productCount: l.productCount,
+                    totalQuantity: l.totalQuantity,
+                };
+            }),
         },
     });
 });
@@ -0,0 +1,99 @@
+/**
+ * Valuation Controller
+ * Inventory value for finance, cross-referenced with product prices.
+ *
+ * services/stock/src/controllers/valuationController.js
+ */
+
+import valuationService, { VALUATION_METHODS } from "../services/valuationService.js";
+import productService from "../services/productService.js";
+import { BadRequestError, asyncHandler } from "../utils/errors.js";
+import { parseAsOf } from "../utils/dates.js";
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function summarize(rows) {
+    const quantity = rows.reduce((sum, row) => sum + row.quantity, 0);
+    const value = rows.reduce((sum, row) => sum + row.value, 0);
+    const retailValue = rows.reduce((sum, row) => sum + (row.retailValue || 0), 0);
+
+    return {
+        quantity,
+        value: round(value),
+        retailValue: round(retailValue),
+        margin: round(retailValue - value),
+        marginPercent: retailValue > 0 ? round(((retailValue - value) / retailValue) * 100) : null,
+    };
+}
+
+// @desc    Inventory valuation per product, per category and in total
+// @route   GET /api/stock/valuation?method=fifo|average&asOf=&category=&productId=
+// @access  Private (Admin, Manager)
+export const getStockValuation = asyncHandler(async (req, res) => {
+    const method = (req.query.method || VALUATION_METHODS.FIFO).toLowerCase();
+    if (!Object.values(VALUATION_METHODS).includes(method)) {
+        throw new BadRequestError(
+            `method must be one of: ${Object.values(VALUATION_METHODS).join(", ")}`
+        );
+    }
+
+    const asOf = parseAsOf(req.query.asOf, new Date());
+
+    const valued = await valuationService.valueProducts(method, asOf, {
+        productId: req.query.productId,
+    });
+
+    const token = req.cookies?.accessToken;
+    const settled = await Promise.allSettled(
+        valued.map(async (row) => {
+            const product = await productService.getProductInfo(row.productId, token);
+            const known = product && !product._isFallback;
+            const costedQuantity = row.quantity - row.uncostedQuantity;
+            const retailValue = known ? product.price * row.quantity : null;
+
+            return {
+                productId: row.productId,
+                name: product?.name || "Unknown",
+                sku: product?.sku || "N/A",
+                category: known ? product.category : "Unknown",
+                quantity: row.quantity,
+                uncostedQuantity: row.uncostedQuantity,
+                unitCost: costedQuantity > 0 ? round(row.value / costedQuantity) : null,
+                value: round(row.value),
+                price: known ? product.price : null,
+                retailValue: retailValue === null ? null : round(retailValue),
+                margin: retailValue === null ? null : round(retailValue - row.value),
+                productAvailable: Boolean(known),
+            };
+        })
+    );
+
+    let products = settled.filter((r) => r.status === "fulfilled").map((r) => r.value);
+    if (req.query.category) {
+        products = products.filter((p) => p.category === req.query.category);
+    }
+
+    const categories = new Map();
+    for (const product of products) {
+        if (!categories.has(product.category)) categories.set(product.category, []);
+        categories.get(product.category).push(product);
+    }
+
+    const unresolved = products.filter((p) => !p.productAvailable).length;
+
+    res.json({
+        success: true,
+        method,
+        asOf: asOf.toISOString(),
+        totals: { productCount: products.length, ...summarize(products) },
+        byCategory: [...categories.entries()].map(([category, rows]) => ({
+            category,
+            productCount: rows.length,
+            ...summarize(rows),
+        })),
+        products,
+        ...(unresolved > 0 && {
+            warning: `${unresolved} product(s) could not be resolved; price and category unknown`,
+        }),
+    });
+});
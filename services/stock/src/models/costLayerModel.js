@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+
+// Part of a layer taken by an exit
+const consumptionSchema = new mongoose.Schema(
+    {
+        movementId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "StockMovement",
+            required: true,
+        },
+        quantity: { type: Number, required: true, min: 1 },
+        at: { type: Date, required: true },
+    },
+    { _id: false }
+);
+
+/**
+ * One cost layer per stock entry, kept per product across all locations
+ * (transfers move goods, not cost). Exits consume layers oldest first.
+ * Stock on hand from before cost layers existed gets one uncosted opening
+ * layer, dated before every other, so it leaves first.
+ */
+const costLayerSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+        },
+        // null for the opening layer
+        movementId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "StockMovement",
+            default: null,
+        },
+        opening: {
+            type: Boolean,
+            default: false,
+        },
+        receivedAt: {
+            type: Date,
+            required: true,
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, "Quantity must be positive"],
+        },
+        remaining: {
+            type: Number,
+            required: true,
+            min: [0, "Remaining quantity cannot be negative"],
+        },
+        // null when the entry was recorded without a cost
+        unitCost: {
+            type: Number,
+            default: null,
+            min: [0, "Unit cost cannot be negative"],
+        },
+        consumptions: {
+            type: [consumptionSchema],
+            default: [],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+costLayerSchema.index({ productId: 1, remaining: 1, receivedAt: 1 });
+costLayerSchema.index({ receivedAt: 1 });
+
+/**
+ * Quantity and value of each product's layers as they stood at asOf.
+ * @returns {Array<{ productId, quantity, value, uncostedQuantity }>}
+ */
+costLayerSchema.statics.fifoAsOf = function (asOf, match = {}) {
+    return this.aggregate([
+        { $match: { ...match, receivedAt: { $lte: asOf } } },
+        {
+            $project: {
+                productId: 1,
+                unitCost: 1,
+                remaining: {
+                    $subtract: [
+                        "$quantity",
+                        {
+                            $sum: {
+                                $map: {
+                                    input: {
+                                        $filter: {
+                                            input: "$consumptions",
+                                            cond: { $lte: ["$$this.at", asOf] },
+                                        },
+                                    },
+                                    in: "$$this.quantity",
+                                },
+                            },
+                        },
+                    ],
+                },
+            },
+        },
+        { $match: { remaining: { $gt: 0 } } },
+        {
+            $group: {
+                _id: "$productId",
+                quantity: { $sum: "$remaining" },
+                value: { $sum: { $multiply: ["$remaining", { $ifNull: ["$unitCost", 0] }] } },
+                uncostedQuantity: {
+                    $sum: { $cond: [{ $eq: [{ $ifNull: ["$unitCost", null] }, null] }, "$remaining", 0] },
+                },
+            },
+        },
+        { $project: { _id: 0, productId: "$_id", quantity: 1, value: 1, uncostedQuantity: 1 } },
+    ]);
+};
+
+const CostLayer = mongoose.model("CostLayer", costLayerSchema);
+export default CostLayer;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+/**
+ * A product deleted in the Products service. Stock can no longer move for
+ * it; whatever is still on hand shows in the discontinued stock report.
+ */
+const discontinuedProductSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+            unique: true,
+        },
+        sku: { type: String },
+        name: { type: String },
+        discontinuedAt: {
+            type: Date,
+            required: true,
+        },
+        discontinuedBy: { type: String },
+        // Event that reported the deletion
+        eventId: { type: String },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const DiscontinuedProduct = mongoose.model("DiscontinuedProduct", discontinuedProductSchema);
+export default DiscontinuedProduct;
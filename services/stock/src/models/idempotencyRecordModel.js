@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Keys are remembered this long; retries come within minutes
+const RETENTION_SECONDS = (parseInt(process.env.IDEMPOTENCY_RETENTION_DAYS) || 7) * 24 * 60 * 60;
+
+/**
+ * An atomic bulk movement request applied under an Idempotency-Key.
+ * Written in the same transaction as its movements, so a retried request
+ * either finds the record (and gets the original results back) or finds
+ * nothing was applied.
+ */
+const idempotencyRecordSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Results of the applied lines: { index, type, productId, movementId, currentStock }
+        results: {
+            type: [mongoose.Schema.Types.Mixed],
+            default: [],
+        },
+        performedBy: { type: String },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+idempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+/**
+ * Whether an error is the duplicate key of a concurrent request.
+ */
+idempotencyRecordSchema.statics.isDuplicate = function (error) {
+    return error?.code === 11000 && Boolean(error.keyPattern?.key);
+};
+
+const IdempotencyRecord = mongoose.model("IdempotencyRecord", idempotencyRecordSchema);
+export default IdempotencyRecord;
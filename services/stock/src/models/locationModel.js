@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const locationSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, "Location code is required"],
+            unique: true,
+            trim: true,
+            uppercase: true,
+            maxlength: [20, "Code cannot exceed 20 characters"],
+        },
+        name: {
+            type: String,
+            required: [true, "Location name is required"],
+            trim: true,
+            minlength: [2, "Name must be at least 2 characters"],
+            maxlength: [100, "Name cannot exceed 100 characters"],
+        },
+        address: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Address cannot exceed 500 characters"],
+        },
+        isDefault: {
+            type: Boolean,
+            default: false,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+locationSchema.index({ isActive: 1 });
+locationSchema.index({ isDefault: 1 });
+
+locationSchema.methods.softDelete = async function () {
+    this.isActive = false;
+    this.isDefault = false;
+    return await this.save();
+};
+
+locationSchema.statics.findActive = function () {
+    return this.find({ isActive: true });
+};
+
+/**
+ * Location used when a request does not name one.
+ * Created on first use so a fresh install keeps working without setup.
+ */
+locationSchema.statics.getDefault = async function () {
+    let location = await this.findOne({ isDefault: true, isActive: true });
+    if (!location) {
+        location = await this.findOneAndUpdate(
+            { code: (process.env.DEFAULT_LOCATION_CODE || "MAIN").toUpperCase() },
+            {
+                $set: { isDefault: true, isActive: true },
+                $setOnInsert: { name: "Main Warehouse", createdBy: "system" },
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+    }
+    return location;
+};
+
+/**
+ * Make this location the only default one.
+ */
+locationSchema.methods.makeDefault = async function () {
+    await this.constructor.updateMany(
+        { _id: { $ne: this._id }, isDefault: true },
+        { $set: { isDefault: false } }
+    );
+    this.isDefault = true;
+    return await this.save();
+};
+
+const Location = mongoose.model("Location", locationSchema);
+export default Location;
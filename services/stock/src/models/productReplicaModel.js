@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+// Product fields the Stock service keeps a copy of
+export const REPLICATED_FIELDS = [
+    "sku",
+    "name",
+    "category",
+    "price",
+    "lowStockThreshold",
+    "reorderPoint",
+    "criticalLevel",
+    "serialized",
+    "isActive",
+];
+
+/**
+ * Local read-model of a product, kept up to date from product events so
+ * stock requests do not need the Products service.
+ */
+const productReplicaSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+            unique: true,
+        },
+        sku: { type: String },
+        name: { type: String },
+        category: { type: String },
+        price: { type: Number },
+        lowStockThreshold: { type: Number },
+        reorderPoint: { type: Number, default: null },
+        criticalLevel: { type: Number, default: null },
+        serialized: { type: Boolean, default: false },
+        isActive: { type: Boolean, default: true },
+        // When the product last changed in the Products service; older
+        // updates arriving late are ignored
+        sourceUpdatedAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Store the replicated fields of `data` unless a newer version is
+ * already stored. A partial change only updates an existing replica, so
+ * a replica is never created with fields missing.
+ * @returns {boolean} whether the replica changed
+ */
+productReplicaSchema.statics.applyChange = async function (
+    productId,
+    data,
+    sourceUpdatedAt,
+    { partial = false } = {}
+) {
+    const $set = { sourceUpdatedAt };
+    for (const field of REPLICATED_FIELDS) {
+        if (data[field] !== undefined) $set[field] = data[field];
+    }
+
+    try {
+        const result = await this.updateOne(
+            { productId, sourceUpdatedAt: { $lte: sourceUpdatedAt } },
+            { $set },
+            { upsert: !partial }
+        );
+        return result.modifiedCount + result.upsertedCount > 0;
+    } catch (error) {
+        // The upsert collided with a newer stored version
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * The replica in the shape of a Products service product.
+ */
+productReplicaSchema.methods.toProduct = function () {
+    const product = { _id: this.productId };
+    for (const field of REPLICATED_FIELDS) {
+        product[field] = this[field];
+    }
+    return product;
+};
+
+const ProductReplica = mongoose.model("ProductReplica", productReplicaSchema);
+export default ProductReplica;
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+export const RESERVATION_STATUS = {
+    ACTIVE: "active",
+    CONFIRMED: "confirmed",
+    RELEASED: "released",
+    EXPIRED: "expired",
+};
+
+export const DEFAULT_RESERVATION_TTL_MINUTES =
+    parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+
+const reservationSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+            index: true,
+        },
+        locationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: [true, "Location ID is required"],
+        },
+        quantity: {
+            type: Number,
+            required: [true, "Quantity is required"],
+            min: [1, "Quantity must be positive"],
+        },
+        status: {
+            type: String,
+            enum: Object.values(RESERVATION_STATUS),
+            default: RESERVATION_STATUS.ACTIVE,
+        },
+        reference: {
+            type: String,
+            trim: true,
+            maxlength: [100, "Reference cannot exceed 100 characters"],
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        movementId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "StockMovement",
+        },
+        createdBy: {
+            type: String,
+            required: true,
+        },
+        closedBy: {
+            type: String,
+        },
+        closedAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ productId: 1, locationId: 1, status: 1 });
+reservationSchema.index({ reference: 1 });
+
+reservationSchema.methods.isExpired = function (now = new Date()) {
+    return this.status === RESERVATION_STATUS.ACTIVE && this.expiresAt <= now;
+};
+
+reservationSchema.statics.findDueForExpiry = function (now = new Date(), limit = 100) {
+    return this.find({
+        status: RESERVATION_STATUS.ACTIVE,
+        expiresAt: { $lte: now },
+    })
+        .sort({ expiresAt: 1 })
+        .limit(limit);
+};
+
+const Reservation = mongoose.model("Reservation", reservationSchema);
+export default Reservation;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const SERIAL_STATUS = {
+    IN_STOCK: "in_stock",
+    OUT: "out",
+};
+
+const serialNumberSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+        },
+        serialNumber: {
+            type: String,
+            required: [true, "Serial number is required"],
+            trim: true,
+            maxlength: [100, "Serial number cannot exceed 100 characters"],
+        },
+        status: {
+            type: String,
+            enum: Object.values(SERIAL_STATUS),
+            default: SERIAL_STATUS.IN_STOCK,
+        },
+        // Where the unit currently is, or was last seen before leaving stock
+        locationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: true,
+        },
+        lastMovementAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A serial number is unique within a product
+serialNumberSchema.index({ productId: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ serialNumber: 1 });
+serialNumberSchema.index({ productId: 1, locationId: 1, status: 1 });
+
+const SerialNumber = mongoose.model("SerialNumber", serialNumberSchema);
+export default SerialNumber;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const ALERT_LEVELS = {
+    OK: "ok",
+    LOW: "low",
+    CRITICAL: "critical",
+    OUT: "out",
+};
+
+/**
+ * Last evaluated alert level of a product's stock across all locations.
+ * An alert event fires only when the level gets worse, so each threshold
+ * crossing is announced once. The thresholds used are kept for
+ * re-evaluations where product details cannot be fetched.
+ */
+const stockAlertStateSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+            unique: true,
+        },
+        level: {
+            type: String,
+            enum: Object.values(ALERT_LEVELS),
+            default: ALERT_LEVELS.OK,
+        },
+        available: {
+            type: Number,
+            default: 0,
+        },
+        lowStockThreshold: { type: Number },
+        reorderPoint: { type: Number },
+        criticalLevel: { type: Number, default: null },
+        lastAlertAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+stockAlertStateSchema.index({ level: 1, updatedAt: -1 });
+
+const StockAlertState = mongoose.model("StockAlertState", stockAlertStateSchema);
+export default StockAlertState;
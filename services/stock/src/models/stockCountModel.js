@@ -0,0 +1,138 @@
+import mongoose from "mongoose";
+
+export const COUNT_STATUS = {
+    OPEN: "open",
+    APPROVED: "approved",
+    CANCELLED: "cancelled",
+};
+
+// One counter's tally of a line
+const countEntrySchema = new mongoose.Schema(
+    {
+        countedBy: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 0 },
+        countedAt: { type: Date, default: Date.now },
+    },
+    { _id: false }
+);
+
+const countLineSchema = new mongoose.Schema(
+    {
+        productId: { type: String, required: true },
+        productName: { type: String },
+        sku: { type: String },
+        serialized: { type: Boolean, default: false },
+        // On-hand quantity at the location when the session was opened
+        expectedQuantity: { type: Number, required: true, min: 0 },
+        counts: { type: [countEntrySchema], default: [] },
+        // Latest count; null until the line has been counted
+        countedQuantity: { type: Number, default: null, min: 0 },
+        movementId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "StockMovement",
+        },
+    },
+    {
+        _id: false,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+countLineSchema.virtual("variance").get(function () {
+    return this.countedQuantity === null ? null : this.countedQuantity - this.expectedQuantity;
+});
+
+// Counters disagree when their latest tallies differ
+countLineSchema.virtual("disputed").get(function () {
+    const latest = new Map(this.counts.map((entry) => [entry.countedBy, entry.quantity]));
+    return new Set(latest.values()).size > 1;
+});
+
+/**
+ * A physical inventory count of some products at one location.
+ * Expected quantities are frozen when the session opens; on approval each
+ * counted variance is posted as an adjustment movement.
+ */
+const stockCountSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "Count name is required"],
+            trim: true,
+            maxlength: [100, "Count name cannot exceed 100 characters"],
+        },
+        locationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: [true, "Location ID is required"],
+        },
+        category: {
+            type: String,
+            trim: true,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Notes cannot exceed 500 characters"],
+        },
+        status: {
+            type: String,
+            enum: Object.values(COUNT_STATUS),
+            default: COUNT_STATUS.OPEN,
+        },
+        lines: {
+            type: [countLineSchema],
+            validate: [(lines) => lines.length > 0, "A count needs at least one product"],
+        },
+        snapshotAt: {
+            type: Date,
+            required: true,
+        },
+        createdBy: {
+            type: String,
+            required: true,
+        },
+        approvedBy: {
+            type: String,
+        },
+        approvedAt: {
+            type: Date,
+        },
+        cancelledBy: {
+            type: String,
+        },
+        cancelledAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+stockCountSchema.index({ status: 1, createdAt: -1 });
+stockCountSchema.index({ locationId: 1, createdAt: -1 });
+stockCountSchema.index({ "lines.productId": 1 });
+
+stockCountSchema.virtual("counters").get(function () {
+    return [...new Set(this.lines.flatMap((line) => line.counts.map((entry) => entry.countedBy)))];
+});
+
+stockCountSchema.virtual("progress").get(function () {
+    const counted = this.lines.filter((line) => line.countedQuantity !== null);
+    return {
+        lineCount: this.lines.length,
+        countedLines: counted.length,
+        varianceLines: counted.filter((line) => line.countedQuantity !== line.expectedQuantity).length,
+        netVariance: counted.reduce(
+            (sum, line) => sum + line.countedQuantity - line.expectedQuantity,
+            0
+        ),
+    };
+});
+
+const StockCount = mongoose.model("StockCount", stockCountSchema);
+export default StockCount;
@@ -5,7 +5,12 @@ const stockLevelSchema = new mongoose.Schema(
         productId: {
             type: String,
             required: [true, "Product ID is required"],
-            unique: true,
+            index: true,
+        },
+        locationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: [true, "Location ID is required"],
             index: true,
         },
         currentQuantity: {
@@ -14,6 +19,11 @@ const stockLevelSchema = new mongoose.Schema(
             default: 0,
             min: [0, "Quantity cannot be negative"],
         },
+        reserved: {
+            type: Number,
+            default: 0,
+            min: [0, "Reserved quantity cannot be negative"],
+        },
         lastUpdated: {
             type: Date,
             default: Date.now,
@@ -21,34 +31,162 @@ const stockLevelSchema = new mongoose.Schema(
     },
     {
         timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
     }
 );
 
-stockLevelSchema.methods.updateQuantity = async function (delta) {
-    this.currentQuantity += delta;
-    if (this.currentQuantity < 0) {
-        throw new Error("Insufficient stock");
+// On-hand stock not held by an active reservation
+stockLevelSchema.virtual("available").get(function () {
+    return this.currentQuantity - (this.reserved || 0);
+});
+
+const availableAtLeast = (quantity) => ({
+    $expr: {
+        $gte: [{ $subtract: ["$currentQuantity", { $ifNull: ["$reserved", 0] }] }, quantity],
+    },
+});
+
+// One stock level per product per location
+stockLevelSchema.index({ productId: 1, locationId: 1 }, { unique: true });
+
+stockLevelSchema.statics.getOrCreate = function (productId, locationId) {
+    return this.findOneAndUpdate(
+        { productId, locationId },
+        { $setOnInsert: { currentQuantity: 0, reserved: 0, lastUpdated: new Date() } },
+        { new: true, upsert: true }
+    );
+};
+
+/**
+ * Atomically apply a quantity delta to one (product, location) level.
+ * Decrements only match when enough unreserved stock is available, so
+ * this returns null instead of overselling. Increments create the level
+ * if needed.
+ */
+stockLevelSchema.statics.adjust = function (productId, locationId, delta, { session } = {}) {
+    const filter = { productId, locationId };
+    if (delta < 0) {
+        Object.assign(filter, availableAtLeast(-delta));
     }
-    this.lastUpdated = new Date();
-    return await this.save();
+
+    return this.findOneAndUpdate(
+        filter,
+        {
+            $inc: { currentQuantity: delta },
+            $set: { lastUpdated: new Date() },
+        },
+        { new: true, upsert: delta > 0, session }
+    );
 };
 
-stockLevelSchema.statics.getOrCreate = async function (productId) {
-    let stockLevel = await this.findOne({ productId });
-    if (!stockLevel) {
-        stockLevel = await this.create({
-            productId,
-            currentQuantity: 0,
-        });
+/**
+ * Hold quantity for a reservation. Returns null when not enough is available.
+ */
+stockLevelSchema.statics.reserve = function (productId, locationId, quantity, { session } = {}) {
+    return this.findOneAndUpdate(
+        { productId, locationId, ...availableAtLeast(quantity) },
+        {
+            $inc: { reserved: quantity },
+            $set: { lastUpdated: new Date() },
+        },
+        { new: true, session }
+    );
+};
+
+/**
+ * Drop a reservation hold. With consume, the held units also leave stock
+ * (the reservation was confirmed into an exit).
+ */
+stockLevelSchema.statics.unreserve = function (
+    productId,
+    locationId,
+    quantity,
+    { session, consume = false } = {}
+) {
+    return this.findOneAndUpdate(
+        { productId, locationId, reserved: { $gte: quantity } },
+        {
+            $inc: {
+                reserved: -quantity,
+                ...(consume && { currentQuantity: -quantity }),
+            },
+            $set: { lastUpdated: new Date() },
+        },
+        { new: true, session }
+    );
+};
+
+/**
+ * Low available stock per (product, location) when a location is given,
+ * otherwise rolled up across all locations.
+ */
+stockLevelSchema.statics.getLowStock = async function (threshold = 10, locationId = null) {
+    if (locationId) {
+        return this.find({
+            locationId,
+            $expr: {
+                $lte: [{ $subtract: ["$currentQuantity", { $ifNull: ["$reserved", 0] }] }, threshold],
+            },
+        }).sort({ currentQuantity: 1 });
     }
-    return stockLevel;
+
+    return this.aggregate([
+        ...rollUpStages(),
+        { $match: { available: { $lte: threshold } } },
+        { $sort: { available: 1 } },
+    ]);
 };
 
-stockLevelSchema.statics.getLowStock = async function (threshold = 10) {
-    return this.find({
-        currentQuantity: { $lte: threshold },
-    }).sort({ currentQuantity: 1 });
+/**
+ * Per-location breakdown and total for a single product.
+ */
+stockLevelSchema.statics.getProductTotals = async function (productId) {
+    const levels = await this.find({ productId })
+        .populate("locationId", "code name")
+        .sort({ currentQuantity: -1 });
+
+    const totalQuantity = levels.reduce((sum, level) => sum + level.currentQuantity, 0);
+    const totalReserved = levels.reduce((sum, level) => sum + (level.reserved || 0), 0);
+    const lastUpdated = levels.reduce(
+        (latest, level) => (!latest || level.lastUpdated > latest ? level.lastUpdated : latest),
+        null
+    );
+
+    return { totalQuantity, totalReserved, lastUpdated, levels };
+};
+
+/**
+ * Stock levels summed per product across every location.
+ */
+stockLevelSchema.statics.rollUp = function (match = {}) {
+    return this.aggregate([{ $match: match }, ...rollUpStages()]);
 };
 
+function rollUpStages() {
+    return [
+        {
+            $group: {
+                _id: "$productId",
+                currentQuantity: { $sum: "$currentQuantity" },
+                reserved: { $sum: { $ifNull: ["$reserved", 0] } },
+                locationCount: { $sum: 1 },
+                lastUpdated: { $max: "$lastUpdated" },
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                productId: "$_id",
+                currentQuantity: 1,
+                reserved: 1,
+                available: { $subtract: ["$currentQuantity", "$reserved"] },
+                locationCount: 1,
+                lastUpdated: 1,
+            },
+        },
+    ];
+}
+
 const StockLevel = mongoose.model("StockLevel", stockLevelSchema);
-export default StockLevel;
\ No newline at end of file
+export default StockLevel;
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+const stockLotSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+            index: true,
+        },
+        locationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: [true, "Location ID is required"],
+        },
+        lotNumber: {
+            type: String,
+            required: [true, "Lot number is required"],
+            trim: true,
+            maxlength: [50, "Lot number cannot exceed 50 characters"],
+        },
+        expiryDate: {
+            type: Date,
+            default: null,
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            default: 0,
+            min: [0, "Quantity cannot be negative"],
+        },
+        receivedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One lot record per product per location
+stockLotSchema.index({ productId: 1, locationId: 1, lotNumber: 1 }, { unique: true });
+stockLotSchema.index({ expiryDate: 1, quantity: 1 });
+
+// Lots that can still be shipped: no expiry date, or not yet expired
+const notExpired = (now) => ({ $or: [{ expiryDate: null }, { expiryDate: { $gte: now } }] });
+
+/**
+ * Unexpired lots with stock on hand in first-expired-first-out order.
+ * Lots without an expiry date come last, oldest receipt first. Expired
+ * lots only leave by naming them (a write-off).
+ */
+stockLotSchema.statics.findFefo = async function (productId, locationId, { session, now = new Date() } = {}) {
+    const lots = await this.find({
+        productId,
+        locationId,
+        quantity: { $gt: 0 },
+        ...notExpired(now),
+    }).session(session || null);
+
+    return lots.sort((a, b) => {
+        if (a.expiryDate && b.expiryDate) return a.expiryDate - b.expiryDate;
+        if (a.expiryDate) return -1;
+        if (b.expiryDate) return 1;
+        return a.receivedAt - b.receivedAt;
+    });
+};
+
+/**
+ * Quantity held in lots, expired or not.
+ */
+stockLotSchema.statics.totalQuantity = async function (productId, locationId, { session } = {}) {
+    const [result] = await this.aggregate([
+        { $match: { productId, locationId: new mongoose.Types.ObjectId(String(locationId)), quantity: { $gt: 0 } } },
+        { $group: { _id: null, quantity: { $sum: "$quantity" } } },
+    ]).session(session || null);
+    return result?.quantity || 0;
+};
+
+/**
+ * Lots with stock on hand that expire on or before the given date,
+ * including those already expired.
+ */
+stockLotSchema.statics.getExpiring = function (before, filter = {}) {
+    return this.find({
+        ...filter,
+        quantity: { $gt: 0 },
+        expiryDate: { $ne: null, $lte: before },
+    })
+        .populate("locationId", "code name")
+        .sort({ expiryDate: 1 });
+};
+
+const StockLot = mongoose.model("StockLot", stockLotSchema);
+export default StockLot;
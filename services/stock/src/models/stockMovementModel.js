@@ -3,8 +3,35 @@ import mongoose from "mongoose";
 export const MOVEMENT_TYPES = {
     ENTRY: "entry",
     EXIT: "exit",
+    ADJUSTMENT: "adjustment",
 };
 
+// Which way an adjustment moved stock; quantity itself stays positive
+export const ADJUSTMENT_DIRECTIONS = {
+    IN: "in",
+    OUT: "out",
+};
+
+/**
+ * Whether a movement takes stock away: exits and downward adjustments.
+ */
+export function isOutbound({ type, direction }) {
+    return (
+        type === MOVEMENT_TYPES.EXIT ||
+        (type === MOVEMENT_TYPES.ADJUSTMENT && direction === ADJUSTMENT_DIRECTIONS.OUT)
+    );
+}
+
+// Quantity taken from / added to each lot by a movement
+const lotAllocationSchema = new mongoose.Schema(
+    {
+        lotNumber: { type: String, required: true },
+        expiryDate: { type: Date, default: null },
+        quantity: { type: Number, required: true, min: 1 },
+    },
+    { _id: false }
+);
+
 const stockMovementSchema = new mongoose.Schema(
     {
         productId: {
@@ -12,6 +39,12 @@ const stockMovementSchema = new mongoose.Schema(
             required: [true, "Product ID is required"],
             index: true,
         },
+        locationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: [true, "Location ID is required"],
+            index: true,
+        },
         type: {
             type: String,
             enum: Object.values(MOVEMENT_TYPES),
@@ -22,6 +55,25 @@ const stockMovementSchema = new mongoose.Schema(
             required: [true, "Quantity is required"],
             min: [1, "Quantity must be positive"],
         },
+        direction: {
+            type: String,
+            enum: Object.values(ADJUSTMENT_DIRECTIONS),
+            required: [
+                function () {
+                    return this.type === MOVEMENT_TYPES.ADJUSTMENT;
+                },
+                "Adjustment direction is required",
+            ],
+        },
+        // Entries: cost per unit received. Exits: FIFO cost of the units taken.
+        unitCost: {
+            type: Number,
+            min: [0, "Unit cost cannot be negative"],
+        },
+        costOfGoods: {
+            type: Number,
+            min: [0, "Cost cannot be negative"],
+        },
         reason: {
             type: String,
             required: [true, "Reason is required"],
@@ -33,6 +85,27 @@ const stockMovementSchema = new mongoose.Schema(
             trim: true,
             maxlength: [100, "Reference cannot exceed 100 characters"],
         },
+        lots: {
+            type: [lotAllocationSchema],
+            default: undefined,
+        },
+        serialNumbers: {
+            type: [String],
+            default: undefined,
+        },
+        transferId: {
+            type: String,
+            index: true,
+            sparse: true,
+        },
+        reservationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Reservation",
+        },
+        countId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "StockCount",
+        },
         performedBy: {
             type: String,
             required: true,
@@ -50,8 +123,12 @@ const stockMovementSchema = new mongoose.Schema(
 
 
 stockMovementSchema.index({ productId: 1, timestamp: -1 });
+stockMovementSchema.index({ locationId: 1, timestamp: -1 });
 stockMovementSchema.index({ type: 1, timestamp: -1 });
 stockMovementSchema.index({ performedBy: 1 });
+stockMovementSchema.index({ "lots.lotNumber": 1 });
+stockMovementSchema.index({ serialNumbers: 1, timestamp: 1 });
+stockMovementSchema.index({ countId: 1 }, { sparse: true });
 
 
 stockMovementSchema.statics.getByProduct = function (productId, limit = 50) {
@@ -66,5 +143,56 @@ stockMovementSchema.statics.getByType = function (type, limit = 50) {
         .limit(limit);
 };
 
+stockMovementSchema.statics.getByTransfer = function (transferId) {
+    return this.find({ transferId }).sort({ type: 1 });
+};
+
+stockMovementSchema.statics.getBySerial = function (productId, serialNumber) {
+    return this.find({ productId, serialNumbers: serialNumber }).sort({ timestamp: 1 });
+};
+
+/**
+ * Net signed quantity per (product, location) of the matching movements.
+ */
+stockMovementSchema.statics.netQuantities = function (match = {}) {
+    return this.aggregate([
+        { $match: { locationId: { $exists: true }, ...match } },
+        {
+            $group: {
+                _id: { productId: "$productId", locationId: "$locationId" },
+                quantity: {
+                    $sum: {
+                        $cond: [
+                            {
+                                $or: [
+                                    { $eq: ["$type", MOVEMENT_TYPES.EXIT] },
+                                    {
+                                        $and: [
+                                            { $eq: ["$type", MOVEMENT_TYPES.ADJUSTMENT] },
+                                            { $eq: ["$direction", ADJUSTMENT_DIRECTIONS.OUT] },
+                                        ],
+                                    },
+                                ],
+                            },
+                            { $multiply: ["$quantity", -1] },
+                            "$quantity",
+                        ],
+                    },
+                },
+                movementCount: { $sum: 1 },
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                productId: "$_id.productId",
+                locationId: "$_id.locationId",
+                quantity: 1,
+                movementCount: 1,
+            },
+        },
+    ]);
+};
+
 const StockMovement = mongoose.model("StockMovement", stockMovementSchema);
 export default StockMovement;
\ No newline at end of file
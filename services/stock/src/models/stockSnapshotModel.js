@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const snapshotLevelSchema = new mongoose.Schema(
+    {
+        productId: { type: String, required: true },
+        locationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Location",
+            required: true,
+        },
+        quantity: { type: Number, required: true },
+    },
+    { _id: false }
+);
+
+/**
+ * Checkpoint of every (product, location) quantity at takenAt, derived
+ * from the movement ledger. As-of queries replay movements after the
+ * nearest checkpoint instead of the whole ledger.
+ */
+const stockSnapshotSchema = new mongoose.Schema(
+    {
+        takenAt: {
+            type: Date,
+            required: true,
+            unique: true,
+        },
+        levels: {
+            type: [snapshotLevelSchema],
+            default: [],
+        },
+        movementCount: {
+            type: Number,
+            default: 0,
+        },
+        createdBy: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+stockSnapshotSchema.statics.latestAt = function (asOf) {
+    return this.findOne({ takenAt: { $lte: asOf } }).sort({ takenAt: -1 });
+};
+
+const StockSnapshot = mongoose.model("StockSnapshot", stockSnapshotSchema);
+export default StockSnapshot;
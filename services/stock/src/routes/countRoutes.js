@@ -0,0 +1,71 @@
+/**
+ * Stock Count Routes
+ * services/stock/src/routes/countRoutes.js
+ */
+
+import express from "express";
+import {
+    createCount,
+    getCounts,
+    getCountById,
+    recordCounts,
+    approveCount,
+    cancelCount,
+} from "../controllers/countController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { validateRequest } from "../middlewares/validationMiddleware.js";
+import {
+    createCountSchema,
+    recordCountsSchema,
+    approveCountSchema,
+} from "../validations/countValidation.js";
+
+const router = express.Router();
+
+router.post(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(createCountSchema),
+    createCount
+);
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getCounts
+);
+
+router.get(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getCountById
+);
+
+router.post(
+    "/:id/counts",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(recordCountsSchema),
+    recordCounts
+);
+
+router.post(
+    "/:id/approve",
+    authMiddleware,
+    roleMiddleware("admin"),
+    validateRequest(approveCountSchema),
+    approveCount
+);
+
+router.post(
+    "/:id/cancel",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    cancelCount
+);
+
+export default router;
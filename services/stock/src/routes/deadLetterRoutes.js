@@ -0,0 +1,50 @@
+/**
+ * Dead Letter Routes
+ * services/stock/src/routes/deadLetterRoutes.js
+ */
+
+import express from "express";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { rabbitMQ, CONSUMER_QUEUES } from "../config/rabbitmq.js";
+import { createDeadLetterHandlers } from "../../shared/utils/deadLetterAdmin.js";
+
+const router = express.Router();
+const deadLetters = createDeadLetterHandlers(rabbitMQ, CONSUMER_QUEUES);
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin"),
+    deadLetters.listQueues
+);
+
+router.get(
+    "/:queue",
+    authMiddleware,
+    roleMiddleware("admin"),
+    deadLetters.listMessages
+);
+
+router.get(
+    "/:queue/:messageId",
+    authMiddleware,
+    roleMiddleware("admin"),
+    deadLetters.getMessage
+);
+
+router.post(
+    "/:queue/replay",
+    authMiddleware,
+    roleMiddleware("admin"),
+    deadLetters.replayMessages
+);
+
+router.delete(
+    "/:queue",
+    authMiddleware,
+    roleMiddleware("admin"),
+    deadLetters.purgeMessages
+);
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * Location Routes
+ * services/stock/src/routes/locationRoutes.js
+ */
+
+import express from "express";
+import {
+    createLocation,
+    getAllLocations,
+    getLocationById,
+    updateLocation,
+    deleteLocation,
+} from "../controllers/locationController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { validateRequest } from "../middlewares/validationMiddleware.js";
+import {
+    createLocationSchema,
+    updateLocationSchema,
+} from "../validations/locationValidation.js";
+
+const router = express.Router();
+
+router.post(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin"),
+    validateRequest(createLocationSchema),
+    createLocation
+);
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getAllLocations
+);
+
+router.get(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getLocationById
+);
+
+router.put(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin"),
+    validateRequest(updateLocationSchema),
+    updateLocation
+);
+
+router.delete(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin"),
+    deleteLocation
+);
+
+export default router;
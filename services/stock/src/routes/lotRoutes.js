@@ -0,0 +1,27 @@
+/**
+ * Lot Routes
+ * services/stock/src/routes/lotRoutes.js
+ */
+
+import express from "express";
+import { getLots, getExpiringLots } from "../controllers/lotController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+
+const router = express.Router();
+
+router.get(
+    "/expiring",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getExpiringLots
+);
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getLots
+);
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * Reservation Routes
+ * services/stock/src/routes/reservationRoutes.js
+ */
+
+import express from "express";
+import {
+    createReservation,
+    getReservations,
+    getReservationById,
+    confirmReservation,
+    releaseReservation,
+} from "../controllers/reservationController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { validateRequest } from "../middlewares/validationMiddleware.js";
+import {
+    createReservationSchema,
+    confirmReservationSchema,
+} from "../validations/reservationValidation.js";
+
+const router = express.Router();
+
+router.post(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(createReservationSchema),
+    createReservation
+);
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getReservations
+);
+
+router.get(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getReservationById
+);
+
+router.post(
+    "/:id/confirm",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(confirmReservationSchema),
+    confirmReservation
+);
+
+router.post(
+    "/:id/release",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    releaseReservation
+);
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * Serial Number Routes
+ * services/stock/src/routes/serialRoutes.js
+ */
+
+import express from "express";
+import { getSerials, getSerialHistory } from "../controllers/serialController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+
+const router = express.Router();
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getSerials
+);
+
+router.get(
+    "/:serialNumber",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getSerialHistory
+);
+
+export default router;
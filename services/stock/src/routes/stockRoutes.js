@@ -7,19 +7,54 @@ import express from "express";
 import {
     addStockEntry,
     removeStockExit,
+    transferStock,
+    recordBulkMovements,
     getProductStockLevel,
     getStockMovements,
     getLowStockAlerts,
+    getActiveStockAlerts,
+    getDiscontinuedStock,
+    discontinueProduct,
+    reinstateProduct,
+    resyncProducts,
     getStockSummary,
 } from "../controllers/stockController.js";
+import { getStockValuation } from "../controllers/valuationController.js";
+import {
+    getStockAsOf,
+    createSnapshot,
+    getSnapshots,
+    getConsistencyReport,
+} from "../controllers/ledgerController.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { optionalServiceAuth } from "../middlewares/serviceAuth.js";
 import { validateRequest } from "../middlewares/validationMiddleware.js";
-import { stockEntrySchema, stockExitSchema } from "../validations/stockValidation.js";
+import {
+    stockEntrySchema,
+    stockExitSchema,
+    stockTransferSchema,
+    bulkMovementSchema,
+    discontinueProductSchema,
+} from "../validations/stockValidation.js";
 import { getAllCircuitBreakerStats } from "../../shared/utils/circuitBreaker.js";
+import locationRoutes from "./locationRoutes.js";
+import reservationRoutes from "./reservationRoutes.js";
+import lotRoutes from "./lotRoutes.js";
+import serialRoutes from "./serialRoutes.js";
+import countRoutes from "./countRoutes.js";
+import deadLetterRoutes from "./deadLetterRoutes.js";
+import outboxRoutes from "./outboxRoutes.js";
 
 const router = express.Router();
 
+const staffOrService = (req, res, next) => {
+    if (req.serviceAuth) {
+        return next();
+    }
+    authMiddleware(req, res, () => roleMiddleware("admin", "manager")(req, res, next));
+};
+
 // ─── Health ───────────────────────────────────────────────────────────────────
 
 // Basic service health (public — used by Consul / Traefik)
@@ -71,6 +106,14 @@ router.post(
     removeStockExit
 );
 
+router.post(
+    "/transfer",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(stockTransferSchema),
+    transferStock
+);
+
 router.get(
     "/product/:id",
     authMiddleware,
@@ -78,6 +121,16 @@ router.get(
     getProductStockLevel
 );
 
+// Trusted services (e.g. goods receipts re-driven by Suppliers) may call
+// with their service key instead of a user session
+router.post(
+    "/movements/bulk",
+    optionalServiceAuth,
+    staffOrService,
+    validateRequest(bulkMovementSchema),
+    recordBulkMovements
+);
+
 router.get(
     "/movements",
     authMiddleware,
@@ -85,6 +138,13 @@ router.get(
     getStockMovements
 );
 
+router.get(
+    "/alerts/active",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getActiveStockAlerts
+);
+
 router.get(
     "/alerts",
     authMiddleware,
@@ -92,6 +152,29 @@ router.get(
     getLowStockAlerts
 );
 
+router.get(
+    "/discontinued",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getDiscontinuedStock
+);
+
+// Called by the Products service before it deletes a product
+router.post(
+    "/discontinued/:productId",
+    authMiddleware,
+    roleMiddleware("admin"),
+    validateRequest(discontinueProductSchema),
+    discontinueProduct
+);
+
+router.delete(
+    "/discontinued/:productId",
+    authMiddleware,
+    roleMiddleware("admin"),
+    reinstateProduct
+);
+
 router.get(
     "/summary",
     authMiddleware,
@@ -99,4 +182,78 @@ router.get(
     getStockSummary
 );
 
+router.get(
+    "/valuation",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getStockValuation
+);
+
+// ─── Ledger ───────────────────────────────────────────────────────────────────
+
+router.get(
+    "/as-of",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getStockAsOf
+);
+
+router.post(
+    "/snapshots",
+    authMiddleware,
+    roleMiddleware("admin"),
+    createSnapshot
+);
+
+router.get(
+    "/snapshots",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getSnapshots
+);
+
+router.get(
+    "/consistency",
+    authMiddleware,
+    roleMiddleware("admin"),
+    getConsistencyReport
+);
+
+// ─── Product Replica ──────────────────────────────────────────────────────────
+
+router.post(
+    "/products/resync",
+    authMiddleware,
+    roleMiddleware("admin"),
+    resyncProducts
+);
+
+// ─── Locations ────────────────────────────────────────────────────────────────
+
+router.use("/locations", locationRoutes);
+
+// ─── Reservations ─────────────────────────────────────────────────────────────
+
+router.use("/reservations", reservationRoutes);
+
+// ─── Lots ─────────────────────────────────────────────────────────────────────
+
+router.use("/lots", lotRoutes);
+
+// ─── Serial Numbers ───────────────────────────────────────────────────────────
+
+router.use("/serials", serialRoutes);
+
+// ─── Stock Counts ─────────────────────────────────────────────────────────────
+
+router.use("/counts", countRoutes);
+
+// ─── Dead Letters ─────────────────────────────────────────────────────────────
+
+router.use("/dead-letters", deadLetterRoutes);
+
+// ─── Outbox ───────────────────────────────────────────────────────────────────
+
+router.use("/outbox", outboxRoutes);
+
 export default router;
\ No newline at end of file
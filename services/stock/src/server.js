@@ -9,10 +9,11 @@ import { connectDB } from "./config/db.js";
 import { swaggerServe, swaggerSetup } from "./config/swagger.js";
 import stockRoutes from "./routes/stockRoutes.js";
 import { errorHandler } from "./middlewares/errorMiddleware.js";
+import stockService from "./services/stockService.js";
+import stockAlertService from "./services/stockAlertService.js";
 
 import ConsulClient from "../shared/utils/consulClient.js";
-import RabbitMQClient from "../shared/utils/rabbitmqClient.js";
-import { EXCHANGES } from "../shared/events/eventTypes.js";
+import { rabbitMQ, setupRabbitMQ } from "./config/rabbitmq.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -45,7 +46,8 @@ const allowedOrigins = [
 ].filter(Boolean);
 
 app.use(cors({ origin: allowedOrigins, credentials: true }));
-app.use(express.json());
+// Bulk movement requests carry up to 500 lines
+app.use(express.json({ limit: "1mb" }));
 app.use(cookieParser());
 
 // Swagger Documentation
@@ -67,16 +69,23 @@ app.get("/", (req, res) => {
 // Error Handler
 app.use(errorHandler);
 
-// RabbitMQ Setup
-const rabbitMQ = new RabbitMQClient();
-async function setupRabbitMQ() {
-    try {
-        await rabbitMQ.connect();
-        await rabbitMQ.createExchange(EXCHANGES.STOCK, "topic");
-        console.log("RabbitMQ connected");
-    } catch (error) {
-        console.error("RabbitMQ failed:", error.message);
-    }
+// Reservation Expiry
+// Releases held stock once a reservation's TTL has passed
+function startReservationExpiry() {
+    const interval = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60000;
+    setInterval(async () => {
+        try {
+            const expired = await stockService.expireReservations();
+            if (expired.length > 0) {
+                console.log(`Expired ${expired.length} stock reservation(s)`);
+            }
+            for (const productId of new Set(expired.map((r) => r.productId))) {
+                stockAlertService.notify(productId);
+            }
+        } catch (error) {
+            console.error("Reservation expiry failed:", error.message);
+        }
+    }, interval).unref();
 }
 
 // Start Server
@@ -91,6 +100,8 @@ connectDB()
             // Setup RabbitMQ
             await setupRabbitMQ();
 
+            startReservationExpiry();
+
             // Register with Consul
             const SERVICE_NAME = process.env.SERVICE_NAME || "stock-service";
             const consulClient = new ConsulClient(
@@ -0,0 +1,196 @@
+/**
+ * Count Service
+ * Physical inventory (cycle count) sessions: freeze expected quantities,
+ * collect counts, and on approval post each variance as an adjustment.
+ *
+ * services/stock/src/services/countService.js
+ */
+
+import StockCount, { COUNT_STATUS } from "../models/stockCountModel.js";
+import StockLevel from "../models/stockLevelModel.js";
+import { MOVEMENT_TYPES, ADJUSTMENT_DIRECTIONS } from "../models/stockMovementModel.js";
+import stockService from "./stockService.js";
+import {
+    NotFoundError,
+    BadRequestError,
+    InsufficientStockError,
+    ERROR_CODES,
+} from "../utils/errors.js";
+
+/**
+ * The count, if it exists and is still open.
+ */
+async function findOpenCount(countId, session = null) {
+    const count = await StockCount.findById(countId, null, { session });
+    if (!count) {
+        throw new NotFoundError("Stock count", ERROR_CODES.COUNT_NOT_FOUND);
+    }
+    if (count.status !== COUNT_STATUS.OPEN) {
+        throw new BadRequestError(`Stock count is already ${count.status}`, ERROR_CODES.COUNT_NOT_OPEN);
+    }
+    return count;
+}
+
+const countService = {
+    /**
+     * Open a count session for the given products at one location.
+     * @param {Array<{ productId, name, sku, serialized }>} products
+     */
+    async open({ name, location, category, notes, products, createdBy }) {
+        const productIds = products.map((product) => product.productId);
+        const levels = await StockLevel.find({
+            locationId: location._id,
+            productId: { $in: productIds },
+        });
+        const onHand = new Map(levels.map((level) => [level.productId, level.currentQuantity]));
+
+        return StockCount.create({
+            name,
+            locationId: location._id,
+            category,
+            notes,
+            snapshotAt: new Date(),
+            createdBy,
+            lines: products.map((product) => ({
+                productId: product.productId,
+                productName: product.name,
+                sku: product.sku,
+                serialized: Boolean(product.serialized),
+                expectedQuantity: onHand.get(product.productId) || 0,
+            })),
+        });
+    },
+
+    /**
+     * Record counted quantities. The latest count of a line is the one
+     * that will be posted; earlier ones stay as the audit trail.
+     * @param {Array<{ productId, quantity }>} counts
+     */
+    async recordCounts(countId, counts, countedBy) {
+        const count = await findOpenCount(countId);
+
+        const known = new Set(count.lines.map((line) => line.productId));
+        const unknown = counts.filter(({ productId }) => !known.has(productId));
+        if (unknown.length > 0) {
+            throw new BadRequestError(
+                `Product(s) not part of this count: ${unknown.map((c) => c.productId).join(", ")}`
+            );
+        }
+
+        const countedAt = new Date();
+        for (const { productId, quantity } of counts) {
+            // Status guard so counts never land on a count approved meanwhile
+            const result = await StockCount.updateOne(
+                { _id: countId, status: COUNT_STATUS.OPEN },
+                {
+                    $push: { "lines.$[line].counts": { countedBy, quantity, countedAt } },
+                    $set: { "lines.$[line].countedQuantity": quantity },
+                },
+                { arrayFilters: [{ "line.productId": productId }] }
+            );
+            if (result.matchedCount === 0) {
+                await findOpenCount(countId);
+            }
+        }
+
+        return StockCount.findById(countId);
+    },
+
+    /**
+     * Approve the count and post one adjustment movement per counted line
+     * whose count differs from the expected quantity, all in one
+     * transaction. The variance is applied to the current stock level, so
+     * movements recorded while counting are kept. Lines never counted are
+     * left as they are.
+     *
+     * Disputed lines (counters disagree) block approval until recounted,
+     * unless excludeDisputed is set: they are then left unposted.
+     * @returns {{ count, movements, excluded }}
+     */
+    async approve(countId, approvedBy, { excludeDisputed = false } = {}) {
+        return stockService.runInTransaction(async (session) => {
+            const count = await findOpenCount(countId, session);
+
+            const excluded = count.lines.filter((line) => line.disputed);
+            if (excluded.length > 0 && !excludeDisputed) {
+                throw new BadRequestError(
+                    `Disputed line(s) must be recounted first, or approved with excludeDisputed: ${excluded
+                        .map((line) => line.productId)
+                        .join(", ")}`,
+                    ERROR_CODES.COUNT_DISPUTED
+                );
+            }
+
+            const varying = count.lines.filter(
+                (line) => line.countedQuantity !== null && line.variance !== 0 && !line.disputed
+            );
+
+            const serialized = varying.filter((line) => line.serialized);
+            if (serialized.length > 0) {
+                throw new BadRequestError(
+                    `Serialized product(s) must be corrected by serial number: ${serialized
+                        .map((line) => line.productId)
+                        .join(", ")}`
+                );
+            }
+
+            const movements = [];
+            for (const line of varying) {
+                let result;
+                try {
+                    result = await stockService.applyMovement(
+                        {
+                            productId: line.productId,
+                            locationId: count.locationId,
+                            type: MOVEMENT_TYPES.ADJUSTMENT,
+                            direction:
+                                line.variance > 0 ? ADJUSTMENT_DIRECTIONS.IN : ADJUSTMENT_DIRECTIONS.OUT,
+                            quantity: Math.abs(line.variance),
+                            reason: `Stock count: ${count.name}`,
+                            reference: String(count._id),
+                            countId: count._id,
+                            performedBy: approvedBy,
+                        },
+                        session
+                    );
+                } catch (error) {
+                    if (error instanceof InsufficientStockError) {
+                        throw new BadRequestError(
+                            `Cannot remove ${-line.variance} units of ${line.productId}: ` +
+                            `only ${error.errors.available} are unreserved`,
+                            ERROR_CODES.INSUFFICIENT_STOCK
+                        );
+                    }
+                    throw error;
+                }
+
+                line.movementId = result.movement._id;
+                movements.push(result.movement);
+            }
+
+            count.status = COUNT_STATUS.APPROVED;
+            count.approvedBy = approvedBy;
+            count.approvedAt = new Date();
+            await count.save({ session });
+
+            return { count, movements, excluded };
+        });
+    },
+
+    async cancel(countId, cancelledBy) {
+        const count = await StockCount.findOneAndUpdate(
+            { _id: countId, status: COUNT_STATUS.OPEN },
+            {
+                $set: {
+                    status: COUNT_STATUS.CANCELLED,
+                    cancelledBy,
+                    cancelledAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+        return count || findOpenCount(countId);
+    },
+};
+
+export default countService;
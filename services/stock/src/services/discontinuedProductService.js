@@ -0,0 +1,157 @@
+/**
+ * Discontinued Product Service
+ * Keeps the local record of products deleted in the Products service,
+ * guards stock movements against them and reports the stock they still hold.
+ *
+ * services/stock/src/services/discontinuedProductService.js
+ */
+
+import DiscontinuedProduct from "../models/discontinuedProductModel.js";
+import StockLevel from "../models/stockLevelModel.js";
+import logger from "../utils/logger.js";
+import { AppError, ProductDiscontinuedError, ERROR_CODES } from "../utils/errors.js";
+
+/**
+ * Throw when product details from the Products service show the product
+ * as deleted, before its product.deleted event has been handled here.
+ */
+export function checkProductActive(productId, product) {
+    if (product && !product._isFallback && product.isActive === false) {
+        throw new ProductDiscontinuedError(productId);
+    }
+}
+
+const discontinuedProductService = {
+    /**
+     * Record a product.deleted event. Redelivered events are harmless.
+     */
+    async handleProductDeleted(event) {
+        const { productId, sku, name, deletedBy } = event.data;
+
+        await DiscontinuedProduct.updateOne(
+            { productId },
+            {
+                $setOnInsert: {
+                    sku,
+                    name,
+                    discontinuedAt: new Date(event.timestamp || Date.now()),
+                    discontinuedBy: deletedBy,
+                    eventId: event.eventId,
+                },
+            },
+            { upsert: true }
+        );
+
+        logger.info(`[DiscontinuedProducts] ${sku || productId} discontinued; stock movements blocked`);
+    },
+
+    /**
+     * Record a product as discontinued before the Products service deletes
+     * it, so stock stops moving at once rather than when product.deleted
+     * arrives. Unless forced, refused (and nothing recorded) while the
+     * product holds stock. The product's levels are written in the same
+     * transaction, so a movement committing concurrently conflicts with it
+     * and, retried, finds the product discontinued.
+     * @returns {{ created: boolean }} created false when already recorded
+     * @throws {AppError} 409 PRODUCT_HAS_STOCK
+     */
+    async discontinue({ productId, sku, name, discontinuedBy, force = false }, session) {
+        const { upsertedCount } = await DiscontinuedProduct.updateOne(
+            { productId },
+            {
+                $setOnInsert: {
+                    sku,
+                    name,
+                    discontinuedAt: new Date(),
+                    discontinuedBy,
+                },
+            },
+            { upsert: true, session }
+        );
+
+        if (!force) {
+            await StockLevel.updateMany(
+                { productId },
+                { $currentDate: { updatedAt: true } },
+                { session, timestamps: false }
+            );
+            const [held] = await StockLevel.aggregate([
+                { $match: { productId } },
+                {
+                    $group: {
+                        _id: null,
+                        currentQuantity: { $sum: "$currentQuantity" },
+                        reserved: { $sum: { $ifNull: ["$reserved", 0] } },
+                    },
+                },
+            ]).session(session);
+
+            if (held && (held.currentQuantity > 0 || held.reserved > 0)) {
+                throw new AppError(
+                    `Product still has ${held.currentQuantity} unit(s) in stock; ` +
+                    "clear the stock or delete with force=true",
+                    409,
+                    ERROR_CODES.PRODUCT_HAS_STOCK,
+                    { currentQuantity: held.currentQuantity, reserved: held.reserved }
+                );
+            }
+        }
+
+        logger.info(`[DiscontinuedProducts] ${sku || productId} discontinued; stock movements blocked`);
+        return { created: upsertedCount > 0 };
+    },
+
+    /**
+     * Undo discontinue() when the Products service could not delete the
+     * product after all.
+     */
+    async reinstate(productId) {
+        const { deletedCount } = await DiscontinuedProduct.deleteOne({ productId });
+        if (deletedCount > 0) {
+            logger.warn(`[DiscontinuedProducts] ${productId} reinstated; product deletion did not complete`);
+        }
+        return deletedCount > 0;
+    },
+
+    /**
+     * Throw when the product is recorded as discontinued.
+     */
+    async assertNotDiscontinued(productId, session = null) {
+        if (await DiscontinuedProduct.exists({ productId }).session(session)) {
+            throw new ProductDiscontinuedError(productId);
+        }
+    },
+
+    /**
+     * Discontinued products that still hold stock, with per-location levels.
+     */
+    async heldStockReport() {
+        const discontinued = await DiscontinuedProduct.find().sort({ discontinuedAt: -1 }).lean();
+        if (discontinued.length === 0) {
+            return [];
+        }
+
+        const levels = await StockLevel.find({
+            productId: { $in: discontinued.map((product) => product.productId) },
+            $or: [{ currentQuantity: { $gt: 0 } }, { reserved: { $gt: 0 } }],
+        }).populate("locationId", "code name");
+
+        return discontinued
+            .map((product) => {
+                const held = levels.filter((level) => level.productId === product.productId);
+                return {
+                    ...product,
+                    currentQuantity: held.reduce((sum, level) => sum + level.currentQuantity, 0),
+                    reserved: held.reduce((sum, level) => sum + (level.reserved || 0), 0),
+                    locations: held.map((level) => ({
+                        location: level.locationId,
+                        currentQuantity: level.currentQuantity,
+                        reserved: level.reserved,
+                    })),
+                };
+            })
+            .filter((product) => product.locations.length > 0);
+    },
+};
+
+export default discontinuedProductService;
@@ -0,0 +1,132 @@
+/**
+ * Ledger Service
+ * Rebuilds stock quantities from the append-only movement ledger:
+ * point-in-time (as-of) queries, snapshot checkpoints and a consistency
+ * check of stored stock levels against the ledger.
+ *
+ * services/stock/src/services/ledgerService.js
+ */
+
+import mongoose from "mongoose";
+import StockMovement from "../models/stockMovementModel.js";
+import StockLevel from "../models/stockLevelModel.js";
+import StockSnapshot from "../models/stockSnapshotModel.js";
+
+// Movements are timestamped before their transaction commits, so recent
+// history may still be filling in. Checkpoints stay behind this window.
+export const SNAPSHOT_SETTLE_MS = parseInt(process.env.SNAPSHOT_SETTLE_MS) || 60000;
+
+const keyOf = (productId, locationId) => `${productId}:${locationId}`;
+
+const ledgerService = {
+    /**
+     * Quantity of every (product, location) at asOf: the nearest snapshot
+     * at or before asOf, plus the movements recorded after it.
+     * @returns {{ snapshot, levels: Array<{ productId, locationId, quantity }> }}
+     */
+    async quantitiesAsOf(asOf, { productId, locationId } = {}) {
+        const snapshot = await StockSnapshot.latestAt(asOf);
+
+        const levels = new Map();
+        for (const level of snapshot?.levels || []) {
+            if (productId && level.productId !== productId) continue;
+            if (locationId && String(level.locationId) !== String(locationId)) continue;
+            levels.set(keyOf(level.productId, level.locationId), {
+                productId: level.productId,
+                locationId: level.locationId,
+                quantity: level.quantity,
+            });
+        }
+
+        const match = { timestamp: { $lte: asOf } };
+        if (snapshot) match.timestamp.$gt = snapshot.takenAt;
+        if (productId) match.productId = productId;
+        if (locationId) match.locationId = new mongoose.Types.ObjectId(String(locationId));
+
+        for (const delta of await StockMovement.netQuantities(match)) {
+            const key = keyOf(delta.productId, delta.locationId);
+            const level = levels.get(key) || {
+                productId: delta.productId,
+                locationId: delta.locationId,
+                quantity: 0,
+            };
+            level.quantity += delta.quantity;
+            levels.set(key, level);
+        }
+
+        return { snapshot, levels: [...levels.values()] };
+    },
+
+    /**
+     * Store a checkpoint of all quantities at asOf.
+     */
+    async createSnapshot(asOf, createdBy) {
+        const { snapshot: base, levels } = await this.quantitiesAsOf(asOf);
+
+        const movementCount = await StockMovement.countDocuments({
+            timestamp: { $lte: asOf, ...(base && { $gt: base.takenAt }) },
+        });
+
+        return StockSnapshot.create({
+            takenAt: asOf,
+            levels: levels.filter((level) => level.quantity !== 0),
+            movementCount,
+            createdBy,
+        });
+    },
+
+    /**
+     * Compare every stored StockLevel with the quantity the ledger implies.
+     * @returns {Array<{ productId, locationId, storedQuantity, ledgerQuantity, difference }>}
+     */
+    async findDiscrepancies({ productId, locationId } = {}) {
+        const checkedAt = new Date();
+        const { levels: ledgerLevels } = await this.quantitiesAsOf(checkedAt, {
+            productId,
+            locationId,
+        });
+
+        const filter = {};
+        if (productId) filter.productId = productId;
+        if (locationId) filter.locationId = locationId;
+        const stored = await StockLevel.find(filter).select("productId locationId currentQuantity").lean();
+
+        const ledger = new Map(
+            ledgerLevels.map((level) => [keyOf(level.productId, level.locationId), level.quantity])
+        );
+        const discrepancies = [];
+
+        for (const level of stored) {
+            const key = keyOf(level.productId, level.locationId);
+            const ledgerQuantity = ledger.get(key) || 0;
+            ledger.delete(key);
+
+            if (ledgerQuantity !== level.currentQuantity) {
+                discrepancies.push({
+                    productId: level.productId,
+                    locationId: level.locationId,
+                    storedQuantity: level.currentQuantity,
+                    ledgerQuantity,
+                    difference: level.currentQuantity - ledgerQuantity,
+                });
+            }
+        }
+
+        // Ledger quantities with no stock level at all
+        for (const [key, ledgerQuantity] of ledger) {
+            if (ledgerQuantity === 0) continue;
+            const [missingProductId, missingLocationId] = key.split(":");
+            discrepancies.push({
+                productId: missingProductId,
+                locationId: missingLocationId,
+                storedQuantity: null,
+                ledgerQuantity,
+                difference: -ledgerQuantity,
+            });
+        }
+
+        return { checkedAt, discrepancies };
+    },
+};
+
+export default ledgerService;
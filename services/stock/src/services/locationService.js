@@ -0,0 +1,41 @@
+/**
+ * Location Service
+ * Resolves the location a stock request applies to.
+ *
+ * services/stock/src/services/locationService.js
+ */
+
+import mongoose from "mongoose";
+import Location from "../models/locationModel.js";
+import { NotFoundError, BadRequestError, ERROR_CODES } from "../utils/errors.js";
+
+const locationService = {
+    /**
+     * Active location for the given id, or the default location when
+     * no id is given.
+     */
+    async resolve(locationId) {
+        if (!locationId) {
+            return Location.getDefault();
+        }
+        if (!mongoose.isValidObjectId(locationId)) {
+            throw new BadRequestError(`Invalid locationId: ${locationId}`);
+        }
+
+        const location = await Location.findOne({ _id: locationId, isActive: true });
+        if (!location) {
+            throw new NotFoundError("Location", ERROR_CODES.LOCATION_NOT_FOUND);
+        }
+        return location;
+    },
+
+    toSummary(location) {
+        return {
+            id: location._id,
+            code: location.code,
+            name: location.name,
+        };
+    },
+};
+
+export default locationService;
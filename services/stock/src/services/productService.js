@@ -0,0 +1,302 @@
+/**
+ * Product Service
+ * Product lookups read the local product replica first and only call the
+ * Products service on a miss. Those calls go through a circuit breaker so
+ * a downstream failure never crashes the Stock service; what they return
+ * is added to the replica, which product events keep up to date.
+ *
+ * services/stock/src/services/productService.js
+ */
+
+import SerialNumber from "../models/serialNumberModel.js";
+import ProductReplica from "../models/productReplicaModel.js";
+import logger from "../utils/logger.js";
+import { getServiceHeaders } from "../middlewares/serviceAuth.js";
+import { getCircuitBreaker } from "../../shared/utils/circuitBreaker.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+const PRODUCTS_SERVICE_URL =
+    process.env.PRODUCTS_SERVICE_URL || "http://localhost:5002";
+
+// ─── Circuit Breakers ────────────────────────────────────────────────────────
+// Defined once at module level so the state (OPEN/CLOSED) persists across
+// requests and stats keep accumulating.
+
+// Stand-in for a product the Products service could not be asked about
+function unavailableProduct() {
+    return {
+        _isFallback: true,
+        name: "Unknown (products-service unavailable)",
+        sku: "N/A",
+        lowStockThreshold: parseInt(process.env.DEFAULT_LOW_STOCK_THRESHOLD) || 10,
+    };
+}
+
+export const productsBreaker = getCircuitBreaker(
+    "products-service",
+    {
+        timeout: 5000,
+        errorThresholdPercentage: 50,
+        resetTimeout: 30000,
+        volumeThreshold: 3,
+    },
+    // Fallback: return a minimal object so the stock operation can continue
+    () => unavailableProduct()
+);
+
+/**
+ * Add a product fetched from the Products service to the replica.
+ * A failure only costs a later cache miss.
+ */
+async function remember(product) {
+    try {
+        await ProductReplica.applyChange(
+            String(product._id),
+            product,
+            new Date(product.updatedAt || Date.now())
+        );
+    } catch (error) {
+        logger.error(`[ProductService] could not cache product ${product._id}: ${error.message}`);
+    }
+}
+
+const productService = {
+    /**
+     * Product info from the replica, else from the Products service.
+     * Returns the fallback object if the circuit is open or the call fails.
+     * With remote: false (e.g. no user token to call with) a replica miss
+     * returns null.
+     */
+    async getProductInfo(productId, token, { remote = true } = {}) {
+        const replica = await ProductReplica.findOne({ productId });
+        if (replica) {
+            return replica.toProduct();
+        }
+        if (!remote) {
+            return null;
+        }
+
+        try {
+            const data = await productsBreaker.execute({
+                method: "GET",
+                url: `${PRODUCTS_SERVICE_URL}/api/products/${productId}`,
+                headers: {
+                    Cookie: `accessToken=${token}`,
+                },
+                timeout: 5000,
+            });
+
+            if (data?._isFallback) {
+                return data;
+            }
+
+            // Products service returns { success, data: product }
+            const product = data?.data || data?.product || null;
+            if (product) {
+                await remember(product);
+            }
+            return product;
+        } catch (error) {
+            logger.error(
+                `[ProductService] getProductInfo failed for ${productId}: ${error.message}`
+            );
+            // Fallback already handled by circuit breaker — if we reach here
+            // the fallback itself threw (shouldn't happen with our config).
+            return null;
+        }
+    },
+
+    /**
+     * Many products at once: replicas first, then one Products service
+     * call for the rest. Returns a Map of productId to product; ids the
+     * Products service does not know are absent. When the service is
+     * unavailable every uncached id maps to the fallback object.
+     */
+    async getProductsByIds(productIds, token) {
+        // The Products service only accepts ObjectId-shaped ids
+        const ids = productIds.filter((id) => /^[0-9a-f]{24}$/i.test(id));
+        if (ids.length === 0) {
+            return new Map();
+        }
+
+        const replicas = await ProductReplica.find({ productId: { $in: ids } });
+        const products = new Map(replicas.map((replica) => [replica.productId, replica.toProduct()]));
+
+        const missing = ids.filter((id) => !products.has(id));
+        if (missing.length === 0) {
+            return products;
+        }
+
+        let data;
+        try {
+            data = await productsBreaker.execute({
+                method: "POST",
+                url: `${PRODUCTS_SERVICE_URL}/api/products/batch`,
+                data: { ids: missing },
+                // Service calls (no user token) authenticate with the service key
+                headers: token ? { Cookie: `accessToken=${token}` } : getServiceHeaders(),
+                timeout: 10000,
+            });
+        } catch (error) {
+            logger.error(`[ProductService] getProductsByIds failed: ${error.message}`);
+            data = null;
+        }
+
+        if (!data || data._isFallback) {
+            logger.error(`[ProductService] getProductsByIds failed for ${missing.length} product(s)`);
+            missing.forEach((id) => products.set(id, data || unavailableProduct()));
+            return products;
+        }
+
+        // Products service returns { success, data: products }; the
+        // replica hits stand either way
+        const fetched = data.data || data.products || [];
+        for (const product of fetched) {
+            products.set(String(product._id), product);
+            await remember(product);
+        }
+        return products;
+    },
+
+    /**
+     * Rebuild the replica from the full product list of the Products
+     * service. Replicas of products it no longer has are removed.
+     * @returns {{ synced: number, removed: number } | null}
+     *          null if the Products service is unavailable
+     */
+    async resync(token) {
+        const seen = [];
+
+        for (let page = 1; ; page++) {
+            const data = await productsBreaker.execute({
+                method: "GET",
+                url: `${PRODUCTS_SERVICE_URL}/api/products`,
+                params: { page, limit: 100 },
+                headers: {
+                    Cookie: `accessToken=${token}`,
+                },
+                timeout: 5000,
+            });
+
+            if (!data || data._isFallback) {
+                logger.error(`[ProductService] resync failed at page ${page}`);
+                return null;
+            }
+
+            for (const product of data.data) {
+                await ProductReplica.applyChange(
+                    String(product._id),
+                    product,
+                    new Date(product.updatedAt || Date.now())
+                );
+                seen.push(String(product._id));
+            }
+            if (!data.pagination?.hasNextPage) break;
+        }
+
+        const { deletedCount } = await ProductReplica.deleteMany({ productId: { $nin: seen } });
+        logger.info(`[ProductService] replica resynced: ${seen.length} product(s), ${deletedCount} removed`);
+        return { synced: seen.length, removed: deletedCount };
+    },
+
+    /**
+     * Apply a product.* event to the replica. Created events carry the
+     * whole product; updates and deletions only change a product already
+     * replicated, the rest is fetched on first use.
+     */
+    async handleProductEvent(event) {
+        const { productId } = event.data;
+        const sourceUpdatedAt = new Date(event.data.updatedAt || event.timestamp);
+
+        switch (event.eventType) {
+            case EVENTS.PRODUCT_CREATED:
+                return ProductReplica.applyChange(productId, event.data, sourceUpdatedAt);
+            case EVENTS.PRODUCT_UPDATED:
+                return ProductReplica.applyChange(
+                    productId,
+                    event.data.changes || {},
+                    sourceUpdatedAt,
+                    { partial: true }
+                );
+            case EVENTS.PRODUCT_DELETED:
+                return ProductReplica.applyChange(
+                    productId,
+                    { isActive: false },
+                    sourceUpdatedAt,
+                    { partial: true }
+                );
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Every active product in a category, paging through the Products
+     * service list endpoint.
+     * Returns null if the Products service is unavailable.
+     */
+    async getProductsByCategory(category, token) {
+        const products = [];
+
+        for (let page = 1; ; page++) {
+            const data = await productsBreaker.execute({
+                method: "GET",
+                url: `${PRODUCTS_SERVICE_URL}/api/products`,
+                params: { category, isActive: true, page, limit: 100 },
+                headers: {
+                    Cookie: `accessToken=${token}`,
+                },
+                timeout: 5000,
+            });
+
+            if (!data || data._isFallback) {
+                logger.error(`[ProductService] getProductsByCategory failed for ${category}`);
+                return null;
+            }
+
+            products.push(...data.data);
+            if (!data.pagination?.hasNextPage) break;
+        }
+
+        return products;
+    },
+
+    /**
+     * Whether stock of this product is tracked by serial number.
+     * When the Products service is down, a product counts as serialized
+     * if serial numbers have been recorded for it before.
+     */
+    async isSerialized(product, productId) {
+        if (!product._isFallback) {
+            return Boolean(product.serialized);
+        }
+        return Boolean(await SerialNumber.exists({ productId }));
+    },
+
+    /**
+     * isSerialized for many products at once.
+     * @param {Map<string, object>} products from getProductsByIds
+     * @returns {Set<string>} ids of the serialized products
+     */
+    async serializedIds(products) {
+        const serialized = new Set();
+        const unknown = [];
+
+        for (const [productId, product] of products) {
+            if (!product._isFallback) {
+                if (product.serialized) serialized.add(productId);
+            } else {
+                unknown.push(productId);
+            }
+        }
+
+        if (unknown.length > 0) {
+            const seen = await SerialNumber.distinct("productId", { productId: { $in: unknown } });
+            seen.forEach((productId) => serialized.add(productId));
+        }
+
+        return serialized;
+    },
+};
+
+export default productService;
@@ -0,0 +1,168 @@
+/**
+ * Stock Alert Service
+ * Re-evaluates a product's stock against its own low stock threshold,
+ * reorder point and critical level after each change, and publishes
+ * stock.low / stock.critical / stock.out (through the outbox) when the
+ * product crosses into a worse level.
+ *
+ * services/stock/src/services/stockAlertService.js
+ */
+
+import mongoose from "mongoose";
+import StockLevel from "../models/stockLevelModel.js";
+import StockAlertState, { ALERT_LEVELS } from "../models/stockAlertStateModel.js";
+import productService from "./productService.js";
+import eventPublisher from "./eventPublisher.js";
+import logger from "../utils/logger.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.DEFAULT_LOW_STOCK_THRESHOLD) || 10;
+
+const LEVEL_RANK = {
+    [ALERT_LEVELS.OK]: 0,
+    [ALERT_LEVELS.LOW]: 1,
+    [ALERT_LEVELS.CRITICAL]: 2,
+    [ALERT_LEVELS.OUT]: 3,
+};
+
+const LEVEL_EVENTS = {
+    [ALERT_LEVELS.LOW]: EVENTS.STOCK_LOW,
+    [ALERT_LEVELS.CRITICAL]: EVENTS.STOCK_CRITICAL,
+    [ALERT_LEVELS.OUT]: EVENTS.STOCK_OUT,
+};
+
+/**
+ * Thresholds from product details, else the ones last used for the
+ * product, else the service default.
+ */
+function thresholdsOf(product, state) {
+    if (product && !product._isFallback) {
+        const lowStockThreshold = product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+        return {
+            lowStockThreshold,
+            reorderPoint: product.reorderPoint ?? lowStockThreshold,
+            criticalLevel: product.criticalLevel ?? null,
+        };
+    }
+    if (state?.lowStockThreshold !== undefined) {
+        return {
+            lowStockThreshold: state.lowStockThreshold,
+            reorderPoint: state.reorderPoint,
+            criticalLevel: state.criticalLevel,
+        };
+    }
+    return {
+        lowStockThreshold: DEFAULT_LOW_STOCK_THRESHOLD,
+        reorderPoint: DEFAULT_LOW_STOCK_THRESHOLD,
+        criticalLevel: null,
+    };
+}
+
+/**
+ * Alert level of an available quantity and the minimum it fell below.
+ */
+export function alertLevelOf(available, { lowStockThreshold, reorderPoint, criticalLevel }) {
+    if (available <= 0) {
+        return { level: ALERT_LEVELS.OUT, minimumStock: 0 };
+    }
+    if (criticalLevel !== null && available <= criticalLevel) {
+        return { level: ALERT_LEVELS.CRITICAL, minimumStock: criticalLevel };
+    }
+    const lowAt = Math.max(lowStockThreshold, reorderPoint);
+    if (available <= lowAt) {
+        return { level: ALERT_LEVELS.LOW, minimumStock: lowAt };
+    }
+    return { level: ALERT_LEVELS.OK, minimumStock: lowAt };
+}
+
+const stockAlertService = {
+    /**
+     * Evaluate one product's available stock across all locations.
+     * @param {object|null} product  product details, if already fetched
+     * @returns {object|null} the recorded event, if any
+     */
+    async evaluate(productId, product = null) {
+        const [totals] = await StockLevel.rollUp({ productId });
+        const available = totals?.available ?? 0;
+
+        const stored = await StockAlertState.findOne({ productId });
+        const thresholds = thresholdsOf(product, stored);
+        const { level, minimumStock } = alertLevelOf(available, thresholds);
+
+        // Swapping in the new level returns the previous one atomically, so
+        // concurrent evaluations cannot both announce the same crossing. The
+        // event is recorded in the same transaction, so a level is never
+        // stored without its alert.
+        let event = null;
+        await mongoose.connection.transaction(async (session) => {
+            const previous = await StockAlertState.findOneAndUpdate(
+                { productId },
+                { $set: { level, available, ...thresholds } },
+                { upsert: true, new: false, session }
+            );
+            const previousLevel = previous?.level ?? ALERT_LEVELS.OK;
+
+            if (LEVEL_RANK[level] <= LEVEL_RANK[previousLevel]) {
+                event = null;
+                return;
+            }
+
+            event = await eventPublisher.publish(
+                LEVEL_EVENTS[level],
+                {
+                    productId,
+                    sku: product?.sku || "N/A",
+                    currentQuantity: totals?.currentQuantity ?? 0,
+                    available,
+                    reserved: totals?.reserved ?? 0,
+                    minimumStock,
+                    reorderPoint: thresholds.reorderPoint,
+                    criticalLevel: thresholds.criticalLevel,
+                    location: "all-locations",
+                    severity: level,
+                    timestamp: new Date().toISOString(),
+                },
+                { session }
+            );
+            await StockAlertState.updateOne(
+                { productId },
+                { $set: { lastAlertAt: new Date() } },
+                { session }
+            );
+        });
+
+        if (event) {
+            logger.info(`Stock alert ${event.eventType} recorded for ${productId} (available ${available})`);
+        }
+        return event;
+    },
+
+    /**
+     * Evaluate in the background after a stock change; never throws.
+     * Product details not given come from the replica, or from the Products
+     * service when a token is available.
+     */
+    notify(productId, { product, token } = {}) {
+        (async () => {
+            // The replica needs no token; only the remote call does
+            const details =
+                product ||
+                (await productService.getProductInfo(productId, token, { remote: Boolean(token) }));
+            await this.evaluate(productId, details);
+        })().catch((error) => {
+            logger.error(`[StockAlertService] evaluation failed for ${productId}: ${error.message}`);
+        });
+    },
+
+    /**
+     * Products whose stock currently sits at an alert level.
+     */
+    async getActive(level) {
+        const filter = level
+            ? { level }
+            : { level: { $ne: ALERT_LEVELS.OK } };
+        return StockAlertState.find(filter).sort({ available: 1 });
+    },
+};
+
+export default stockAlertService;
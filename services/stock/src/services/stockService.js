@@ -0,0 +1,704 @@
+/**
+ * Stock Service
+ * Every write to stock levels goes through here. Level changes are atomic
+ * conditional updates (a decrement only matches when enough stock is on
+ * hand) and run in a MongoDB transaction together with their movement
+ * records, so a movement is never persisted without its level change.
+ *
+ * Nothing moves for a discontinued product; reservations can still be
+ * released so held stock returns to available.
+ *
+ * Transactions require MongoDB to run as a replica set; connectDB() checks
+ * this at startup (see docker-compose.yml for a single-node one).
+ *
+ * services/stock/src/services/stockService.js
+ */
+
+import mongoose from "mongoose";
+import StockMovement, { MOVEMENT_TYPES, isOutbound } from "../models/stockMovementModel.js";
+import StockLevel from "../models/stockLevelModel.js";
+import StockLot from "../models/stockLotModel.js";
+import SerialNumber, { SERIAL_STATUS } from "../models/serialNumberModel.js";
+import CostLayer from "../models/costLayerModel.js";
+import IdempotencyRecord from "../models/idempotencyRecordModel.js";
+import Reservation, {
+    RESERVATION_STATUS,
+    DEFAULT_RESERVATION_TTL_MINUTES,
+} from "../models/reservationModel.js";
+import discontinuedProductService from "./discontinuedProductService.js";
+import {
+    InsufficientStockError,
+    NotFoundError,
+    BadRequestError,
+    ERROR_CODES,
+} from "../utils/errors.js";
+
+async function throwInsufficient(productId, locationId, requested, session) {
+    const current = await StockLevel.findOne({ productId, locationId }, null, { session });
+    throw new InsufficientStockError(current?.available || 0, requested);
+}
+
+/**
+ * Add received quantities to their lots, creating lots on first receipt.
+ * A lot keeps the expiry date it was first received with.
+ */
+async function receiveLots(productId, locationId, allocations, session) {
+    for (const { lotNumber, expiryDate, quantity } of allocations) {
+        const lot = await StockLot.findOneAndUpdate(
+            { productId, locationId, lotNumber },
+            {
+                $inc: { quantity },
+                $setOnInsert: { expiryDate: expiryDate || null, receivedAt: new Date() },
+            },
+            { new: true, upsert: true, session }
+        );
+
+        if (expiryDate && lot.expiryDate?.getTime() !== new Date(expiryDate).getTime()) {
+            throw new BadRequestError(
+                `Lot ${lotNumber} is already recorded with expiry ${lot.expiryDate?.toISOString() || "none"}`,
+                ERROR_CODES.LOT_EXPIRY_MISMATCH
+            );
+        }
+    }
+}
+
+/**
+ * Take quantity out of lots: from one named lot (expired or not, which is
+ * how expired stock is written off), or first-expired-first-out from the
+ * unexpired lots. Stock received without a lot number covers whatever the
+ * lots cannot; expired lots never do.
+ * @param {number} onHand  quantity on hand before this exit
+ * @returns {Array<{ lotNumber, expiryDate, quantity }>} lots consumed
+ * @throws {BadRequestError} when only expired stock is left to cover it
+ */
+async function consumeLots(productId, locationId, quantity, lotNumber, onHand, session) {
+    if (lotNumber) {
+        const lot = await StockLot.findOneAndUpdate(
+            { productId, locationId, lotNumber, quantity: { $gte: quantity } },
+            { $inc: { quantity: -quantity } },
+            { new: true, session }
+        );
+        if (!lot) {
+            const existing = await StockLot.findOne({ productId, locationId, lotNumber }, null, { session });
+            if (!existing) {
+                throw new NotFoundError(`Lot ${lotNumber}`, ERROR_CODES.LOT_NOT_FOUND);
+            }
+            throw new InsufficientStockError(existing.quantity, quantity);
+        }
+        return [{ lotNumber, expiryDate: lot.expiryDate, quantity }];
+    }
+
+    // Stock on hand that was never received into a lot
+    const unlotted = onHand - (await StockLot.totalQuantity(productId, locationId, { session }));
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const lot of await StockLot.findFefo(productId, locationId, { session })) {
+        if (remaining === 0) break;
+
+        const take = Math.min(remaining, lot.quantity);
+        const updated = await StockLot.findOneAndUpdate(
+            { _id: lot._id, quantity: { $gte: take } },
+            { $inc: { quantity: -take } },
+            { session }
+        );
+        if (!updated) {
+            throw new Error(`Lot ${lot.lotNumber} changed during allocation`);
+        }
+
+        allocations.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: take });
+        remaining -= take;
+    }
+
+    if (remaining > Math.max(unlotted, 0)) {
+        throw new BadRequestError(
+            `Only ${quantity - remaining + Math.max(unlotted, 0)} unexpired unit(s) available; ` +
+            "expired lots must be written off by lot number",
+            ERROR_CODES.LOT_EXPIRED
+        );
+    }
+
+    return allocations;
+}
+
+/**
+ * Serialized products move exactly `quantity` distinct serial numbers;
+ * other products take none.
+ */
+export function checkSerialNumbers(serialized, serialNumbers = [], quantity) {
+    if (!serialized) {
+        if (serialNumbers.length > 0) {
+            throw new BadRequestError("Product is not serialized; serial numbers are not accepted");
+        }
+        return;
+    }
+    if (serialNumbers.length !== quantity) {
+        throw new BadRequestError(
+            `Serialized product requires exactly ${quantity} serial number(s), got ${serialNumbers.length}`
+        );
+    }
+    if (new Set(serialNumbers).size !== serialNumbers.length) {
+        throw new BadRequestError("Serial numbers must not repeat");
+    }
+}
+
+/**
+ * Put serial numbers into stock at a location. A serial already in stock
+ * anywhere is a duplicate; one that left stock earlier may come back.
+ */
+async function receiveSerials(productId, locationId, serialNumbers, session) {
+    const duplicates = await SerialNumber.find({
+        productId,
+        serialNumber: { $in: serialNumbers },
+        status: SERIAL_STATUS.IN_STOCK,
+    }).session(session);
+    if (duplicates.length > 0) {
+        throw new BadRequestError(
+            `Serial number(s) already in stock: ${duplicates.map((d) => d.serialNumber).join(", ")}`,
+            ERROR_CODES.SERIAL_ALREADY_IN_STOCK
+        );
+    }
+
+    const now = new Date();
+    await SerialNumber.bulkWrite(
+        serialNumbers.map((serialNumber) => ({
+            updateOne: {
+                filter: { productId, serialNumber },
+                update: { $set: { status: SERIAL_STATUS.IN_STOCK, locationId, lastMovementAt: now } },
+                upsert: true,
+            },
+        })),
+        { session }
+    );
+}
+
+/**
+ * Take serial numbers out of stock at a location. Every one of them must
+ * be in stock there.
+ */
+async function consumeSerials(productId, locationId, serialNumbers, session) {
+    const filter = {
+        productId,
+        locationId,
+        serialNumber: { $in: serialNumbers },
+        status: SERIAL_STATUS.IN_STOCK,
+    };
+
+    const inStock = await SerialNumber.find(filter).session(session);
+    if (inStock.length !== serialNumbers.length) {
+        const found = new Set(inStock.map((serial) => serial.serialNumber));
+        throw new BadRequestError(
+            `Serial number(s) not in stock at this location: ${serialNumbers
+                .filter((serialNumber) => !found.has(serialNumber))
+                .join(", ")}`,
+            ERROR_CODES.SERIAL_NOT_IN_STOCK
+        );
+    }
+
+    // A concurrent exit of the same units makes this a write conflict,
+    // which aborts and retries the transaction
+    await SerialNumber.updateMany(
+        filter,
+        { $set: { status: SERIAL_STATUS.OUT, lastMovementAt: new Date() } },
+        { session }
+    );
+}
+
+/**
+ * Record stock on hand that no cost layer covers (received before cost
+ * layers existed) as an uncosted opening layer, dated at the product's
+ * first movement so FIFO takes it before anything received since.
+ * @param {number} onHand  quantity on hand across locations
+ */
+async function seedOpeningLayer(productId, onHand, layers, session) {
+    const covered = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+    if (onHand <= covered) {
+        return null;
+    }
+
+    const first = await StockMovement.findOne({ productId }, "timestamp", { session }).sort({ timestamp: 1 });
+    const oldestLayer = layers[0]?.receivedAt;
+    let receivedAt = first?.timestamp || new Date(0);
+    if (oldestLayer && oldestLayer <= receivedAt) {
+        receivedAt = new Date(oldestLayer.getTime() - 1);
+    }
+
+    const [layer] = await CostLayer.create(
+        [{
+            productId,
+            opening: true,
+            receivedAt,
+            quantity: onHand - covered,
+            remaining: onHand - covered,
+            unitCost: null,
+        }],
+        { session }
+    );
+    return layer;
+}
+
+/**
+ * Take quantity out of the product's cost layers, oldest first. Opening
+ * stock (see seedOpeningLayer) is the oldest, so it goes first, uncosted;
+ * weighted average treats it the same way.
+ * @param {number} onHand  quantity on hand across locations before the exit
+ * @returns {number} FIFO cost of the costed units taken
+ */
+async function consumeCostLayers(productId, quantity, onHand, movementId, at, session) {
+    const layers = await CostLayer.find({ productId, remaining: { $gt: 0 } })
+        .sort({ receivedAt: 1, _id: 1 })
+        .session(session);
+
+    const opening = await seedOpeningLayer(productId, onHand, layers, session);
+    if (opening) {
+        layers.unshift(opening);
+    }
+
+    let remaining = quantity;
+    let cost = 0;
+
+    for (const layer of layers) {
+        if (remaining === 0) break;
+
+        const take = Math.min(remaining, layer.remaining);
+        layer.remaining -= take;
+        layer.consumptions.push({ movementId, quantity: take, at });
+        await layer.save({ session });
+
+        cost += take * (layer.unitCost || 0);
+        remaining -= take;
+    }
+
+    return cost;
+}
+
+/**
+ * Move an active, unexpired reservation to a closed status.
+ * Throws a descriptive error when the reservation cannot be closed.
+ */
+async function closeReservation(reservationId, status, closedBy, session, now = new Date()) {
+    const filter = { _id: reservationId, status: RESERVATION_STATUS.ACTIVE };
+    // Expiry is the only transition allowed once the TTL has passed
+    filter.expiresAt = status === RESERVATION_STATUS.EXPIRED ? { $lte: now } : { $gt: now };
+
+    const reservation = await Reservation.findOneAndUpdate(
+        filter,
+        { $set: { status, closedBy, closedAt: now } },
+        { new: true, session }
+    );
+    if (reservation) {
+        return reservation;
+    }
+
+    const existing = await Reservation.findById(reservationId, null, { session });
+    if (!existing) {
+        throw new NotFoundError("Reservation", ERROR_CODES.RESERVATION_NOT_FOUND);
+    }
+    throw new BadRequestError(
+        existing.isExpired(now) ? "Reservation has expired" : `Reservation is already ${existing.status}`,
+        ERROR_CODES.RESERVATION_NOT_ACTIVE
+    );
+}
+
+const stockService = {
+    /**
+     * Run fn(session) in a transaction and return its result.
+     * The driver retries fn on transient errors, so it must not have
+     * side effects outside the session.
+     */
+    async runInTransaction(fn) {
+        let result;
+        await mongoose.connection.transaction(async (session) => {
+            result = await fn(session);
+        });
+        return result;
+    },
+
+    /**
+     * Apply one movement inside an existing session.
+     * Entries go into lotNumber (or the given lot allocations); exits take
+     * from lotNumber when given, otherwise first-expired-first-out from
+     * unexpired lots.
+     * Adjustments behave as an entry or exit according to their direction.
+     * Serialized products also move their serial numbers in or out.
+     * @returns {{ movement, stockLevel }}
+     */
+    async applyMovement(
+        {
+            productId,
+            locationId,
+            type,
+            direction,
+            quantity,
+            reason,
+            reference,
+            transferId,
+            countId,
+            performedBy,
+            lotNumber,
+            expiryDate,
+            lots,
+            serialized = false,
+            serialNumbers = [],
+            unitCost,
+        },
+        session
+    ) {
+        const isExit = isOutbound({ type, direction });
+        checkSerialNumbers(serialized, serialNumbers, quantity);
+        await discontinuedProductService.assertNotDiscontinued(productId, session);
+
+        const stockLevel = await StockLevel.adjust(productId, locationId, isExit ? -quantity : quantity, {
+            session,
+        });
+        if (!stockLevel) {
+            await throwInsufficient(productId, locationId, quantity, session);
+        }
+
+        let allocations;
+        if (isExit) {
+            allocations = await consumeLots(
+                productId,
+                locationId,
+                quantity,
+                lotNumber,
+                stockLevel.currentQuantity + quantity,
+                session
+            );
+        } else {
+            allocations = lots || (lotNumber ? [{ lotNumber, expiryDate, quantity }] : []);
+            await receiveLots(productId, locationId, allocations, session);
+        }
+
+        if (serialized) {
+            const moveSerials = isExit ? consumeSerials : receiveSerials;
+            await moveSerials(productId, locationId, serialNumbers, session);
+        }
+
+        // Cost layers are per product, so transfers leave them untouched
+        const movementId = new mongoose.Types.ObjectId();
+        const timestamp = new Date();
+        let costOfGoods;
+        if (!transferId) {
+            if (isExit) {
+                const [total] = await StockLevel.aggregate([
+                    { $match: { productId } },
+                    { $group: { _id: null, quantity: { $sum: "$currentQuantity" } } },
+                ]).session(session);
+                costOfGoods = await consumeCostLayers(
+                    productId,
+                    quantity,
+                    (total?.quantity || 0) + quantity,
+                    movementId,
+                    timestamp,
+                    session
+                );
+            } else {
+                await CostLayer.create(
+                    [{
+                        productId,
+                        movementId,
+                        receivedAt: timestamp,
+                        quantity,
+                        remaining: quantity,
+                        unitCost: unitCost ?? null,
+                    }],
+                    { session }
+                );
+            }
+        }
+
+        const [movement] = await StockMovement.create(
+            [{
+                _id: movementId,
+                timestamp,
+                productId,
+                locationId,
+                type,
+                ...(type === MOVEMENT_TYPES.ADJUSTMENT && { direction }),
+                quantity,
+                reason,
+                reference,
+                transferId,
+                countId,
+                performedBy,
+                ...(allocations.length > 0 && { lots: allocations }),
+                ...(serialized && { serialNumbers }),
+                ...(!isExit && unitCost !== undefined && { unitCost }),
+                ...(costOfGoods !== undefined && { costOfGoods }),
+            }],
+            { session }
+        );
+
+        return { movement, stockLevel };
+    },
+
+    async recordEntry(data) {
+        return this.runInTransaction((session) =>
+            this.applyMovement({ ...data, type: MOVEMENT_TYPES.ENTRY }, session)
+        );
+    },
+
+    async recordExit(data) {
+        return this.runInTransaction((session) =>
+            this.applyMovement({ ...data, type: MOVEMENT_TYPES.EXIT }, session)
+        );
+    },
+
+    /**
+     * Apply many movements, each line carrying its request index.
+     * Atomic: one transaction; the first failing line aborts them all and
+     * its error is rethrown with `lineIndex` set. Partial: every line
+     * commits or fails on its own.
+     * An atomic request with an idempotencyKey records the key in the same
+     * transaction; a key already used fails with a duplicate key error
+     * (IdempotencyRecord.isDuplicate) and applies nothing.
+     * @returns {Array<{ index, movement, stockLevel } | { index, error }>}
+     */
+    async applyBulk(lines, { partial = false, idempotencyKey, performedBy } = {}) {
+        if (partial) {
+            const results = [];
+            for (const line of lines) {
+                try {
+                    const applied = await this.runInTransaction((session) =>
+                        this.applyMovement(line, session)
+                    );
+                    results.push({ index: line.index, ...applied });
+                } catch (error) {
+                    results.push({ index: line.index, error });
+                }
+            }
+            return results;
+        }
+
+        return this.runInTransaction(async (session) => {
+            if (idempotencyKey) {
+                await IdempotencyRecord.create([{ key: idempotencyKey, performedBy }], { session });
+            }
+
+            const results = [];
+            for (const line of lines) {
+                try {
+                    results.push({ index: line.index, ...(await this.applyMovement(line, session)) });
+                } catch (error) {
+                    error.lineIndex = line.index;
+                    throw error;
+                }
+            }
+
+            if (idempotencyKey) {
+                await IdempotencyRecord.updateOne(
+                    { key: idempotencyKey },
+                    {
+                        $set: {
+                            results: results.map(({ index, movement, stockLevel }) => ({
+                                index,
+                                type: movement.type,
+                                productId: movement.productId,
+                                movementId: movement._id,
+                                currentStock: stockLevel.currentQuantity,
+                            })),
+                        },
+                    },
+                    { session }
+                );
+            }
+            return results;
+        });
+    },
+
+    /**
+     * Move stock between two locations as a paired exit + entry.
+     * Lots leave the source and arrive at the destination unchanged.
+     * Both legs commit in one transaction, so MongoDB must run as a
+     * replica set; against a standalone mongod every transfer fails.
+     * @returns {{ exit: { movement, stockLevel }, entry: { movement, stockLevel } }}
+     */
+    async transfer({ fromLocationId, toLocationId, transferId, ...data }) {
+        return this.runInTransaction(async (session) => {
+            const exit = await this.applyMovement(
+                { ...data, transferId, locationId: fromLocationId, type: MOVEMENT_TYPES.EXIT },
+                session
+            );
+            const entry = await this.applyMovement(
+                {
+                    ...data,
+                    transferId,
+                    locationId: toLocationId,
+                    type: MOVEMENT_TYPES.ENTRY,
+                    lots: exit.movement.lots || [],
+                },
+                session
+            );
+            return { exit, entry };
+        });
+    },
+
+    /**
+     * Hold available stock for a pending order.
+     * @returns {{ reservation, stockLevel }}
+     */
+    async reserve({ productId, locationId, quantity, reference, ttlMinutes, createdBy }) {
+        const ttl = ttlMinutes || DEFAULT_RESERVATION_TTL_MINUTES;
+
+        return this.runInTransaction(async (session) => {
+            await discontinuedProductService.assertNotDiscontinued(productId, session);
+            const stockLevel = await StockLevel.reserve(productId, locationId, quantity, { session });
+            if (!stockLevel) {
+                await throwInsufficient(productId, locationId, quantity, session);
+            }
+
+            const [reservation] = await Reservation.create(
+                [{
+                    productId,
+                    locationId,
+                    quantity,
+                    reference,
+                    expiresAt: new Date(Date.now() + ttl * 60 * 1000),
+                    createdBy,
+                }],
+                { session }
+            );
+
+            return { reservation, stockLevel };
+        });
+    },
+
+    /**
+     * Turn a reservation into a stock exit of the held quantity.
+     * @returns {{ reservation, movement, stockLevel }}
+     */
+    async confirmReservation(reservationId, { reason, performedBy, serialized = false, serialNumbers = [] }) {
+        return this.runInTransaction(async (session) => {
+            const reservation = await closeReservation(
+                reservationId,
+                RESERVATION_STATUS.CONFIRMED,
+                performedBy,
+                session
+            );
+            const { productId, locationId, quantity } = reservation;
+            checkSerialNumbers(serialized, serialNumbers, quantity);
+            await discontinuedProductService.assertNotDiscontinued(productId, session);
+
+            const stockLevel = await StockLevel.unreserve(productId, locationId, quantity, {
+                session,
+                consume: true,
+            });
+            if (!stockLevel) {
+                throw new Error(`Reservation ${reservationId} is not backed by reserved stock`);
+            }
+
+            const allocations = await consumeLots(
+                productId,
+                locationId,
+                quantity,
+                null,
+                stockLevel.currentQuantity + quantity,
+                session
+            );
+            if (serialized) {
+                await consumeSerials(productId, locationId, serialNumbers, session);
+            }
+
+            const movementId = new mongoose.Types.ObjectId();
+            const timestamp = new Date();
+            const [total] = await StockLevel.aggregate([
+                { $match: { productId } },
+                { $group: { _id: null, quantity: { $sum: "$currentQuantity" } } },
+            ]).session(session);
+            const costOfGoods = await consumeCostLayers(
+                productId,
+                quantity,
+                (total?.quantity || 0) + quantity,
+                movementId,
+                timestamp,
+                session
+            );
+
+            const [movement] = await StockMovement.create(
+                [{
+                    _id: movementId,
+                    timestamp,
+                    productId,
+                    locationId,
+                    type: MOVEMENT_TYPES.EXIT,
+                    quantity,
+                    reason,
+                    reference: reservation.reference,
+                    reservationId: reservation._id,
+                    performedBy,
+                    ...(allocations.length > 0 && { lots: allocations }),
+                    ...(serialized && { serialNumbers }),
+                    costOfGoods,
+                }],
+                { session }
+            );
+
+            reservation.movementId = movement._id;
+            await reservation.save({ session });
+
+            return { reservation, movement, stockLevel };
+        });
+    },
+
+    /**
+     * Give held stock back without moving it.
+     * @returns {{ reservation, stockLevel }}
+     */
+    async releaseReservation(reservationId, { performedBy }) {
+        return this.runInTransaction(async (session) => {
+            const reservation = await closeReservation(
+                reservationId,
+                RESERVATION_STATUS.RELEASED,
+                performedBy,
+                session
+            );
+            const stockLevel = await StockLevel.unreserve(
+                reservation.productId,
+                reservation.locationId,
+                reservation.quantity,
+                { session }
+            );
+            return { reservation, stockLevel };
+        });
+    },
+
+    /**
+     * Release every active reservation whose TTL has passed.
+     * @returns {Array<Reservation>} the reservations that expired
+     */
+    async expireReservations(now = new Date()) {
+        const due = await Reservation.findDueForExpiry(now);
+        const expired = [];
+
+        for (const { _id } of due) {
+            try {
+                const reservation = await this.runInTransaction(async (session) => {
+                    const closed = await closeReservation(
+                        _id,
+                        RESERVATION_STATUS.EXPIRED,
+                        "system",
+                        session,
+                        now
+                    );
+                    await StockLevel.unreserve(
+                        closed.productId,
+                        closed.locationId,
+                        closed.quantity,
+                        { session }
+                    );
+                    return closed;
+                });
+                expired.push(reservation);
+            } catch (error) {
+                // Confirmed or released concurrently — nothing to expire
+                if (!(error instanceof BadRequestError)) throw error;
+            }
+        }
+
+        return expired;
+    },
+};
+
+export default stockService;
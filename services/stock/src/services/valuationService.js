@@ -0,0 +1,89 @@
+/**
+ * Valuation Service
+ * Inventory value per product as of a date, under FIFO (from cost layers)
+ * or weighted-average cost (replayed from the movement ledger).
+ *
+ * services/stock/src/services/valuationService.js
+ */
+
+import CostLayer from "../models/costLayerModel.js";
+import StockMovement, { isOutbound } from "../models/stockMovementModel.js";
+
+export const VALUATION_METHODS = {
+    FIFO: "fifo",
+    AVERAGE: "average",
+};
+
+const valuationService = {
+    /**
+     * @returns {Array<{ productId, quantity, value, uncostedQuantity }>}
+     */
+    async valueProducts(method, asOf, { productId } = {}) {
+        return method === VALUATION_METHODS.AVERAGE
+            ? this.weightedAverage(asOf, { productId })
+            : this.fifo(asOf, { productId });
+    },
+
+    async fifo(asOf, { productId } = {}) {
+        return CostLayer.fifoAsOf(asOf, productId ? { productId } : {});
+    },
+
+    /**
+     * Replay movements up to asOf. Each inbound movement re-averages the
+     * unit cost; each outbound one takes units at the running average.
+     * Units received without a cost (mostly stock from before costs were
+     * recorded) are tracked apart and leave stock first, as under FIFO.
+     */
+    async weightedAverage(asOf, { productId } = {}) {
+        const filter = {
+            timestamp: { $lte: asOf },
+            // Transfers move goods between locations, not in or out of stock
+            transferId: { $exists: false },
+        };
+        if (productId) filter.productId = productId;
+
+        const cursor = StockMovement.find(filter)
+            .sort({ productId: 1, timestamp: 1 })
+            .select("productId type direction quantity unitCost")
+            .lean()
+            .cursor();
+
+        const products = new Map();
+        for await (const movement of cursor) {
+            const state = products.get(movement.productId) || {
+                costedQuantity: 0,
+                value: 0,
+                uncostedQuantity: 0,
+            };
+
+            if (isOutbound(movement)) {
+                const fromUncosted = Math.min(movement.quantity, state.uncostedQuantity);
+                state.uncostedQuantity -= fromUncosted;
+
+                const fromCosted = Math.min(movement.quantity - fromUncosted, state.costedQuantity);
+                if (fromCosted > 0) {
+                    state.value -= (state.value / state.costedQuantity) * fromCosted;
+                    state.costedQuantity -= fromCosted;
+                }
+            } else if (movement.unitCost === undefined || movement.unitCost === null) {
+                state.uncostedQuantity += movement.quantity;
+            } else {
+                state.costedQuantity += movement.quantity;
+                state.value += movement.quantity * movement.unitCost;
+            }
+
+            products.set(movement.productId, state);
+        }
+
+        return [...products.entries()]
+            .map(([id, state]) => ({
+                productId: id,
+                quantity: state.costedQuantity + state.uncostedQuantity,
+                value: state.value,
+                uncostedQuantity: state.uncostedQuantity,
+            }))
+            .filter((row) => row.quantity > 0);
+    },
+};
+
+export default valuationService;
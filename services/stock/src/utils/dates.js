@@ -0,0 +1,20 @@
+import { BadRequestError } from "./errors.js";
+
+/**
+ * Parse an `asOf` query or body value.
+ * @param {string} value
+ * @param {Date} [fallback]  used when no value is given; without one the
+ *        value is required
+ * @throws {BadRequestError} when the value is missing or not a date
+ */
+export function parseAsOf(value, fallback) {
+    if (!value && fallback) {
+        return fallback;
+    }
+
+    const asOf = new Date(value);
+    if (!value || Number.isNaN(asOf.getTime())) {
+        throw new BadRequestError("asOf must be a valid date");
+    }
+    return asOf;
+}
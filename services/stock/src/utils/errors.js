@@ -21,6 +21,21 @@ export const ERROR_CODES = {
     INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
     INVALID_QUANTITY: 'INVALID_QUANTITY',
     STOCK_NOT_FOUND: 'STOCK_NOT_FOUND',
+    LOCATION_NOT_FOUND: 'LOCATION_NOT_FOUND',
+    LOCATION_ALREADY_EXISTS: 'LOCATION_ALREADY_EXISTS',
+    LOT_NOT_FOUND: 'LOT_NOT_FOUND',
+    LOT_EXPIRY_MISMATCH: 'LOT_EXPIRY_MISMATCH',
+    LOT_EXPIRED: 'LOT_EXPIRED',
+    SERIAL_NOT_FOUND: 'SERIAL_NOT_FOUND',
+    SERIAL_ALREADY_IN_STOCK: 'SERIAL_ALREADY_IN_STOCK',
+    SERIAL_NOT_IN_STOCK: 'SERIAL_NOT_IN_STOCK',
+    RESERVATION_NOT_FOUND: 'RESERVATION_NOT_FOUND',
+    RESERVATION_NOT_ACTIVE: 'RESERVATION_NOT_ACTIVE',
+    COUNT_NOT_FOUND: 'COUNT_NOT_FOUND',
+    COUNT_NOT_OPEN: 'COUNT_NOT_OPEN',
+    COUNT_DISPUTED: 'COUNT_DISPUTED',
+    PRODUCT_DISCONTINUED: 'PRODUCT_DISCONTINUED',
+    PRODUCT_HAS_STOCK: 'PRODUCT_HAS_STOCK',
 
     // Supplier errors
     SUPPLIER_NOT_FOUND: 'SUPPLIER_NOT_FOUND',
@@ -96,6 +111,22 @@ export class BadRequestError extends AppError {
     }
 }
 
+export class InsufficientStockError extends AppError {
+    constructor(available, requested) {
+        super('Insufficient stock', 400, ERROR_CODES.INSUFFICIENT_STOCK, { available, requested });
+    }
+}
+
+export class ProductDiscontinuedError extends AppError {
+    constructor(productId) {
+        super(
+            `Product ${productId} is discontinued; its stock can no longer move`,
+            409,
+            ERROR_CODES.PRODUCT_DISCONTINUED
+        );
+    }
+}
+
 export class ServiceUnavailableError extends AppError {
     constructor(service = 'Service', code = ERROR_CODES.SERVICE_UNAVAILABLE) {
         super(`${service} unavailable`, 503, code);
@@ -0,0 +1,77 @@
+import Joi from "joi";
+import { stockEntrySchema } from "./stockValidation.js";
+
+export const createCountSchema = Joi.object({
+    name: Joi.string()
+        .max(100)
+        .required()
+        .messages({
+            "string.empty": "Count name is required",
+            "string.max": "Count name cannot exceed 100 characters",
+            "any.required": "Count name is required",
+        }),
+
+    locationId: stockEntrySchema.extract("locationId"),
+
+    productIds: Joi.array()
+        .items(Joi.string())
+        .min(1)
+        .max(500)
+        .unique()
+        .messages({
+            "array.min": "At least one product is required",
+            "array.max": "A count cannot cover more than 500 products",
+            "array.unique": "Product IDs must not repeat",
+        }),
+
+    category: Joi.string()
+        .max(100)
+        .messages({
+            "string.max": "Category cannot exceed 100 characters",
+        }),
+
+    notes: Joi.string()
+        .max(500)
+        .allow("")
+        .messages({
+            "string.max": "Notes cannot exceed 500 characters",
+        }),
+})
+    .xor("productIds", "category")
+    .messages({
+        "object.missing": "Either productIds or category is required",
+        "object.xor": "Provide either productIds or category, not both",
+    });
+
+export const recordCountsSchema = Joi.object({
+    counts: Joi.array()
+        .items(
+            Joi.object({
+                productId: stockEntrySchema.extract("productId"),
+
+                quantity: Joi.number()
+                    .integer()
+                    .min(0)
+                    .required()
+                    .messages({
+                        "number.base": "Counted quantity must be a number",
+                        "number.min": "Counted quantity cannot be negative",
+                        "any.required": "Counted quantity is required",
+                    }),
+            })
+        )
+        .min(1)
+        .unique("productId")
+        .required()
+        .messages({
+            "array.min": "At least one count is required",
+            "array.unique": "Each product can only be counted once per submission",
+            "any.required": "Counts are required",
+        }),
+});
+
+export const approveCountSchema = Joi.object({
+    excludeDisputed: Joi.boolean().default(false).messages({
+        "boolean.base": "excludeDisputed must be true or false",
+    }),
+});
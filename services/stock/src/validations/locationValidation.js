@@ -0,0 +1,44 @@
+import Joi from "joi";
+
+export const createLocationSchema = Joi.object({
+    code: Joi.string()
+        .uppercase()
+        .trim()
+        .max(20)
+        .pattern(/^[A-Z0-9-]+$/)
+        .required()
+        .messages({
+            "string.empty": "Location code is required",
+            "string.max": "Code cannot exceed 20 characters",
+            "string.pattern.base": "Code must contain only uppercase letters, numbers, and hyphens",
+            "any.required": "Location code is required",
+        }),
+
+    name: Joi.string()
+        .min(2)
+        .max(100)
+        .required()
+        .messages({
+            "string.empty": "Location name is required",
+            "string.min": "Name must be at least 2 characters",
+            "string.max": "Name cannot exceed 100 characters",
+            "any.required": "Location name is required",
+        }),
+
+    address: Joi.string()
+        .max(500)
+        .allow("", null)
+        .messages({
+            "string.max": "Address cannot exceed 500 characters",
+        }),
+
+    isDefault: Joi.boolean().default(false),
+});
+
+export const updateLocationSchema = Joi.object({
+    name: Joi.string().min(2).max(100).optional(),
+    address: Joi.string().max(500).allow("", null).optional(),
+    isDefault: Joi.boolean().valid(true).optional().messages({
+        "any.only": "Set another location as default instead",
+    }),
+}).min(1);
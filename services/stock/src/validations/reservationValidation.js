@@ -0,0 +1,39 @@
+import Joi from "joi";
+import { stockEntrySchema } from "./stockValidation.js";
+
+export const createReservationSchema = Joi.object({
+    productId: stockEntrySchema.extract("productId"),
+    quantity: stockEntrySchema.extract("quantity"),
+    locationId: stockEntrySchema.extract("locationId"),
+
+    reference: Joi.string()
+        .max(100)
+        .required()
+        .messages({
+            "string.empty": "Reference is required",
+            "string.max": "Reference cannot exceed 100 characters",
+            "any.required": "Reference is required",
+        }),
+
+    ttlMinutes: Joi.number()
+        .integer()
+        .min(1)
+        .max(7 * 24 * 60)
+        .optional()
+        .messages({
+            "number.base": "TTL must be a number of minutes",
+            "number.min": "TTL must be at least 1 minute",
+            "number.max": "TTL cannot exceed 7 days",
+        }),
+});
+
+export const confirmReservationSchema = Joi.object({
+    reason: Joi.string()
+        .max(200)
+        .default("Reservation confirmed")
+        .messages({
+            "string.max": "Reason cannot exceed 200 characters",
+        }),
+
+    serialNumbers: stockEntrySchema.extract("serialNumbers"),
+});
@@ -27,6 +27,15 @@ export const stockEntrySchema = Joi.object({
             "any.required": "Reason is required",
         }),
 
+    locationId: Joi.string()
+        .hex()
+        .length(24)
+        .optional()
+        .messages({
+            "string.hex": "Location ID must be a valid ID",
+            "string.length": "Location ID must be a valid ID",
+        }),
+
     reference: Joi.string()
         .max(100)
         .allow("", null)
@@ -34,6 +43,128 @@ export const stockEntrySchema = Joi.object({
         .messages({
             "string.max": "Reference cannot exceed 100 characters",
         }),
+
+    lotNumber: Joi.string()
+        .trim()
+        .max(50)
+        .optional()
+        .messages({
+            "string.empty": "Lot number cannot be empty",
+            "string.max": "Lot number cannot exceed 50 characters",
+        }),
+
+    expiryDate: Joi.date()
+        .iso()
+        .optional()
+        .messages({
+            "date.base": "Expiry date must be a valid date",
+            "date.format": "Expiry date must be an ISO 8601 date",
+        }),
+
+    serialNumbers: Joi.array()
+        .items(Joi.string().trim().max(100))
+        .unique()
+        .max(1000)
+        .optional()
+        .messages({
+            "array.unique": "Serial numbers must not repeat",
+            "array.max": "Cannot move more than 1000 serial numbers at once",
+            "string.max": "Serial number cannot exceed 100 characters",
+        }),
+
+    unitCost: Joi.number()
+        .min(0)
+        .precision(4)
+        .optional()
+        .messages({
+            "number.base": "Unit cost must be a number",
+            "number.min": "Unit cost cannot be negative",
+        }),
+}).with("expiryDate", "lotNumber");
+
+// Exits take from unexpired lots first-expired-first-out unless a lotNumber
+// is given; naming an expired lot is how it is written off
+export const stockExitSchema = stockEntrySchema.keys({
+    expiryDate: Joi.forbidden(),
+    unitCost: Joi.forbidden(),
 });
 
-export const stockExitSchema = stockEntrySchema;
\ No newline at end of file
+const locationIdField = (label) =>
+    Joi.string()
+        .hex()
+        .length(24)
+        .required()
+        .messages({
+            "string.empty": `${label} is required`,
+            "string.hex": `${label} must be a valid ID`,
+            "string.length": `${label} must be a valid ID`,
+            "any.required": `${label} is required`,
+        });
+
+export const stockTransferSchema = Joi.object({
+    productId: stockEntrySchema.extract("productId"),
+    quantity: stockEntrySchema.extract("quantity"),
+    fromLocationId: locationIdField("Source location ID"),
+    toLocationId: locationIdField("Destination location ID")
+        .invalid(Joi.ref("fromLocationId"))
+        .messages({
+            "any.invalid": "Destination location must differ from source location",
+        }),
+    reason: stockEntrySchema.extract("reason"),
+    reference: stockEntrySchema.extract("reference"),
+    lotNumber: stockEntrySchema.extract("lotNumber"),
+    serialNumbers: stockEntrySchema.extract("serialNumbers"),
+});
+
+export const BULK_MODES = {
+    ATOMIC: "atomic",
+    PARTIAL: "partial",
+};
+
+const bulkTypeField = (type) =>
+    Joi.string()
+        .valid(type)
+        .required()
+        .messages({
+            "any.only": "Line type must be entry or exit",
+            "any.required": "Line type is required",
+        });
+
+export const bulkMovementSchema = Joi.object({
+    mode: Joi.string()
+        .valid(...Object.values(BULK_MODES))
+        .default(BULK_MODES.ATOMIC)
+        .messages({
+            "any.only": `Mode must be one of: ${Object.values(BULK_MODES).join(", ")}`,
+        }),
+
+    lines: Joi.array()
+        .items(
+            Joi.alternatives().conditional(Joi.object({ type: "exit" }).unknown(), {
+                then: stockExitSchema.keys({ type: bulkTypeField("exit") }),
+                otherwise: stockEntrySchema.keys({
+                    type: bulkTypeField("entry"),
+                }),
+            })
+        )
+        .min(1)
+        .max(500)
+        .required()
+        .messages({
+            "array.min": "At least one line is required",
+            "array.max": "Cannot record more than 500 lines at once",
+            "array.base": "Lines must be an array",
+            "any.required": "Lines are required",
+        }),
+
+    // Only honoured for service calls, which have no user of their own
+    performedBy: Joi.string().max(100).messages({
+        "string.max": "performedBy cannot exceed 100 characters",
+    }),
+});
+
+// Product details kept with the discontinued record
+export const discontinueProductSchema = Joi.object({
+    sku: Joi.string().max(100),
+    name: Joi.string().max(200),
+});
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { assertReplicaSet } from "../../shared/utils/replicaSet.js";
 
 export const connectDB = async () => {
     try {
@@ -9,6 +10,8 @@ export const connectDB = async () => {
         }
 
         await mongoose.connect(mongoUri);
+        // Writes run in transactions, which need a replica set
+        await assertReplicaSet();
         console.log("MongoDB connected successfully to:", mongoUri);
     } catch (err) {
         console.error(`MongoDB connection error: ${err.message}`);
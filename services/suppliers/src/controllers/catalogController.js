@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import SupplierProduct from "../models/supplierProductModel.js";
+import Supplier from "../models/supplierModel.js";
+import productService from "../services/productService.js";
+import catalogService, { PICK_STRATEGIES } from "../services/catalogService.js";
+import logger from "../utils/logger.js";
+
+const PRODUCTS_UNAVAILABLE_WARNING =
+    "Product details unavailable — products service is down; the product was not verified";
+
+const invalidId = (res) =>
+    res.status(400).json({
+        success: false,
+        message: "Invalid catalog entry id",
+    });
+
+/**
+ * Make `entry` the product's only preferred offer.
+ */
+async function makePreferred(entry) {
+    await SupplierProduct.updateMany(
+        { productId: entry.productId, _id: { $ne: entry._id }, preferred: true },
+        { $set: { preferred: false } }
+    );
+    return SupplierProduct.findByIdAndUpdate(entry._id, { $set: { preferred: true } }, { new: true });
+}
+
+// @desc    Add a product to a supplier's catalog
+// @route   POST /api/suppliers/catalog
+// @access  Private (Admin, Manager)
+export const createCatalogEntry = async (req, res, next) => {
+    try {
+        const { supplierId, productId, preferred, ...terms } = req.body;
+
+        const supplier = await Supplier.findById(supplierId);
+        if (!supplier || !supplier.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: "Supplier not found or inactive",
+            });
+        }
+
+        const existing = await SupplierProduct.findOne({ supplierId, productId });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: "This supplier already has a catalog entry for the product",
+            });
+        }
+
+        const lookup = await productService.getProductsByIds([productId], req.cookies?.accessToken);
+        if (lookup?.missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown product: ${productId}`,
+            });
+        }
+
+        let entry = await SupplierProduct.create({
+            supplierId,
+            productId,
+            ...terms,
+            createdBy: req.user.id,
+        });
+        if (preferred) {
+            entry = await makePreferred(entry);
+        }
+
+        logger.info(
+            `Catalog entry created: product ${productId} from ${supplier.name} by user ${req.user.id}`
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Catalog entry created successfully",
+            entry,
+            ...(!lookup && { warning: PRODUCTS_UNAVAILABLE_WARNING }),
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    List catalog entries
+// @route   GET /api/suppliers/catalog?supplierId=&productId=
+// @access  Private (Admin, Manager)
+export const getCatalogEntries = async (req, res, next) => {
+    try {
+        const { supplierId, productId } = req.query;
+
+        // Admins also see inactive entries
+        const filter = req.user.role === "admin" ? {} : { isActive: true };
+        if (supplierId) filter.supplierId = supplierId;
+        if (productId) filter.productId = productId;
+
+        const entries = await SupplierProduct.find(filter)
+            .populate("supplierId", "name email isActive")
+            .sort({ productId: 1, unitCost: 1 });
+
+        res.json({
+            success: true,
+            count: entries.length,
+            entries,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Update a supplier's terms for a product
+// @route   PUT /api/suppliers/catalog/:id
+// @access  Private (Admin, Manager)
+export const updateCatalogEntry = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const { preferred, ...updates } = req.body;
+        // An inactive entry cannot stay preferred
+        if (preferred === false || updates.isActive === false) {
+            updates.preferred = false;
+        }
+
+        let entry = await SupplierProduct.findByIdAndUpdate(req.params.id, updates, {
+            new: true,
+            runValidators: true,
+        });
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: "Catalog entry not found",
+            });
+        }
+
+        if (preferred && entry.isActive) {
+            entry = await makePreferred(entry);
+        }
+
+        logger.info(`Catalog entry updated: ${entry._id} by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Catalog entry updated successfully",
+            entry,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Remove a product from a supplier's catalog
+// @route   DELETE /api/suppliers/catalog/:id
+// @access  Private (Admin only)
+export const deleteCatalogEntry = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const entry = await SupplierProduct.findByIdAndDelete(req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: "Catalog entry not found",
+            });
+        }
+
+        logger.info(`Catalog entry deleted: ${entry._id} by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Catalog entry deleted successfully",
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    List the suppliers of a product, preferred first, then cheapest
+// @route   GET /api/suppliers/catalog/products/:productId/suppliers?quantity=
+// @access  Private (Admin, Manager)
+export const getProductSuppliers = async (req, res, next) => {
+    try {
+        const quantity = parseInt(req.query.quantity) || 1;
+
+        const offers = await catalogService.activeOffers(req.params.productId);
+        const ranked = catalogService
+            .rankByCost(offers, quantity)
+            .sort((a, b) => b.offer.preferred - a.offer.preferred);
+
+        res.json({
+            success: true,
+            count: ranked.length,
+            productId: req.params.productId,
+            quantity,
+            suppliers: ranked,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Pick the supplier to order a product from
+// @route   GET /api/suppliers/catalog/products/:productId/pick?strategy=preferred|cheapest&quantity=&currency=
+// @access  Private (Admin, Manager)
+export const pickProductSupplier = async (req, res, next) => {
+    try {
+        const { strategy = PICK_STRATEGIES.PREFERRED, currency } = req.query;
+        const quantity = parseInt(req.query.quantity) || 1;
+
+        if (!Object.values(PICK_STRATEGIES).includes(strategy)) {
+            return res.status(400).json({
+                success: false,
+                message: `Strategy must be one of: ${Object.values(PICK_STRATEGIES).join(", ")}`,
+            });
+        }
+
+        const offers = await catalogService.activeOffers(req.params.productId);
+        const choice = catalogService.pick(offers, {
+            strategy,
+            quantity,
+            currency: currency?.toUpperCase(),
+        });
+
+        if (!choice) {
+            return res.status(404).json({
+                success: false,
+                message: "No active supplier offers this product",
+            });
+        }
+
+        res.json({
+            success: true,
+            productId: req.params.productId,
+            quantity,
+            ...choice,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
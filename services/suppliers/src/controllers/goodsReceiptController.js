@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+import PurchaseOrder, { RECEIVABLE_STATUSES } from "../models/purchaseOrderModel.js";
+import GoodsReceipt from "../models/goodsReceiptModel.js";
+import goodsReceiptService from "../services/goodsReceiptService.js";
+import logger from "../utils/logger.js";
+
+// @desc    Receive goods against a purchase order and post them to stock
+// @route   POST /api/suppliers/purchase-orders/:id/receipts
+// @access  Private (Admin, Manager)
+export const createGoodsReceipt = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid purchase order id",
+            });
+        }
+
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: "Purchase order not found",
+            });
+        }
+
+        // Checked again when the receipt is applied to the order
+        if (!RECEIVABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot receive goods against a ${order.status} purchase order`,
+            });
+        }
+
+        const errors = order.receiptErrors(req.body.lines);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Receipt rejected",
+                errors,
+            });
+        }
+
+        const lines = req.body.lines.map((received) => {
+            const line = order.lines.id(received.lineId);
+            return {
+                ...received,
+                lineId: line._id,
+                productId: line.productId,
+                openQuantity: line.quantity - line.receivedQuantity,
+                unitCost: line.unitCost,
+            };
+        });
+
+        // Recorded pending first, so a receipt whose posting is cut short
+        // is re-driven rather than lost
+        const receipt = await GoodsReceipt.create({
+            receiptNumber: await GoodsReceipt.nextReceiptNumber(),
+            purchaseOrderId: order._id,
+            orderNumber: order.orderNumber,
+            locationId: req.body.locationId,
+            lines,
+            note: req.body.note,
+            receivedBy: req.user.id,
+        });
+
+        const result = await goodsReceiptService.post(receipt, {
+            token: req.cookies?.accessToken,
+        });
+
+        if (result.outcome === "pending") {
+            return res.status(202).json({
+                success: true,
+                message: "Stock service unavailable — receipt recorded as pending and will be posted automatically",
+                receipt: result.receipt,
+            });
+        }
+
+        if (result.outcome !== "posted") {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                errors: result.errors,
+                receipt: result.receipt,
+            });
+        }
+
+        logger.info(
+            `Goods receipt ${receipt.receiptNumber} posted against ${order.orderNumber} ` +
+            `(${lines.length} line(s)) by user ${req.user.id}`
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Goods received successfully",
+            receipt: result.receipt,
+            purchaseOrder: result.order,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    List goods receipts of a purchase order
+// @route   GET /api/suppliers/purchase-orders/:id/receipts
+// @access  Private (Admin, Manager)
+export const getGoodsReceipts = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid purchase order id",
+            });
+        }
+
+        const receipts = await GoodsReceipt.find({ purchaseOrderId: req.params.id }).sort({
+            receivedAt: -1,
+        });
+
+        res.json({
+            success: true,
+            count: receipts.length,
+            receipts,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
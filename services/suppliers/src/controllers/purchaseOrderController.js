@@ -0,0 +1,369 @@
+import mongoose from "mongoose";
+import PurchaseOrder, { PO_STATUS } from "../models/purchaseOrderModel.js";
+import Supplier from "../models/supplierModel.js";
+import productService from "../services/productService.js";
+import eventPublisher from "../services/eventPublisher.js";
+import logger from "../utils/logger.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+const PRODUCTS_UNAVAILABLE_WARNING =
+    "Product details unavailable — products service is down; lines were not verified";
+
+/**
+ * Check order lines against the Products service and copy SKU and name
+ * onto them. Lines are kept unverified when the service is down.
+ * @returns {{ lines, missing: string[], verified: boolean }}
+ */
+async function resolveLines(lines, token) {
+    const lookup = await productService.getProductsByIds(
+        lines.map((line) => line.productId),
+        token
+    );
+    if (!lookup) {
+        return { lines, missing: [], verified: false };
+    }
+
+    return {
+        lines: lines.map((line) => {
+            const product = lookup.products.get(line.productId);
+            return { ...line, sku: product?.sku, productName: product?.name };
+        }),
+        missing: lookup.missing,
+        verified: true,
+    };
+}
+
+/**
+ * Explain why an order could not move to `status`.
+ */
+async function transitionFailure(res, id, status) {
+    const order = await PurchaseOrder.findById(id);
+    if (!order) {
+        return res.status(404).json({
+            success: false,
+            message: "Purchase order not found",
+        });
+    }
+    return res.status(400).json({
+        success: false,
+        message: `Cannot move a ${order.status} purchase order to ${status}`,
+    });
+}
+
+/**
+ * Move an order to `status` and record `eventType` for it in one
+ * transaction. Returns null like PurchaseOrder.transition.
+ */
+async function transitionWithEvent(id, status, eventType, { changedBy, note, set }) {
+    let order = null;
+    await mongoose.connection.transaction(async (session) => {
+        order = await PurchaseOrder.transition(id, status, { changedBy, note, set, session });
+        if (order) {
+            await eventPublisher.publish(eventType, order.toEventData(changedBy), { session });
+        }
+    });
+    return order;
+}
+
+const invalidId = (res) =>
+    res.status(400).json({
+        success: false,
+        message: "Invalid purchase order id",
+    });
+
+// @desc    Create a purchase order (draft)
+// @route   POST /api/suppliers/purchase-orders
+// @access  Private (Admin, Manager)
+export const createPurchaseOrder = async (req, res, next) => {
+    try {
+        const { supplierId, lines, expectedDeliveryDate, notes } = req.body;
+
+        const supplier = await Supplier.findById(supplierId);
+        if (!supplier || !supplier.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: "Supplier not found or inactive",
+            });
+        }
+
+        const resolved = await resolveLines(lines, req.cookies?.accessToken);
+        if (resolved.missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown product(s): ${resolved.missing.join(", ")}`,
+            });
+        }
+
+        const orderNumber = await PurchaseOrder.nextOrderNumber();
+
+        // The order and its event are saved together
+        let order;
+        await mongoose.connection.transaction(async (session) => {
+            [order] = await PurchaseOrder.create(
+                [
+                    {
+                        orderNumber,
+                        supplierId,
+                        lines: resolved.lines,
+                        expectedDeliveryDate,
+                        notes,
+                        statusHistory: [{ status: PO_STATUS.DRAFT, changedBy: req.user.id }],
+                        createdBy: req.user.id,
+                    },
+                ],
+                { session }
+            );
+            await eventPublisher.publish(
+                EVENTS.ORDER_CREATED,
+                order.toEventData(req.user.id),
+                { session }
+            );
+        });
+
+        logger.info(`Purchase order created: ${order.orderNumber} by user ${req.user.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: "Purchase order created successfully",
+            purchaseOrder: order,
+            ...(!resolved.verified && { warning: PRODUCTS_UNAVAILABLE_WARNING }),
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    List purchase orders
+// @route   GET /api/suppliers/purchase-orders?status=&supplierId=&productId=
+// @access  Private (Admin, Manager)
+export const getPurchaseOrders = async (req, res, next) => {
+    try {
+        const { status, supplierId, productId, limit = 20, page = 1 } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (supplierId) filter.supplierId = supplierId;
+        if (productId) filter["lines.productId"] = productId;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [purchaseOrders, total] = await Promise.all([
+            PurchaseOrder.find(filter)
+                .populate("supplierId", "name email")
+                .sort({ createdAt: -1 })
+                .limit(parseInt(limit))
+                .skip(skip),
+            PurchaseOrder.countDocuments(filter),
+        ]);
+
+        res.json({
+            success: true,
+            count: purchaseOrders.length,
+            purchaseOrders,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit)),
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get a purchase order
+// @route   GET /api/suppliers/purchase-orders/:id
+// @access  Private (Admin, Manager)
+export const getPurchaseOrderById = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const order = await PurchaseOrder.findById(req.params.id).populate(
+            "supplierId",
+            "name contactPerson email phone"
+        );
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: "Purchase order not found",
+            });
+        }
+
+        res.json({
+            success: true,
+            purchaseOrder: order,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Update a draft purchase order
+// @route   PUT /api/suppliers/purchase-orders/:id
+// @access  Private (Admin, Manager)
+export const updatePurchaseOrder = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const allowedUpdates = ["lines", "expectedDeliveryDate", "notes"];
+
+        const updates = {};
+        for (let key of allowedUpdates) {
+            if (req.body[key] !== undefined) {
+                updates[key] = req.body[key];
+            }
+        }
+
+        let verified = true;
+        if (updates.lines) {
+            const resolved = await resolveLines(updates.lines, req.cookies?.accessToken);
+            if (resolved.missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown product(s): ${resolved.missing.join(", ")}`,
+                });
+            }
+            updates.lines = resolved.lines;
+            verified = resolved.verified;
+        }
+
+        // Only drafts can be edited
+        const order = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: PO_STATUS.DRAFT },
+            updates,
+            { new: true, runValidators: true }
+        );
+
+        if (!order) {
+            const existing = await PurchaseOrder.findById(req.params.id);
+            return res.status(existing ? 400 : 404).json({
+                success: false,
+                message: existing
+                    ? `Cannot edit a ${existing.status} purchase order`
+                    : "Purchase order not found",
+            });
+        }
+
+        logger.info(`Purchase order updated: ${order.orderNumber} by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Purchase order updated successfully",
+            purchaseOrder: order,
+            ...(!verified && { warning: PRODUCTS_UNAVAILABLE_WARNING }),
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Mark a draft purchase order as sent to the supplier
+// @route   POST /api/suppliers/purchase-orders/:id/send
+// @access  Private (Admin, Manager)
+export const sendPurchaseOrder = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const order = await PurchaseOrder.transition(req.params.id, PO_STATUS.SENT, {
+            changedBy: req.user.id,
+            note: req.body.note,
+            set: { sentAt: new Date() },
+        });
+        if (!order) {
+            return transitionFailure(res, req.params.id, PO_STATUS.SENT);
+        }
+
+        logger.info(`Purchase order sent: ${order.orderNumber} by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Purchase order sent",
+            purchaseOrder: order,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Record the supplier's confirmation of a purchase order
+// @route   POST /api/suppliers/purchase-orders/:id/confirm
+// @access  Private (Admin, Manager)
+export const confirmPurchaseOrder = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const order = await transitionWithEvent(
+            req.params.id,
+            PO_STATUS.CONFIRMED,
+            EVENTS.ORDER_CONFIRMED,
+            {
+                changedBy: req.user.id,
+                note: req.body.note,
+                set: {
+                    confirmedAt: new Date(),
+                    ...(req.body.expectedDeliveryDate && {
+                        expectedDeliveryDate: req.body.expectedDeliveryDate,
+                    }),
+                },
+            }
+        );
+        if (!order) {
+            return transitionFailure(res, req.params.id, PO_STATUS.CONFIRMED);
+        }
+
+        logger.info(`Purchase order confirmed: ${order.orderNumber} by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Purchase order confirmed",
+            purchaseOrder: order,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Cancel a purchase order
+// @route   POST /api/suppliers/purchase-orders/:id/cancel
+// @access  Private (Admin, Manager)
+export const cancelPurchaseOrder = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const order = await transitionWithEvent(
+            req.params.id,
+            PO_STATUS.CANCELLED,
+            EVENTS.ORDER_CANCELLED,
+            {
+                changedBy: req.user.id,
+                note: req.body.reason,
+                set: { cancelledAt: new Date(), cancelReason: req.body.reason },
+            }
+        );
+        if (!order) {
+            return transitionFailure(res, req.params.id, PO_STATUS.CANCELLED);
+        }
+
+        logger.info(`Purchase order cancelled: ${order.orderNumber} by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Purchase order cancelled",
+            purchaseOrder: order,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
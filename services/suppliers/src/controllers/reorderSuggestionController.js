@@ -0,0 +1,299 @@
+import mongoose from "mongoose";
+import ReorderSuggestion, { SUGGESTION_STATUS } from "../models/reorderSuggestionModel.js";
+import PurchaseOrder, { PO_STATUS } from "../models/purchaseOrderModel.js";
+import Supplier from "../models/supplierModel.js";
+import eventPublisher from "../services/eventPublisher.js";
+import logger from "../utils/logger.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+const invalidId = (res) =>
+    res.status(400).json({
+        success: false,
+        message: "Invalid reorder suggestion id",
+    });
+
+/**
+ * Explain why an open-only operation failed.
+ */
+async function notOpenFailure(res, id, action) {
+    const suggestion = await ReorderSuggestion.findById(id);
+    if (!suggestion) {
+        return res.status(404).json({
+            success: false,
+            message: "Reorder suggestion not found",
+        });
+    }
+    return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} a ${suggestion.status} reorder suggestion`,
+    });
+}
+
+// @desc    List reorder suggestions
+// @route   GET /api/suppliers/reorder-suggestions?status=&supplierId=
+// @access  Private (Admin, Manager)
+export const getReorderSuggestions = async (req, res, next) => {
+    try {
+        const { status = SUGGESTION_STATUS.OPEN, supplierId } = req.query;
+
+        const filter = { status };
+        if (supplierId) filter.supplierId = supplierId;
+
+        const suggestions = await ReorderSuggestion.find(filter)
+            .populate("supplierId", "name email")
+            .sort({ updatedAt: -1 });
+
+        res.json({
+            success: true,
+            count: suggestions.length,
+            suggestions,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Get a reorder suggestion
+// @route   GET /api/suppliers/reorder-suggestions/:id
+// @access  Private (Admin, Manager)
+export const getReorderSuggestionById = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const suggestion = await ReorderSuggestion.findById(req.params.id).populate(
+            "supplierId",
+            "name contactPerson email phone"
+        );
+
+        if (!suggestion) {
+            return res.status(404).json({
+                success: false,
+                message: "Reorder suggestion not found",
+            });
+        }
+
+        res.json({
+            success: true,
+            suggestion,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Edit quantities and costs of an open suggestion
+// @route   PUT /api/suppliers/reorder-suggestions/:id
+// @access  Private (Admin, Manager)
+export const updateReorderSuggestion = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const suggestion = await ReorderSuggestion.findById(req.params.id);
+        if (!suggestion || suggestion.status !== SUGGESTION_STATUS.OPEN) {
+            return notOpenFailure(res, req.params.id, "edit");
+        }
+
+        const current = new Map(suggestion.lines.map((line) => [line.productId, line]));
+        const unknown = req.body.lines
+            .filter((line) => !current.has(line.productId))
+            .map((line) => line.productId);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Product(s) not on this suggestion: ${unknown.join(", ")}`,
+            });
+        }
+
+        const lines = req.body.lines.map(({ productId, quantity, unitCost }) => {
+            const line = current.get(productId).toObject();
+            return {
+                ...line,
+                quantity,
+                unitCost: unitCost === undefined ? line.unitCost : unitCost,
+                edited: line.edited || quantity !== line.quantity,
+            };
+        });
+
+        // Only replace the lines if no alert changed them in the meantime
+        const updated = await ReorderSuggestion.findOneAndUpdate(
+            { _id: suggestion._id, status: SUGGESTION_STATUS.OPEN, updatedAt: suggestion.updatedAt },
+            { $set: { lines } },
+            { new: true, runValidators: true }
+        );
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: "Reorder suggestion changed while editing; reload and try again",
+            });
+        }
+
+        logger.info(`Reorder suggestion ${updated._id} edited by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Reorder suggestion updated successfully",
+            suggestion: updated,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Turn a suggestion into a draft purchase order
+// @route   POST /api/suppliers/reorder-suggestions/:id/convert
+// @access  Private (Admin, Manager)
+export const convertReorderSuggestion = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const suggestion = await ReorderSuggestion.findById(req.params.id);
+        if (!suggestion || suggestion.status !== SUGGESTION_STATUS.OPEN) {
+            return notOpenFailure(res, req.params.id, "convert");
+        }
+
+        const uncosted = suggestion.lines.filter((line) => line.unitCost === null);
+        if (uncosted.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unit cost missing for: ${uncosted.map((line) => line.sku || line.productId).join(", ")}`,
+            });
+        }
+
+        const supplier = await Supplier.findById(suggestion.supplierId);
+        if (!supplier || !supplier.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: "Supplier not found or inactive",
+            });
+        }
+
+        // Claim the suggestion first so it cannot be converted twice
+        const claimed = await ReorderSuggestion.findOneAndUpdate(
+            { _id: suggestion._id, status: SUGGESTION_STATUS.OPEN, updatedAt: suggestion.updatedAt },
+            {
+                $set: {
+                    status: SUGGESTION_STATUS.CONVERTED,
+                    convertedBy: req.user.id,
+                    convertedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: "Reorder suggestion changed while converting; reload and try again",
+            });
+        }
+
+        // The order, the link to it and order.created are saved together;
+        // if that fails the suggestion is opened again
+        const orderNumber = await PurchaseOrder.nextOrderNumber();
+        let order;
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                [order] = await PurchaseOrder.create(
+                    [
+                        {
+                            orderNumber,
+                            supplierId: claimed.supplierId,
+                            lines: claimed.lines.map(
+                                ({ productId, sku, productName, quantity, unitCost }) => ({
+                                    productId,
+                                    sku,
+                                    productName,
+                                    quantity,
+                                    unitCost,
+                                })
+                            ),
+                            expectedDeliveryDate: req.body.expectedDeliveryDate,
+                            notes: req.body.notes,
+                            statusHistory: [
+                                {
+                                    status: PO_STATUS.DRAFT,
+                                    changedBy: req.user.id,
+                                    note: "Created from reorder suggestion",
+                                },
+                            ],
+                            createdBy: req.user.id,
+                        },
+                    ],
+                    { session }
+                );
+
+                claimed.purchaseOrderId = order._id;
+                await claimed.save({ session });
+
+                await eventPublisher.publish(
+                    EVENTS.ORDER_CREATED,
+                    order.toEventData(req.user.id),
+                    { session }
+                );
+            });
+        } catch (error) {
+            await ReorderSuggestion.updateOne(
+                { _id: claimed._id },
+                {
+                    $set: { status: SUGGESTION_STATUS.OPEN },
+                    $unset: { convertedBy: "", convertedAt: "", purchaseOrderId: "" },
+                }
+            );
+            throw error;
+        }
+
+        logger.info(
+            `Reorder suggestion ${claimed._id} converted to ${order.orderNumber} by user ${req.user.id}`
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Reorder suggestion converted to a draft purchase order",
+            suggestion: claimed,
+            purchaseOrder: order,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Dismiss a suggestion
+// @route   POST /api/suppliers/reorder-suggestions/:id/dismiss
+// @access  Private (Admin, Manager)
+export const dismissReorderSuggestion = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return invalidId(res);
+        }
+
+        const suggestion = await ReorderSuggestion.findOneAndUpdate(
+            { _id: req.params.id, status: SUGGESTION_STATUS.OPEN },
+            {
+                $set: {
+                    status: SUGGESTION_STATUS.DISMISSED,
+                    dismissedBy: req.user.id,
+                    dismissedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+        if (!suggestion) {
+            return notOpenFailure(res, req.params.id, "dismiss");
+        }
+
+        logger.info(`Reorder suggestion ${suggestion._id} dismissed by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Reorder suggestion dismissed",
+            suggestion,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import Supplier from "../models/supplierModel.js";
+import scorecardService, { SCORECARD_METRICS } from "../services/scorecardService.js";
+
+/**
+ * Read the from/to query dates.
+ * @returns {{ period?: { from, to }, error?: string }}
+ */
+function parsePeriod(query) {
+    const period = {};
+    for (const key of ["from", "to"]) {
+        if (query[key] === undefined) continue;
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+            return { error: `${key} must be a valid date` };
+        }
+        period[key] = date;
+    }
+    if (period.from && period.to && period.from > period.to) {
+        return { error: "from must be before to" };
+    }
+    return { period };
+}
+
+// @desc    Performance scorecard of a supplier
+// @route   GET /api/suppliers/:id/scorecard?from=&to=
+// @access  Private (Admin, Manager)
+export const getSupplierScorecard = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid supplier id",
+            });
+        }
+
+        const { period, error } = parsePeriod(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const supplier = await Supplier.findById(req.params.id).select("name email isActive");
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: "Supplier not found",
+            });
+        }
+
+        const scorecards = await scorecardService.forSuppliers([supplier._id], period);
+
+        res.json({
+            success: true,
+            period,
+            scorecard: {
+                supplier,
+                ...scorecards.get(String(supplier._id)),
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Active suppliers ranked by a performance metric
+// @route   GET /api/suppliers/scorecards?from=&to=&sortBy=
+// @access  Private (Admin, Manager)
+export const getSupplierRanking = async (req, res, next) => {
+    try {
+        const { sortBy = "onTimeRate" } = req.query;
+        if (!SCORECARD_METRICS.includes(sortBy)) {
+            return res.status(400).json({
+                success: false,
+                message: `sortBy must be one of: ${SCORECARD_METRICS.join(", ")}`,
+            });
+        }
+
+        const { period, error } = parsePeriod(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error,
+            });
+        }
+
+        const suppliers = await Supplier.findActive().select("name email isActive");
+        const scorecards = await scorecardService.forSuppliers(
+            suppliers.map((supplier) => supplier._id),
+            period
+        );
+
+        const ranked = scorecardService
+            .rank(
+                suppliers.map((supplier) => ({
+                    supplier,
+                    ...scorecards.get(String(supplier._id)),
+                })),
+                sortBy
+            )
+            .map((scorecard, index) => ({ rank: index + 1, ...scorecard }));
+
+        res.json({
+            success: true,
+            count: ranked.length,
+            period,
+            sortBy,
+            scorecards: ranked,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
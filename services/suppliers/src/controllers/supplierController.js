@@ -1,5 +1,9 @@
+import mongoose from "mongoose";
 import Supplier from "../models/supplierModel.js";
+import productService from "../services/productService.js";
+import eventPublisher from "../services/eventPublisher.js";
 import logger from "../utils/logger.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
 
 // @desc    Create new supplier
 // @route   POST /api/suppliers
@@ -150,7 +154,7 @@ export const updateSupplier = async (req, res, next) => {
 };
 
 // @desc    Delete supplier (soft delete)
-// @route   DELETE /api/suppliers/:id
+// @route   DELETE /api/suppliers/:id?strict=true
 // @access  Private (Admin only)
 export const deleteSupplier = async (req, res, next) => {
     try {
@@ -163,14 +167,110 @@ export const deleteSupplier = async (req, res, next) => {
             });
         }
 
-        // Soft delete
-        await supplier.softDelete();
+        // Active products still pointing at the supplier; null when unknown
+        const dependents = await productService.getActiveProductsBySupplier(
+            supplier._id.toString(),
+            req.cookies?.accessToken
+        );
+
+        // Strict mode refuses to leave products without an active supplier
+        if (req.query.strict === "true") {
+            if (!dependents) {
+                return res.status(503).json({
+                    success: false,
+                    message: "Products service unavailable — dependent products could not be checked",
+                });
+            }
+            if (dependents.total > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Supplier still has ${dependents.total} active product(s)`,
+                    dependentProducts: dependents,
+                });
+            }
+        }
+
+        const wasActive = supplier.isActive;
+
+        // Soft delete, recording supplier.deactivated in the same transaction
+        await mongoose.connection.transaction(async (session) => {
+            await supplier.softDelete({ session });
+
+            if (wasActive) {
+                await eventPublisher.publish(
+                    EVENTS.SUPPLIER_DEACTIVATED,
+                    {
+                        supplierId: supplier._id.toString(),
+                        name: supplier.name,
+                        dependentProductCount: dependents?.total ?? null,
+                        performedBy: req.user.id,
+                        timestamp: new Date().toISOString(),
+                    },
+                    { session }
+                );
+            }
+        });
 
         logger.info(`Supplier soft-deleted: ${supplier.name} by user ${req.user.id}`);
 
         res.json({
             success: true,
             message: "Supplier deleted successfully",
+            dependentProducts: dependents,
+            ...(!dependents && {
+                warning: "Products service unavailable — dependent products were not checked",
+            }),
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// @desc    Reactivate a soft-deleted supplier
+// @route   POST /api/suppliers/:id/reactivate
+// @access  Private (Admin only)
+export const reactivateSupplier = async (req, res, next) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: "Supplier not found",
+            });
+        }
+
+        if (supplier.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: "Supplier is already active",
+            });
+        }
+
+        // Reactivate, recording supplier.activated (which unflags the
+        // supplier's products) in the same transaction
+        await mongoose.connection.transaction(async (session) => {
+            await supplier.reactivate({ session });
+
+            await eventPublisher.publish(
+                EVENTS.SUPPLIER_ACTIVATED,
+                {
+                    supplierId: supplier._id.toString(),
+                    name: supplier.name,
+                    dependentProductCount: null,
+                    performedBy: req.user.id,
+                    timestamp: new Date().toISOString(),
+                },
+                { session }
+            );
+        });
+
+        logger.info(`Supplier reactivated: ${supplier.name} by user ${req.user.id}`);
+
+        res.json({
+            success: true,
+            message: "Supplier reactivated successfully",
+            supplier,
         });
     } catch (err) {
         next(err);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Named sequences for human-readable document numbers
+const counterSchema = new mongoose.Schema({
+    _id: { type: String },
+    seq: { type: Number, default: 0 },
+});
+
+counterSchema.statics.next = async function (name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
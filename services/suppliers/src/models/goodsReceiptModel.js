@@ -0,0 +1,138 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Counter from "./counterModel.js";
+
+export const RECEIPT_STATUS = {
+    PENDING: "pending",
+    POSTED: "posted",
+    FAILED: "failed",
+};
+
+const receiptLineSchema = new mongoose.Schema(
+    {
+        lineId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        productId: {
+            type: String,
+            required: true,
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, "Quantity must be at least 1"],
+        },
+        // Ordered quantity still open on the line before this receipt
+        openQuantity: {
+            type: Number,
+            required: true,
+        },
+        // Order line cost, posted with the stock entry
+        unitCost: { type: Number, min: 0 },
+        lotNumber: { type: String, trim: true },
+        expiryDate: { type: Date },
+        serialNumbers: { type: [String], default: undefined },
+        movementId: { type: String },
+    },
+    {
+        _id: false,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+// Positive when more arrived than was still open, negative when less
+receiptLineSchema.virtual("variance").get(function () {
+    return this.quantity - this.openQuantity;
+});
+
+/**
+ * Goods received against a purchase order. The receipt is recorded first
+ * (pending), then posted to the Stock service under its idempotency key,
+ * then applied to the order. A receipt left pending (Stock service down,
+ * crash) is re-driven with the same key, so its goods are posted once.
+ */
+const goodsReceiptSchema = new mongoose.Schema(
+    {
+        receiptNumber: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        purchaseOrderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "PurchaseOrder",
+            required: true,
+        },
+        orderNumber: {
+            type: String,
+            required: true,
+        },
+        locationId: {
+            type: String,
+        },
+        lines: {
+            type: [receiptLineSchema],
+            validate: [(lines) => lines.length > 0, "A receipt needs at least one line"],
+        },
+        status: {
+            type: String,
+            enum: Object.values(RECEIPT_STATUS),
+            default: RECEIPT_STATUS.PENDING,
+        },
+        failureReason: {
+            type: String,
+        },
+        // Sent with the stock entries; the Stock service applies a key once
+        idempotencyKey: {
+            type: String,
+            required: true,
+            unique: true,
+            default: () => crypto.randomUUID(),
+        },
+        // True once the Stock service has the entries, even if the order
+        // then refused the receipt (failed with stock posted)
+        stockPosted: {
+            type: Boolean,
+            default: false,
+        },
+        postAttempts: {
+            type: Number,
+            default: 0,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Note cannot exceed 500 characters"],
+        },
+        receivedBy: {
+            type: String,
+            required: true,
+        },
+        receivedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+goodsReceiptSchema.index({ purchaseOrderId: 1, receivedAt: -1 });
+goodsReceiptSchema.index({ status: 1, updatedAt: 1 });
+
+/**
+ * Next receipt number, e.g. GR-000042.
+ */
+goodsReceiptSchema.statics.nextReceiptNumber = async function () {
+    const seq = await Counter.next("goodsReceipt");
+    return `GR-${String(seq).padStart(6, "0")}`;
+};
+
+const GoodsReceipt = mongoose.model("GoodsReceipt", goodsReceiptSchema);
+
+export default GoodsReceipt;
@@ -0,0 +1,285 @@
+import mongoose from "mongoose";
+import Counter from "./counterModel.js";
+
+export const PO_STATUS = {
+    DRAFT: "draft",
+    SENT: "sent",
+    CONFIRMED: "confirmed",
+    PARTIALLY_RECEIVED: "partially_received",
+    RECEIVED: "received",
+    CANCELLED: "cancelled",
+};
+
+// Statuses each status may move to
+export const PO_TRANSITIONS = {
+    [PO_STATUS.DRAFT]: [PO_STATUS.SENT, PO_STATUS.CANCELLED],
+    [PO_STATUS.SENT]: [PO_STATUS.CONFIRMED, PO_STATUS.CANCELLED],
+    [PO_STATUS.CONFIRMED]: [PO_STATUS.PARTIALLY_RECEIVED, PO_STATUS.RECEIVED, PO_STATUS.CANCELLED],
+    [PO_STATUS.PARTIALLY_RECEIVED]: [PO_STATUS.RECEIVED, PO_STATUS.CANCELLED],
+    [PO_STATUS.RECEIVED]: [],
+    [PO_STATUS.CANCELLED]: [],
+};
+
+// Statuses goods can be received in
+export const RECEIVABLE_STATUSES = [PO_STATUS.CONFIRMED, PO_STATUS.PARTIALLY_RECEIVED];
+
+/**
+ * Goods that cannot be received against the order as it stands.
+ * `errors` lists the offending lines, if any.
+ */
+export class ReceiptRejectedError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = "ReceiptRejectedError";
+        this.errors = errors;
+    }
+}
+
+const orderLineSchema = new mongoose.Schema({
+    productId: {
+        type: String,
+        required: [true, "Product ID is required"],
+    },
+    sku: {
+        type: String,
+        trim: true,
+    },
+    productName: {
+        type: String,
+        trim: true,
+    },
+    quantity: {
+        type: Number,
+        required: [true, "Quantity is required"],
+        min: [1, "Quantity must be at least 1"],
+    },
+    unitCost: {
+        type: Number,
+        required: [true, "Unit cost is required"],
+        min: [0, "Unit cost cannot be negative"],
+    },
+    receivedQuantity: {
+        type: Number,
+        default: 0,
+        min: [0, "Received quantity cannot be negative"],
+    },
+});
+
+const statusChangeSchema = new mongoose.Schema(
+    {
+        status: { type: String, required: true },
+        changedBy: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now },
+        note: { type: String, trim: true },
+    },
+    { _id: false }
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+    {
+        orderNumber: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        supplierId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Supplier",
+            required: [true, "Supplier ID is required"],
+        },
+        status: {
+            type: String,
+            enum: Object.values(PO_STATUS),
+            default: PO_STATUS.DRAFT,
+        },
+        lines: {
+            type: [orderLineSchema],
+            validate: [(lines) => lines.length > 0, "An order needs at least one line"],
+        },
+        expectedDeliveryDate: {
+            type: Date,
+        },
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: [1000, "Notes cannot exceed 1000 characters"],
+        },
+        statusHistory: {
+            type: [statusChangeSchema],
+            default: [],
+        },
+        sentAt: { type: Date },
+        confirmedAt: { type: Date },
+        receivedAt: { type: Date },
+        cancelledAt: { type: Date },
+        cancelReason: {
+            type: String,
+            trim: true,
+            maxlength: [500, "Cancel reason cannot exceed 500 characters"],
+        },
+        createdBy: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true },
+        toObject: { virtuals: true },
+    }
+);
+
+purchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ "lines.productId": 1 });
+
+purchaseOrderSchema.virtual("totalQuantity").get(function () {
+    return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+});
+
+purchaseOrderSchema.virtual("totalAmount").get(function () {
+    return this.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+});
+
+purchaseOrderSchema.virtual("receivedQuantity").get(function () {
+    return this.lines.reduce((sum, line) => sum + line.receivedQuantity, 0);
+});
+
+purchaseOrderSchema.methods.canTransitionTo = function (status) {
+    return PO_TRANSITIONS[this.status].includes(status);
+};
+
+/**
+ * Next order number, e.g. PO-000042.
+ */
+purchaseOrderSchema.statics.nextOrderNumber = async function () {
+    const seq = await Counter.next("purchaseOrder");
+    return `PO-${String(seq).padStart(6, "0")}`;
+};
+
+/**
+ * Atomically move an order to `status` if its current status allows it,
+ * recording who made the change. Returns null when the order does not
+ * exist or cannot make that transition.
+ */
+purchaseOrderSchema.statics.transition = function (
+    id,
+    status,
+    { changedBy, note, set = {}, session }
+) {
+    const from = Object.keys(PO_TRANSITIONS).filter((s) => PO_TRANSITIONS[s].includes(status));
+
+    return this.findOneAndUpdate(
+        { _id: id, status: { $in: from } },
+        {
+            $set: { status, ...set },
+            $push: { statusHistory: { status, changedBy, changedAt: new Date(), note } },
+        },
+        { new: true, runValidators: true, session }
+    );
+};
+
+/**
+ * Receipt lines that cannot be received against this order: lines not on
+ * the order and lines already fully received.
+ * @param {Array<{ lineId }>} received
+ * @returns {Array<{ lineId, message }>}
+ */
+purchaseOrderSchema.methods.receiptErrors = function (received) {
+    const errors = [];
+    for (const { lineId } of received) {
+        const line = this.lines.id(lineId);
+        if (!line) {
+            errors.push({ lineId, message: "Line not found on this order" });
+        } else if (line.receivedQuantity >= line.quantity) {
+            errors.push({ lineId, message: "Line is already fully received" });
+        }
+    }
+    return errors;
+};
+
+/**
+ * Add received quantities to their lines and move the order to
+ * partially received or received. The order must still be receivable
+ * and every line still open when the quantities are added; otherwise
+ * ReceiptRejectedError is thrown. Must run in a transaction (session) so
+ * a rejected receipt leaves the order untouched.
+ * @param {Array<{ lineId, quantity }>} received
+ * @returns {{ order, fulfilled: boolean }} fulfilled when this receipt
+ *          completed the order
+ * @throws {ReceiptRejectedError}
+ */
+purchaseOrderSchema.statics.applyReceipt = async function (
+    id,
+    received,
+    { changedBy, note, session }
+) {
+    const $inc = {};
+    const arrayFilters = [];
+    received.forEach(({ lineId, quantity }, i) => {
+        $inc[`lines.$[line${i}].receivedQuantity`] = quantity;
+        arrayFilters.push({ [`line${i}._id`]: lineId });
+    });
+
+    // The order as it was just before the update, to check it against
+    const previous = await this.findOneAndUpdate(
+        { _id: id, status: { $in: RECEIVABLE_STATUSES } },
+        { $inc },
+        { new: false, arrayFilters, session }
+    );
+    if (!previous) {
+        const current = await this.findById(id, "status", { session });
+        throw new ReceiptRejectedError(
+            current
+                ? `Cannot receive goods against a ${current.status} purchase order`
+                : "Purchase order not found"
+        );
+    }
+
+    const errors = previous.receiptErrors(received);
+    if (errors.length > 0) {
+        throw new ReceiptRejectedError("Receipt rejected", errors);
+    }
+
+    const order = await this.findById(id, null, { session });
+    const complete = order.lines.every((line) => line.receivedQuantity >= line.quantity);
+    const status = complete ? PO_STATUS.RECEIVED : PO_STATUS.PARTIALLY_RECEIVED;
+    if (order.status === status) {
+        return { order, fulfilled: false };
+    }
+
+    const moved = await this.transition(id, status, {
+        changedBy,
+        note,
+        set: complete ? { receivedAt: new Date() } : {},
+        session,
+    });
+    return { order: moved || order, fulfilled: Boolean(moved) && complete };
+};
+
+/**
+ * Payload shared by the order.* events.
+ */
+purchaseOrderSchema.methods.toEventData = function (performedBy) {
+    return {
+        orderId: this._id.toString(),
+        orderNumber: this.orderNumber,
+        supplierId: this.supplierId.toString(),
+        status: this.status,
+        lines: this.lines.map((line) => ({
+            lineId: line._id.toString(),
+            productId: line.productId,
+            quantity: line.quantity,
+            unitCost: line.unitCost,
+            receivedQuantity: line.receivedQuantity,
+        })),
+        totalAmount: this.totalAmount,
+        expectedDeliveryDate: this.expectedDeliveryDate?.toISOString(),
+        performedBy,
+        timestamp: new Date().toISOString(),
+    };
+};
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+export default PurchaseOrder;
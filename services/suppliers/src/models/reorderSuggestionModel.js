@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+export const SUGGESTION_STATUS = {
+    OPEN: "open",
+    CONVERTED: "converted",
+    DISMISSED: "dismissed",
+};
+
+const suggestionLineSchema = new mongoose.Schema(
+    {
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+        },
+        sku: { type: String, trim: true },
+        productName: { type: String, trim: true },
+        quantity: {
+            type: Number,
+            required: [true, "Quantity is required"],
+            min: [1, "Quantity must be at least 1"],
+        },
+        // From the supplier's catalog entry, else set by a reviewer
+        // before converting; null until known
+        unitCost: {
+            type: Number,
+            default: null,
+            min: [0, "Unit cost cannot be negative"],
+        },
+        // Stock situation reported by the latest alert
+        severity: { type: String },
+        available: { type: Number },
+        targetLevel: { type: Number },
+        suggestedAt: { type: Date, default: Date.now },
+        // Edited quantities are no longer resized by later alerts
+        edited: { type: Boolean, default: false },
+    },
+    { _id: false }
+);
+
+/**
+ * Products to reorder from one supplier, built up from stock alerts.
+ * A supplier has at most one open suggestion; converting it creates a
+ * draft purchase order.
+ */
+const reorderSuggestionSchema = new mongoose.Schema(
+    {
+        supplierId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Supplier",
+            required: [true, "Supplier ID is required"],
+        },
+        status: {
+            type: String,
+            enum: Object.values(SUGGESTION_STATUS),
+            default: SUGGESTION_STATUS.OPEN,
+        },
+        lines: {
+            type: [suggestionLineSchema],
+            default: [],
+        },
+        purchaseOrderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "PurchaseOrder",
+        },
+        convertedBy: { type: String },
+        convertedAt: { type: Date },
+        dismissedBy: { type: String },
+        dismissedAt: { type: Date },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+reorderSuggestionSchema.index(
+    { supplierId: 1 },
+    { unique: true, partialFilterExpression: { status: SUGGESTION_STATUS.OPEN } }
+);
+reorderSuggestionSchema.index({ status: 1, updatedAt: -1 });
+
+/**
+ * Add a product to the supplier's open suggestion, opening one if needed.
+ * A product already on it gets the latest stock figures, and its quantity
+ * and cost are refreshed unless a reviewer has edited it.
+ */
+reorderSuggestionSchema.statics.suggest = async function (supplierId, line, retry = true) {
+    const open = { supplierId, status: SUGGESTION_STATUS.OPEN };
+
+    const refreshed = await this.findOneAndUpdate(
+        { ...open, "lines.productId": line.productId },
+        {
+            $set: {
+                "lines.$[line].severity": line.severity,
+                "lines.$[line].available": line.available,
+                "lines.$[line].targetLevel": line.targetLevel,
+                "lines.$[line].suggestedAt": new Date(),
+                "lines.$[auto].quantity": line.quantity,
+                ...(line.unitCost !== null && { "lines.$[auto].unitCost": line.unitCost }),
+            },
+        },
+        {
+            new: true,
+            arrayFilters: [
+                { "line.productId": line.productId },
+                { "auto.productId": line.productId, "auto.edited": false },
+            ],
+        }
+    );
+    if (refreshed) {
+        return refreshed;
+    }
+
+    try {
+        return await this.findOneAndUpdate(
+            { ...open, "lines.productId": { $ne: line.productId } },
+            { $push: { lines: line } },
+            { new: true, upsert: true, runValidators: true }
+        );
+    } catch (error) {
+        // Another alert opened the suggestion or added the product first
+        if (error.code === 11000 && retry) {
+            return this.suggest(supplierId, line, false);
+        }
+        throw error;
+    }
+};
+
+const ReorderSuggestion = mongoose.model("ReorderSuggestion", reorderSuggestionSchema);
+
+export default ReorderSuggestion;
@@ -66,9 +66,14 @@ supplierSchema.index({ email: 1 });
 supplierSchema.index({ isActive: 1 });
 supplierSchema.index({ name: "text", contactPerson: "text" }); // Text search
 
-supplierSchema.methods.softDelete = async function () {
+supplierSchema.methods.softDelete = async function ({ session } = {}) {
     this.isActive = false;
-    return await this.save();
+    return await this.save({ session });
+};
+
+supplierSchema.methods.reactivate = async function ({ session } = {}) {
+    this.isActive = true;
+    return await this.save({ session });
 };
 
 supplierSchema.statics.findActive = function () {
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+export const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || "USD";
+
+/**
+ * A product as one supplier sells it: their SKU and commercial terms.
+ * A product can be sourced from many suppliers, at most one preferred.
+ */
+const supplierProductSchema = new mongoose.Schema(
+    {
+        supplierId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Supplier",
+            required: [true, "Supplier ID is required"],
+        },
+        productId: {
+            type: String,
+            required: [true, "Product ID is required"],
+        },
+        supplierSku: {
+            type: String,
+            trim: true,
+            maxlength: [50, "Supplier SKU cannot exceed 50 characters"],
+        },
+        unitCost: {
+            type: Number,
+            required: [true, "Unit cost is required"],
+            min: [0, "Unit cost cannot be negative"],
+        },
+        currency: {
+            type: String,
+            uppercase: true,
+            trim: true,
+            default: DEFAULT_CURRENCY,
+            match: [/^[A-Z]{3}$/, "Currency must be a 3-letter ISO code"],
+        },
+        leadTimeDays: {
+            type: Number,
+            default: 0,
+            min: [0, "Lead time cannot be negative"],
+        },
+        minimumOrderQuantity: {
+            type: Number,
+            default: 1,
+            min: [1, "Minimum order quantity must be at least 1"],
+        },
+        // Units per pack; orders are placed in whole packs
+        packSize: {
+            type: Number,
+            default: 1,
+            min: [1, "Pack size must be at least 1"],
+        },
+        preferred: {
+            type: Boolean,
+            default: false,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+supplierProductSchema.index({ supplierId: 1, productId: 1 }, { unique: true });
+supplierProductSchema.index({ productId: 1, unitCost: 1 });
+supplierProductSchema.index(
+    { productId: 1 },
+    { unique: true, partialFilterExpression: { preferred: true } }
+);
+
+/**
+ * Smallest quantity of at least `quantity` this supplier accepts: the
+ * minimum order quantity, rounded up to whole packs.
+ */
+supplierProductSchema.methods.orderableQuantity = function (quantity = 1) {
+    const wanted = Math.max(quantity, this.minimumOrderQuantity);
+    return Math.ceil(wanted / this.packSize) * this.packSize;
+};
+
+const SupplierProduct = mongoose.model("SupplierProduct", supplierProductSchema);
+
+export default SupplierProduct;
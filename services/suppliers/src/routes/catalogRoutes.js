@@ -0,0 +1,65 @@
+// services/suppliers/src/routes/catalogRoutes.js
+import express from "express";
+import {
+    createCatalogEntry,
+    getCatalogEntries,
+    updateCatalogEntry,
+    deleteCatalogEntry,
+    getProductSuppliers,
+    pickProductSupplier,
+} from "../controllers/catalogController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { validateRequest } from "../middlewares/validationMiddleware.js";
+import {
+    createCatalogEntrySchema,
+    updateCatalogEntrySchema,
+} from "../validations/catalogValidation.js";
+
+const router = express.Router();
+
+router.get(
+    "/products/:productId/suppliers",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getProductSuppliers
+);
+
+router.get(
+    "/products/:productId/pick",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    pickProductSupplier
+);
+
+router.post(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(createCatalogEntrySchema),
+    createCatalogEntry
+);
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getCatalogEntries
+);
+
+router.put(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(updateCatalogEntrySchema),
+    updateCatalogEntry
+);
+
+router.delete(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin"),
+    deleteCatalogEntry
+);
+
+export default router;
@@ -0,0 +1,99 @@
+// services/suppliers/src/routes/purchaseOrderRoutes.js
+import express from "express";
+import {
+    createPurchaseOrder,
+    getPurchaseOrders,
+    getPurchaseOrderById,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    confirmPurchaseOrder,
+    cancelPurchaseOrder,
+} from "../controllers/purchaseOrderController.js";
+import {
+    createGoodsReceipt,
+    getGoodsReceipts,
+} from "../controllers/goodsReceiptController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { validateRequest } from "../middlewares/validationMiddleware.js";
+import {
+    createPurchaseOrderSchema,
+    updatePurchaseOrderSchema,
+    purchaseOrderStatusSchema,
+    confirmPurchaseOrderSchema,
+    cancelPurchaseOrderSchema,
+} from "../validations/purchaseOrderValidation.js";
+import { createGoodsReceiptSchema } from "../validations/goodsReceiptValidation.js";
+
+const router = express.Router();
+
+router.post(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(createPurchaseOrderSchema),
+    createPurchaseOrder
+);
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getPurchaseOrders
+);
+
+router.get(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getPurchaseOrderById
+);
+
+router.put(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(updatePurchaseOrderSchema),
+    updatePurchaseOrder
+);
+
+router.post(
+    "/:id/send",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(purchaseOrderStatusSchema),
+    sendPurchaseOrder
+);
+
+router.post(
+    "/:id/confirm",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(confirmPurchaseOrderSchema),
+    confirmPurchaseOrder
+);
+
+router.post(
+    "/:id/cancel",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(cancelPurchaseOrderSchema),
+    cancelPurchaseOrder
+);
+
+router.post(
+    "/:id/receipts",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(createGoodsReceiptSchema),
+    createGoodsReceipt
+);
+
+router.get(
+    "/:id/receipts",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getGoodsReceipts
+);
+
+export default router;
@@ -0,0 +1,57 @@
+// services/suppliers/src/routes/reorderSuggestionRoutes.js
+import express from "express";
+import {
+    getReorderSuggestions,
+    getReorderSuggestionById,
+    updateReorderSuggestion,
+    convertReorderSuggestion,
+    dismissReorderSuggestion,
+} from "../controllers/reorderSuggestionController.js";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { validateRequest } from "../middlewares/validationMiddleware.js";
+import {
+    updateReorderSuggestionSchema,
+    convertReorderSuggestionSchema,
+} from "../validations/reorderSuggestionValidation.js";
+
+const router = express.Router();
+
+router.get(
+    "/",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getReorderSuggestions
+);
+
+router.get(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getReorderSuggestionById
+);
+
+router.put(
+    "/:id",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(updateReorderSuggestionSchema),
+    updateReorderSuggestion
+);
+
+router.post(
+    "/:id/convert",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    validateRequest(convertReorderSuggestionSchema),
+    convertReorderSuggestion
+);
+
+router.post(
+    "/:id/dismiss",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    dismissReorderSuggestion
+);
+
+export default router;
@@ -6,13 +6,23 @@ import {
     getSupplierById,
     updateSupplier,
     deleteSupplier,
+    reactivateSupplier,
     searchSuppliers,
     getActiveSuppliers,
 } from "../controllers/supplierController.js";
+import {
+    getSupplierScorecard,
+    getSupplierRanking,
+} from "../controllers/scorecardController.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 import { roleMiddleware } from "../middlewares/roleMiddleware.js";
 import { validateRequest } from "../middlewares/validationMiddleware.js";
 import { createSupplierSchema, updateSupplierSchema } from "../validations/supplierValidation.js";
+import purchaseOrderRoutes from "./purchaseOrderRoutes.js";
+import reorderSuggestionRoutes from "./reorderSuggestionRoutes.js";
+import catalogRoutes from "./catalogRoutes.js";
+import deadLetterRoutes from "./deadLetterRoutes.js";
+import outboxRoutes from "./outboxRoutes.js";
 
 const router = express.Router();
 
@@ -25,6 +35,13 @@ router.get("/health", (req, res) => {
     });
 });
 
+// Mounted before "/:id" so the paths are not taken for a supplier id
+router.use("/purchase-orders", purchaseOrderRoutes);
+router.use("/reorder-suggestions", reorderSuggestionRoutes);
+router.use("/catalog", catalogRoutes);
+router.use("/dead-letters", deadLetterRoutes);
+router.use("/outbox", outboxRoutes);
+
 router.get(
     "/search",
     authMiddleware,
@@ -32,6 +49,13 @@ router.get(
     searchSuppliers
 );
 
+router.get(
+    "/scorecards",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getSupplierRanking
+);
+
 router.get(
     "/active",
     authMiddleware,
@@ -61,6 +85,13 @@ router.get(
     getSupplierById
 );
 
+router.get(
+    "/:id/scorecard",
+    authMiddleware,
+    roleMiddleware("admin", "manager"),
+    getSupplierScorecard
+);
+
 router.put(
     "/:id",
     authMiddleware,
@@ -76,4 +107,11 @@ router.delete(
     deleteSupplier
 );
 
+router.post(
+    "/:id/reactivate",
+    authMiddleware,
+    roleMiddleware("admin"),
+    reactivateSupplier
+);
+
 export default router;
\ No newline at end of file
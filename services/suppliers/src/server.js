@@ -9,10 +9,10 @@ import { connectDB } from "./config/db.js";
 import { swaggerServe, swaggerSetup } from "./config/swagger.js";
 import supplierRoutes from "./routes/supplierRoutes.js";
 import { errorHandler } from "./middlewares/errorMiddleware.js";
+import goodsReceiptService from "./services/goodsReceiptService.js";
 
 import ConsulClient from "../shared/utils/consulClient.js";
-import RabbitMQClient from "../shared/utils/rabbitmqClient.js";
-import { EXCHANGES } from "../shared/events/eventTypes.js";
+import { rabbitMQ, setupRabbitMQ } from "./config/rabbitmq.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,16 +67,22 @@ app.get("/", (req, res) => {
 // Error Handler
 app.use(errorHandler);
 
-// RabbitMQ Setup
-const rabbitMQ = new RabbitMQClient();
-async function setupRabbitMQ() {
-    try {
-        await rabbitMQ.connect();
-        await rabbitMQ.createExchange(EXCHANGES.SUPPLIERS, "topic");
-        console.log("RabbitMQ connected");
-    } catch (error) {
-        console.error("RabbitMQ failed:", error.message);
-    }
+// Post goods receipts left pending (Stock service down, crash) again
+function startReceiptRedrive() {
+    const interval = parseInt(process.env.RECEIPT_REDRIVE_INTERVAL_MS) || 60000;
+    setInterval(async () => {
+        try {
+            const redriven = await goodsReceiptService.redrivePending();
+            if (redriven.length > 0) {
+                console.log(
+                    `Re-drove ${redriven.length} goods receipt(s): ` +
+                    redriven.map((r) => `${r.receiptNumber} ${r.outcome}`).join(", ")
+                );
+            }
+        } catch (error) {
+            console.error("Goods receipt re-drive failed:", error.message);
+        }
+    }, interval).unref();
 }
 
 // Start Server
@@ -90,6 +96,7 @@ connectDB()
 
             // Setup RabbitMQ
             await setupRabbitMQ();
+            startReceiptRedrive();
 
             // Register with Consul
             const SERVICE_NAME = process.env.SERVICE_NAME || "suppliers-service";
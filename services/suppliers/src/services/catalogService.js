@@ -0,0 +1,76 @@
+/**
+ * Catalog Service
+ * Compares what suppliers charge for a product and picks one to order from.
+ *
+ * services/suppliers/src/services/catalogService.js
+ */
+
+import SupplierProduct, { DEFAULT_CURRENCY } from "../models/supplierProductModel.js";
+
+export const PICK_STRATEGIES = {
+    PREFERRED: "preferred",
+    CHEAPEST: "cheapest",
+};
+
+const quote = (offer, quantity) => {
+    const orderQuantity = offer.orderableQuantity(quantity);
+    return {
+        offer,
+        orderQuantity,
+        totalCost: orderQuantity * offer.unitCost,
+        currency: offer.currency,
+    };
+};
+
+const catalogService = {
+    /**
+     * Active catalog entries for a product from active suppliers, with
+     * the supplier populated.
+     */
+    async activeOffers(productId) {
+        const offers = await SupplierProduct.find({ productId, isActive: true }).populate(
+            "supplierId",
+            "name email isActive"
+        );
+        return offers.filter((offer) => offer.supplierId?.isActive);
+    },
+
+    /**
+     * Offers quoted for `quantity`, cheapest total first. Minimum order
+     * quantities and pack sizes can make a lower unit cost dearer.
+     */
+    rankByCost(offers, quantity = 1) {
+        return offers
+            .map((offer) => quote(offer, quantity))
+            .sort((a, b) => a.totalCost - b.totalCost || a.offer.leadTimeDays - b.offer.leadTimeDays);
+    },
+
+    /**
+     * Pick the offer to order `quantity` from. The preferred strategy falls
+     * back to the cheapest offer when no supplier is preferred. Costs in
+     * different currencies are not compared: only offers in `currency`
+     * are, or in the default currency when the offers are mixed.
+     * @returns {{ offer, orderQuantity, totalCost, currency, strategy } | null}
+     */
+    pick(offers, { strategy = PICK_STRATEGIES.PREFERRED, quantity = 1, currency } = {}) {
+        if (strategy === PICK_STRATEGIES.PREFERRED) {
+            const preferred = offers.find(
+                (offer) => offer.preferred && (!currency || offer.currency === currency)
+            );
+            if (preferred) {
+                return { ...quote(preferred, quantity), strategy: PICK_STRATEGIES.PREFERRED };
+            }
+        }
+
+        const currencies = new Set(offers.map((offer) => offer.currency));
+        const compared = currency || (currencies.size > 1 ? DEFAULT_CURRENCY : null);
+        const candidates = compared
+            ? offers.filter((offer) => offer.currency === compared)
+            : offers;
+
+        const [cheapest] = this.rankByCost(candidates, quantity);
+        return cheapest ? { ...cheapest, strategy: PICK_STRATEGIES.CHEAPEST } : null;
+    },
+};
+
+export default catalogService;
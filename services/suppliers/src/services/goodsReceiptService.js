@@ -0,0 +1,207 @@
+/**
+ * Goods Receipt Service
+ * Posts a pending receipt to the Stock service and applies it to its
+ * purchase order. The stock entries carry the receipt's idempotency key,
+ * so a receipt can be posted again (after a timeout, a crash or an
+ * outage) without entering its goods twice. Receipts left pending are
+ * re-driven by redrivePending().
+ *
+ * services/suppliers/src/services/goodsReceiptService.js
+ */
+
+import mongoose from "mongoose";
+import PurchaseOrder, { ReceiptRejectedError } from "../models/purchaseOrderModel.js";
+import GoodsReceipt, { RECEIPT_STATUS } from "../models/goodsReceiptModel.js";
+import stockService from "./stockService.js";
+import eventPublisher from "./eventPublisher.js";
+import logger from "../utils/logger.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+// A pending receipt untouched for this long is posted again
+const RECEIPT_REDRIVE_AFTER_MS = parseInt(process.env.RECEIPT_REDRIVE_AFTER_MS) || 5 * 60 * 1000;
+const RECEIPT_REDRIVE_BATCH = 50;
+
+const markFailed = (receipt, reason, { stockPosted = false } = {}) =>
+    GoodsReceipt.findOneAndUpdate(
+        { _id: receipt._id, status: RECEIPT_STATUS.PENDING },
+        { $set: { status: RECEIPT_STATUS.FAILED, failureReason: reason, stockPosted } },
+        { new: true }
+    );
+
+const stockEntries = (receipt) =>
+    receipt.lines.map((line) => ({
+        productId: line.productId,
+        quantity: line.quantity,
+        reason: `Goods receipt ${receipt.receiptNumber}`,
+        reference: receipt.orderNumber,
+        unitCost: line.unitCost,
+        locationId: receipt.locationId,
+        lotNumber: line.lotNumber,
+        expiryDate: line.expiryDate,
+        serialNumbers: line.serialNumbers,
+    }));
+
+const goodsReceiptService = {
+    /**
+     * Post a pending receipt's lines to the Stock service, then finish it.
+     * @param {object} receipt  a pending GoodsReceipt
+     * @param {{ token?: string }} options  without a token the entries are
+     *        posted with the service key, on behalf of receipt.receivedBy
+     * @returns {{ outcome: "posted", receipt, order }
+     *         | { outcome: "pending", receipt }
+     *         | { outcome: "rejected" | "conflict", receipt, status, message, errors }}
+     *          pending when the Stock service is unavailable (the re-drive
+     *          posts it later); rejected when stock refused the entries;
+     *          conflict when stock took them but the order no longer could
+     */
+    async post(receipt, { token } = {}) {
+        await GoodsReceipt.updateOne(
+            { _id: receipt._id, status: RECEIPT_STATUS.PENDING },
+            { $inc: { postAttempts: 1 } }
+        );
+
+        let posted;
+        try {
+            posted = await stockService.postEntries(stockEntries(receipt), {
+                token,
+                idempotencyKey: receipt.idempotencyKey,
+                performedBy: receipt.receivedBy,
+            });
+        } catch (error) {
+            logger.error(
+                `[GoodsReceiptService] posting ${receipt.receiptNumber} failed: ${error.message}`
+            );
+            posted = null;
+        }
+
+        if (!posted) {
+            return { outcome: "pending", receipt };
+        }
+
+        if (!posted.ok) {
+            const failed = await markFailed(receipt, posted.message);
+            return {
+                outcome: "rejected",
+                receipt: failed || receipt,
+                status: posted.status,
+                message: posted.message,
+                errors: posted.errors,
+            };
+        }
+
+        return this.finish(receipt, posted.results);
+    },
+
+    /**
+     * Mark a receipt posted and add its quantities to the order, in one
+     * transaction. The receipt must still be pending (a concurrent post of
+     * the same receipt finishes it once) and the order must still accept
+     * every line; otherwise the receipt fails with its stock posted.
+     * @param {Array<{ index, movementId }>} results  from the Stock service
+     */
+    async finish(receipt, results) {
+        const movements = {};
+        for (const result of results) {
+            movements[`lines.${result.index}.movementId`] = result.movementId;
+        }
+
+        let finished;
+        let order;
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                finished = await GoodsReceipt.findOneAndUpdate(
+                    { _id: receipt._id, status: RECEIPT_STATUS.PENDING },
+                    { $set: { ...movements, status: RECEIPT_STATUS.POSTED, stockPosted: true } },
+                    { new: true, session }
+                );
+                if (!finished) return;
+
+                const applied = await PurchaseOrder.applyReceipt(
+                    receipt.purchaseOrderId,
+                    receipt.lines,
+                    {
+                        changedBy: receipt.receivedBy,
+                        note: `Receipt ${receipt.receiptNumber}`,
+                        session,
+                    }
+                );
+                order = applied.order;
+
+                if (applied.fulfilled) {
+                    await eventPublisher.publish(
+                        EVENTS.ORDER_FULFILLED,
+                        order.toEventData(receipt.receivedBy),
+                        { session }
+                    );
+                }
+            });
+        } catch (error) {
+            if (!(error instanceof ReceiptRejectedError)) throw error;
+
+            // Stock has the goods but the order refused them; someone has
+            // to correct the stock by hand
+            logger.error(
+                `[GoodsReceiptService] ${receipt.receiptNumber} posted to stock but rejected ` +
+                `by ${receipt.orderNumber}: ${error.message}`
+            );
+            const failed = await markFailed(receipt, error.message, { stockPosted: true });
+            return {
+                outcome: "conflict",
+                receipt: failed || receipt,
+                status: 409,
+                message: `${error.message}; the goods were entered in stock`,
+                errors: error.errors,
+            };
+        }
+
+        if (!finished) {
+            // Finished (or failed) by another post of the same receipt
+            const current = await GoodsReceipt.findById(receipt._id);
+            return current.status === RECEIPT_STATUS.POSTED
+                ? {
+                    outcome: "posted",
+                    receipt: current,
+                    order: await PurchaseOrder.findById(receipt.purchaseOrderId),
+                }
+                : {
+                    outcome: "conflict",
+                    receipt: current,
+                    status: 409,
+                    message: current.failureReason,
+                    errors: null,
+                };
+        }
+
+        return { outcome: "posted", receipt: finished, order };
+    },
+
+    /**
+     * Post again receipts left pending for RECEIPT_REDRIVE_AFTER_MS, oldest
+     * first. Each attempt counts in postAttempts and pushes the receipt
+     * back by the same delay.
+     * @returns {Array<{ receiptNumber, outcome }>}
+     */
+    async redrivePending() {
+        const stuck = await GoodsReceipt.find({
+            status: RECEIPT_STATUS.PENDING,
+            updatedAt: { $lt: new Date(Date.now() - RECEIPT_REDRIVE_AFTER_MS) },
+        })
+            .sort({ updatedAt: 1 })
+            .limit(RECEIPT_REDRIVE_BATCH);
+
+        const redriven = [];
+        for (const receipt of stuck) {
+            try {
+                const { outcome } = await this.post(receipt);
+                redriven.push({ receiptNumber: receipt.receiptNumber, outcome });
+            } catch (error) {
+                logger.error(
+                    `[GoodsReceiptService] re-drive of ${receipt.receiptNumber} failed: ${error.message}`
+                );
+            }
+        }
+        return redriven;
+    },
+};
+
+export default goodsReceiptService;
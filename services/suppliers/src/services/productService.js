@@ -0,0 +1,103 @@
+/**
+ * Product Service
+ * Product lookups against the Products service through a circuit breaker,
+ * so a downstream failure never crashes the Suppliers service.
+ *
+ * services/suppliers/src/services/productService.js
+ */
+
+import logger from "../utils/logger.js";
+import { getCircuitBreaker } from "../../shared/utils/circuitBreaker.js";
+import { getServiceHeaders } from "../middlewares/serviceAuth.js";
+
+const PRODUCTS_SERVICE_URL =
+    process.env.PRODUCTS_SERVICE_URL || "http://localhost:5002";
+
+// Largest page the Products service returns
+const PRODUCTS_PAGE_SIZE = 100;
+
+// Defined once at module level so the breaker state persists across requests
+export const productsBreaker = getCircuitBreaker(
+    "products-service",
+    {
+        timeout: 10000,
+        errorThresholdPercentage: 50,
+        resetTimeout: 30000,
+        volumeThreshold: 3,
+    },
+    // Fallback: callers treat the products as unverified
+    () => ({ _isFallback: true })
+);
+
+const productService = {
+    /**
+     * Fetch many products in one call. Without a user token the request is
+     * made with this service's own credentials (e.g. from event consumers).
+     * @returns {{ products: Map<string, object>, missing: string[] } | null}
+     *          null when the Products service is unavailable
+     */
+    async getProductsByIds(productIds, token) {
+        const ids = [...new Set(productIds)];
+        const data = await productsBreaker.execute({
+            method: "POST",
+            url: `${PRODUCTS_SERVICE_URL}/api/products/batch`,
+            data: { ids },
+            headers: token ? { Cookie: `accessToken=${token}` } : getServiceHeaders(),
+            timeout: 10000,
+        });
+
+        if (!data || data._isFallback) {
+            logger.warn(`[ProductService] products unavailable for ${ids.length} product(s)`);
+            return null;
+        }
+
+        const products = new Map(data.data.map((product) => [String(product._id), product]));
+        return {
+            products,
+            missing: ids.filter((id) => !products.has(id)),
+        };
+    },
+
+    /**
+     * Active products whose supplierId is this supplier, every page of them.
+     * @returns {{ total: number, products: object[] } | null} null when the
+     *          Products service is unavailable (on any page)
+     */
+    async getActiveProductsBySupplier(supplierId, token) {
+        const products = [];
+        let total = 0;
+        // Sorted by _id so pages neither overlap nor skip products
+        for (let page = 1; page === 1 || products.length < total; page++) {
+            const data = await productsBreaker.execute({
+                method: "GET",
+                url: `${PRODUCTS_SERVICE_URL}/api/products`,
+                params: {
+                    supplierId,
+                    isActive: true,
+                    fields: "name,sku",
+                    sort: "_id",
+                    page,
+                    limit: PRODUCTS_PAGE_SIZE,
+                },
+                headers: {
+                    Cookie: `accessToken=${token}`,
+                },
+                timeout: 10000,
+            });
+
+            if (!data || data._isFallback) {
+                logger.warn(`[ProductService] products of supplier ${supplierId} unavailable`);
+                return null;
+            }
+
+            total = data.pagination.total;
+            products.push(...data.data);
+            // Products removed while paging would otherwise loop forever
+            if (data.data.length === 0) break;
+        }
+
+        return { total, products };
+    },
+};
+
+export default productService;
@@ -0,0 +1,100 @@
+/**
+ * Reorder Service
+ * Turns stock.low / stock.critical / stock.out alerts into reorder
+ * suggestions, one open suggestion per supplier, sized to bring each
+ * product back up to its target level. The supplier and unit cost come
+ * from the catalog, else the product's own supplier at no known cost.
+ *
+ * services/suppliers/src/services/reorderService.js
+ */
+
+import mongoose from "mongoose";
+import ReorderSuggestion from "../models/reorderSuggestionModel.js";
+import Supplier from "../models/supplierModel.js";
+import productService from "./productService.js";
+import catalogService from "./catalogService.js";
+import logger from "../utils/logger.js";
+import { EVENTS } from "../../shared/events/eventTypes.js";
+
+// Target stock as a multiple of the product's reorder point
+const REORDER_TARGET_FACTOR = parseFloat(process.env.REORDER_TARGET_FACTOR) || 2;
+
+const REORDER_EVENTS = [EVENTS.STOCK_LOW, EVENTS.STOCK_CRITICAL, EVENTS.STOCK_OUT];
+
+/**
+ * Level to restock to and the quantity that gets there.
+ */
+export function reorderQuantity(available, reorderPoint) {
+    const targetLevel = Math.max(Math.ceil(reorderPoint * REORDER_TARGET_FACTOR), 1);
+    return {
+        targetLevel,
+        quantity: Math.max(targetLevel - Math.max(available, 0), 1),
+    };
+}
+
+// The supplier set on the product itself, for products not in the catalog
+const productSupplier = (product) =>
+    mongoose.isValidObjectId(product.supplierId) ? Supplier.findById(product.supplierId) : null;
+
+const reorderService = {
+    /**
+     * Handle one event from the stock exchange. Other stock events are
+     * ignored. Throws when the Products service is unavailable so the
+     * message is redelivered.
+     * @returns {object|null} the updated suggestion, if any
+     */
+    async handleStockEvent(event) {
+        if (!REORDER_EVENTS.includes(event.eventType)) {
+            return null;
+        }
+
+        const { productId, severity } = event.data;
+        const available = event.data.available ?? event.data.currentQuantity ?? 0;
+
+        const lookup = await productService.getProductsByIds([productId]);
+        if (!lookup) {
+            throw new Error(`Products service unavailable; ${event.eventType} for ${productId} not handled`);
+        }
+
+        const product = lookup.products.get(productId);
+        if (!product || !product.isActive) {
+            logger.warn(`[ReorderService] ${event.eventType} for unknown or inactive product ${productId}`);
+            return null;
+        }
+
+        const reorderPoint =
+            event.data.reorderPoint ?? product.reorderPoint ?? product.lowStockThreshold ?? 0;
+        const { targetLevel, quantity } = reorderQuantity(available, reorderPoint);
+
+        const offers = await catalogService.activeOffers(productId);
+        const choice = catalogService.pick(offers, { quantity });
+
+        const supplier = choice ? choice.offer.supplierId : await productSupplier(product);
+        if (!supplier || !supplier.isActive) {
+            logger.warn(
+                `[ReorderService] No active supplier for product ${product.sku}; no reorder suggested`
+            );
+            return null;
+        }
+
+        const orderQuantity = choice?.orderQuantity ?? quantity;
+        const suggestion = await ReorderSuggestion.suggest(supplier._id, {
+            productId,
+            sku: product.sku,
+            productName: product.name,
+            quantity: orderQuantity,
+            unitCost: choice?.offer.unitCost ?? null,
+            severity,
+            available,
+            targetLevel,
+        });
+
+        logger.info(
+            `[ReorderService] Suggested ${orderQuantity} x ${product.sku} from ${supplier.name} ` +
+            `(${severity}, available ${available}, target ${targetLevel})`
+        );
+        return suggestion;
+    },
+};
+
+export default reorderService;
@@ -0,0 +1,183 @@
+/**
+ * Scorecard Service
+ * Supplier performance from purchase-order and receipt history: on-time
+ * delivery, fill rate, lead time and price variance against the catalog.
+ *
+ * services/suppliers/src/services/scorecardService.js
+ */
+
+import PurchaseOrder, { PO_STATUS } from "../models/purchaseOrderModel.js";
+import GoodsReceipt, { RECEIPT_STATUS } from "../models/goodsReceiptModel.js";
+import SupplierProduct from "../models/supplierProductModel.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SCORECARD_METRICS = ["onTimeRate", "fillRate", "averageLeadTimeDays", "priceVariance"];
+
+// Metrics where a lower value ranks higher
+const LOWER_IS_BETTER = ["averageLeadTimeDays", "priceVariance"];
+
+const round = (value, places) =>
+    value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+// End of the (UTC) day a date falls on: deliveries are due by then
+const endOfDay = (date) => new Date((Math.floor(date.getTime() / DAY_MS) + 1) * DAY_MS);
+
+/**
+ * When the order's posted receipts first covered every line, or null.
+ * Orders received before receipts were recorded fall back on receivedAt.
+ * @param {Array} receipts  the order's posted receipts, oldest first
+ */
+function fullyReceivedAt(order, receipts) {
+    const open = new Map(order.lines.map((line) => [String(line._id), line.quantity]));
+    for (const receipt of receipts) {
+        for (const line of receipt.lines) {
+            const key = String(line.lineId);
+            if (open.has(key)) open.set(key, open.get(key) - line.quantity);
+        }
+        if ([...open.values()].every((quantity) => quantity <= 0)) {
+            return receipt.receivedAt;
+        }
+    }
+    return order.status === PO_STATUS.RECEIVED ? order.receivedAt || null : null;
+}
+
+/**
+ * An order is due once it is fully received or its expected delivery
+ * day has ended; only due orders count towards delivery metrics.
+ */
+const isDue = (order, now) =>
+    Boolean(order.fullyReceivedAt) ||
+    (Boolean(order.expectedDeliveryDate) && endOfDay(order.expectedDeliveryDate) <= now);
+
+/**
+ * Scorecard of one supplier's orders.
+ * @param {Array} orders     sent, non-cancelled orders of the supplier,
+ *                           with their fullyReceivedAt
+ * @param {Map} listPrices   productId -> catalog unit cost
+ */
+function score(orders, listPrices, now) {
+    const due = orders.filter((order) => isDue(order, now));
+    const received = orders.filter((order) => order.fullyReceivedAt);
+
+    // Late when the last goods arrived after the expected day, or are
+    // still missing past it; a partial receipt on time is not enough
+    const dated = due.filter((order) => order.expectedDeliveryDate);
+    const onTime = dated.filter(
+        (order) =>
+            order.fullyReceivedAt &&
+            order.fullyReceivedAt < endOfDay(order.expectedDeliveryDate)
+    );
+
+    // Over-deliveries do not make up for short lines
+    let ordered = 0;
+    let filled = 0;
+    for (const line of due.flatMap((order) => order.lines)) {
+        ordered += line.quantity;
+        filled += Math.min(line.receivedQuantity, line.quantity);
+    }
+
+    const leadTimes = received
+        .filter((order) => order.sentAt)
+        .map((order) => (order.fullyReceivedAt - order.sentAt) / DAY_MS);
+
+    // Paid versus catalog price, weighted by quantity
+    let paid = 0;
+    let listed = 0;
+    for (const line of orders.flatMap((order) => order.lines)) {
+        const listPrice = listPrices.get(line.productId);
+        if (listPrice) {
+            paid += line.quantity * line.unitCost;
+            listed += line.quantity * listPrice;
+        }
+    }
+
+    return {
+        orders: {
+            placed: orders.length,
+            due: due.length,
+            received: received.length,
+        },
+        onTimeRate: round(ratio(onTime.length, dated.length), 3),
+        fillRate: round(ratio(filled, ordered), 3),
+        averageLeadTimeDays: round(
+            ratio(leadTimes.reduce((sum, days) => sum + days, 0), leadTimes.length),
+            1
+        ),
+        priceVariance: round(listed > 0 ? (paid - listed) / listed : null, 3),
+    };
+}
+
+const scorecardService = {
+    /**
+     * Scorecards of the given suppliers over orders sent between from and to.
+     * @returns {Map<string, object>} supplierId -> scorecard
+     */
+    async forSuppliers(supplierIds, { from, to } = {}) {
+        const filter = {
+            supplierId: { $in: supplierIds },
+            status: { $nin: [PO_STATUS.DRAFT, PO_STATUS.CANCELLED] },
+            sentAt: { $ne: null },
+        };
+        if (from) filter.sentAt.$gte = from;
+        if (to) filter.sentAt.$lte = to;
+
+        const orders = await PurchaseOrder.find(filter)
+            .select("supplierId status lines expectedDeliveryDate sentAt receivedAt")
+            .lean();
+
+        const receipts = await GoodsReceipt.find({
+            purchaseOrderId: { $in: orders.map((order) => order._id) },
+            status: RECEIPT_STATUS.POSTED,
+        })
+            .select("purchaseOrderId lines.lineId lines.quantity receivedAt")
+            .sort({ receivedAt: 1 })
+            .lean();
+        const receiptsByOrder = new Map();
+        for (const receipt of receipts) {
+            const key = String(receipt.purchaseOrderId);
+            receiptsByOrder.set(key, [...(receiptsByOrder.get(key) || []), receipt]);
+        }
+        for (const order of orders) {
+            order.fullyReceivedAt = fullyReceivedAt(order, receiptsByOrder.get(String(order._id)) || []);
+        }
+
+        const catalog = await SupplierProduct.find({
+            supplierId: { $in: supplierIds },
+            productId: { $in: [...new Set(orders.flatMap((o) => o.lines.map((l) => l.productId)))] },
+        })
+            .select("supplierId productId unitCost")
+            .lean();
+
+        const now = new Date();
+        return new Map(
+            supplierIds.map((id) => {
+                const key = String(id);
+                const listPrices = new Map(
+                    catalog
+                        .filter((entry) => String(entry.supplierId) === key)
+                        .map((entry) => [entry.productId, entry.unitCost])
+                );
+                const supplierOrders = orders.filter((order) => String(order.supplierId) === key);
+                return [key, score(supplierOrders, listPrices, now)];
+            })
+        );
+    },
+
+    /**
+     * Order scorecards best first by one metric; suppliers without data
+     * for it come last.
+     */
+    rank(scorecards, metric) {
+        const direction = LOWER_IS_BETTER.includes(metric) ? 1 : -1;
+        return [...scorecards].sort((a, b) => {
+            if (a[metric] === null) return b[metric] === null ? 0 : 1;
+            if (b[metric] === null) return -1;
+            return direction * (a[metric] - b[metric]);
+        });
+    },
+};
+
+export default scorecardService;
@@ -0,0 +1,77 @@
+/**
+ * Stock Service
+ * Posts stock movements to the Stock service through a circuit breaker.
+ *
+ * services/suppliers/src/services/stockService.js
+ */
+
+import logger from "../utils/logger.js";
+import { getCircuitBreaker } from "../../shared/utils/circuitBreaker.js";
+import { getServiceHeaders } from "../middlewares/serviceAuth.js";
+
+const STOCK_SERVICE_URL = process.env.STOCK_SERVICE_URL || "http://localhost:5003";
+
+// A rejected request (4xx) is an answer, not an outage: it must neither
+// trip the breaker nor be replaced by the fallback
+const isClientError = (error) =>
+    error.response?.status >= 400 && error.response.status < 500;
+
+export const stockBreaker = getCircuitBreaker(
+    "stock-service",
+    {
+        timeout: 30000,
+        errorThresholdPercentage: 50,
+        resetTimeout: 30000,
+        volumeThreshold: 3,
+        errorFilter: isClientError,
+    },
+    () => ({ _isFallback: true })
+);
+
+const stockService = {
+    /**
+     * Record stock entries in one all-or-nothing bulk request.
+     * The Stock service applies an idempotencyKey once: posting again with
+     * the same key (after a timeout, or from the re-drive) returns the
+     * original results. Without a user token the call is made with the
+     * service key, on behalf of performedBy.
+     * @returns {{ ok: true, results } | { ok: false, status, message, errors } | null}
+     *          null when the Stock service is unavailable
+     */
+    async postEntries(entries, { token, idempotencyKey, performedBy } = {}) {
+        let data;
+        try {
+            data = await stockBreaker.execute({
+                method: "POST",
+                url: `${STOCK_SERVICE_URL}/api/stock/movements/bulk`,
+                data: {
+                    mode: "atomic",
+                    lines: entries.map((entry) => ({ type: "entry", ...entry })),
+                    ...(!token && performedBy && { performedBy }),
+                },
+                headers: {
+                    ...(token ? { Cookie: `accessToken=${token}` } : getServiceHeaders()),
+                    ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+                },
+                timeout: 30000,
+            });
+        } catch (error) {
+            if (!isClientError(error)) throw error;
+            return {
+                ok: false,
+                status: error.response.status,
+                message: error.response.data?.message || "Stock entries rejected",
+                errors: error.response.data?.errors || null,
+            };
+        }
+
+        if (!data || data._isFallback) {
+            logger.error(`[StockService] could not post ${entries.length} stock entries`);
+            return null;
+        }
+
+        return { ok: true, results: data.results };
+    },
+};
+
+export default stockService;
@@ -0,0 +1,77 @@
+import Joi from "joi";
+
+const objectId = (label) =>
+    Joi.string()
+        .hex()
+        .length(24)
+        .messages({
+            "string.empty": `${label} is required`,
+            "string.hex": `${label} must be a valid ID`,
+            "string.length": `${label} must be a valid ID`,
+            "any.required": `${label} is required`,
+        });
+
+const terms = {
+    supplierSku: Joi.string()
+        .max(50)
+        .allow("")
+        .messages({
+            "string.max": "Supplier SKU cannot exceed 50 characters",
+        }),
+
+    unitCost: Joi.number()
+        .min(0)
+        .precision(4)
+        .messages({
+            "number.base": "Unit cost must be a number",
+            "number.min": "Unit cost cannot be negative",
+            "any.required": "Unit cost is required",
+        }),
+
+    currency: Joi.string()
+        .uppercase()
+        .pattern(/^[A-Z]{3}$/)
+        .messages({
+            "string.pattern.base": "Currency must be a 3-letter ISO code",
+        }),
+
+    leadTimeDays: Joi.number()
+        .integer()
+        .min(0)
+        .max(365)
+        .messages({
+            "number.base": "Lead time must be a number of days",
+            "number.min": "Lead time cannot be negative",
+            "number.max": "Lead time cannot exceed 365 days",
+        }),
+
+    minimumOrderQuantity: Joi.number()
+        .integer()
+        .min(1)
+        .messages({
+            "number.base": "Minimum order quantity must be a number",
+            "number.min": "Minimum order quantity must be at least 1",
+        }),
+
+    packSize: Joi.number()
+        .integer()
+        .min(1)
+        .messages({
+            "number.base": "Pack size must be a number",
+            "number.min": "Pack size must be at least 1",
+        }),
+
+    preferred: Joi.boolean(),
+};
+
+export const createCatalogEntrySchema = Joi.object({
+    supplierId: objectId("Supplier ID").required(),
+    productId: objectId("Product ID").required(),
+    ...terms,
+    unitCost: terms.unitCost.required(),
+});
+
+export const updateCatalogEntrySchema = Joi.object({
+    ...terms,
+    isActive: Joi.boolean(),
+}).min(1);
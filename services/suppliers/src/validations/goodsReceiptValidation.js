@@ -0,0 +1,73 @@
+import Joi from "joi";
+
+export const createGoodsReceiptSchema = Joi.object({
+    locationId: Joi.string()
+        .hex()
+        .length(24)
+        .messages({
+            "string.hex": "Location ID must be a valid ID",
+            "string.length": "Location ID must be a valid ID",
+        }),
+
+    lines: Joi.array()
+        .items(
+            Joi.object({
+                lineId: Joi.string()
+                    .hex()
+                    .length(24)
+                    .required()
+                    .messages({
+                        "string.hex": "Line ID must be a valid ID",
+                        "string.length": "Line ID must be a valid ID",
+                        "any.required": "Line ID is required",
+                    }),
+
+                quantity: Joi.number()
+                    .integer()
+                    .min(1)
+                    .required()
+                    .messages({
+                        "number.base": "Quantity must be a number",
+                        "number.min": "Quantity must be at least 1",
+                        "any.required": "Quantity is required",
+                    }),
+
+                lotNumber: Joi.string()
+                    .trim()
+                    .max(50)
+                    .messages({
+                        "string.max": "Lot number cannot exceed 50 characters",
+                    }),
+
+                expiryDate: Joi.date()
+                    .iso()
+                    .messages({
+                        "date.base": "Expiry date must be a valid date",
+                        "date.format": "Expiry date must be an ISO 8601 date",
+                    }),
+
+                serialNumbers: Joi.array()
+                    .items(Joi.string().trim().max(100))
+                    .unique()
+                    .max(1000)
+                    .messages({
+                        "array.unique": "Serial numbers must not repeat",
+                        "array.max": "Cannot receive more than 1000 serial numbers at once",
+                    }),
+            }).with("expiryDate", "lotNumber")
+        )
+        .min(1)
+        .unique("lineId")
+        .required()
+        .messages({
+            "array.min": "A receipt needs at least one line",
+            "array.unique": "Each order line can only appear once per receipt",
+            "any.required": "Receipt lines are required",
+        }),
+
+    note: Joi.string()
+        .max(500)
+        .messages({
+            "string.max": "Note cannot exceed 500 characters",
+        }),
+});
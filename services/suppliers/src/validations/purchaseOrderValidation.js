@@ -0,0 +1,100 @@
+import Joi from "joi";
+
+const objectId = (label) =>
+    Joi.string()
+        .hex()
+        .length(24)
+        .messages({
+            "string.empty": `${label} is required`,
+            "string.hex": `${label} must be a valid ID`,
+            "string.length": `${label} must be a valid ID`,
+            "any.required": `${label} is required`,
+        });
+
+const orderLineSchema = Joi.object({
+    productId: objectId("Product ID").required(),
+
+    quantity: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages({
+            "number.base": "Quantity must be a number",
+            "number.min": "Quantity must be at least 1",
+            "any.required": "Quantity is required",
+        }),
+
+    unitCost: Joi.number()
+        .min(0)
+        .precision(4)
+        .required()
+        .messages({
+            "number.base": "Unit cost must be a number",
+            "number.min": "Unit cost cannot be negative",
+            "any.required": "Unit cost is required",
+        }),
+});
+
+const orderLines = Joi.array()
+    .items(orderLineSchema)
+    .min(1)
+    .max(200)
+    .unique("productId")
+    .messages({
+        "array.min": "An order needs at least one line",
+        "array.max": "An order cannot have more than 200 lines",
+        "array.unique": "Each product can only appear once per order",
+    });
+
+const expectedDeliveryDate = Joi.date()
+    .iso()
+    .messages({
+        "date.base": "Expected delivery date must be a valid date",
+        "date.format": "Expected delivery date must be an ISO 8601 date",
+    });
+
+const notes = Joi.string()
+    .max(1000)
+    .allow("")
+    .messages({
+        "string.max": "Notes cannot exceed 1000 characters",
+    });
+
+const note = Joi.string()
+    .max(500)
+    .messages({
+        "string.max": "Note cannot exceed 500 characters",
+    });
+
+export const createPurchaseOrderSchema = Joi.object({
+    supplierId: objectId("Supplier ID").required(),
+    lines: orderLines.required().messages({ "any.required": "Order lines are required" }),
+    expectedDeliveryDate,
+    notes,
+});
+
+export const updatePurchaseOrderSchema = Joi.object({
+    lines: orderLines,
+    expectedDeliveryDate,
+    notes,
+}).min(1);
+
+export const purchaseOrderStatusSchema = Joi.object({
+    note,
+});
+
+export const confirmPurchaseOrderSchema = Joi.object({
+    expectedDeliveryDate,
+    note,
+});
+
+export const cancelPurchaseOrderSchema = Joi.object({
+    reason: Joi.string()
+        .max(500)
+        .required()
+        .messages({
+            "string.empty": "Cancel reason is required",
+            "string.max": "Cancel reason cannot exceed 500 characters",
+            "any.required": "Cancel reason is required",
+        }),
+});
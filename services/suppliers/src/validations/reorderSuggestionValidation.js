@@ -0,0 +1,59 @@
+import Joi from "joi";
+
+const suggestionLineSchema = Joi.object({
+    productId: Joi.string()
+        .required()
+        .messages({
+            "string.empty": "Product ID is required",
+            "any.required": "Product ID is required",
+        }),
+
+    quantity: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages({
+            "number.base": "Quantity must be a number",
+            "number.min": "Quantity must be at least 1",
+            "any.required": "Quantity is required",
+        }),
+
+    unitCost: Joi.number()
+        .min(0)
+        .precision(4)
+        .allow(null)
+        .messages({
+            "number.base": "Unit cost must be a number",
+            "number.min": "Unit cost cannot be negative",
+        }),
+});
+
+// Lines left out are removed from the suggestion
+export const updateReorderSuggestionSchema = Joi.object({
+    lines: Joi.array()
+        .items(suggestionLineSchema)
+        .min(1)
+        .unique("productId")
+        .required()
+        .messages({
+            "array.min": "A suggestion needs at least one line; dismiss it instead",
+            "array.unique": "Each product can only appear once",
+            "any.required": "Lines are required",
+        }),
+});
+
+export const convertReorderSuggestionSchema = Joi.object({
+    expectedDeliveryDate: Joi.date()
+        .iso()
+        .messages({
+            "date.base": "Expected delivery date must be a valid date",
+            "date.format": "Expected delivery date must be an ISO 8601 date",
+        }),
+
+    notes: Joi.string()
+        .max(1000)
+        .allow("")
+        .messages({
+            "string.max": "Notes cannot exceed 1000 characters",
+        }),
+});
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { assertReplicaSet } from "../../shared/utils/replicaSet.js";
 import dotenv from "dotenv";
 import logger from "../utils/logger.js";
 import path from "path";
@@ -12,6 +13,8 @@ export const connectDB = async () => {
     try {
         if (!mongoUri) throw new Error("MONGO_URI not found in .env");
         await mongoose.connect(mongoUri);
+        // Writes run in transactions, which need a replica set
+        await assertReplicaSet();
         logger.info("MongoDB connected successfully");
     } catch (err) {
         logger.error(`MongoDB connection error: ${err.message}`);
@@ -0,0 +1,43 @@
+import RabbitMQClient from "../../shared/utils/rabbitmqClient.js";
+import { OutboxRelay } from "../../shared/utils/outbox.js";
+import eventStoreService from "../services/eventStoreService.js";
+import { EXCHANGES, QUEUES, ROUTING_KEYS } from "../../shared/events/eventTypes.js";
+
+// One connection per process, shared by the server and event publishers
+export const rabbitMQ = new RabbitMQClient();
+// Publishes user events recorded with addToOutbox()
+export const outboxRelay = new OutboxRelay(rabbitMQ);
+
+// Queues this service consumes
+export const CONSUMER_QUEUES = [QUEUES.USERS_AUDIT_EVENTS];
+
+export const setupRabbitMQ = async () => {
+    try {
+        await rabbitMQ.connect();
+
+        const [first, ...others] = Object.values(EXCHANGES);
+        for (const exchange of Object.values(EXCHANGES)) {
+            await rabbitMQ.createExchange(exchange, "topic");
+        }
+
+        // Every event on every exchange is archived in the event store.
+        // Events are stored as published (validate: false) so the store
+        // keeps old payload versions and events without a schema.
+        await rabbitMQ.subscribe(
+            first,
+            QUEUES.USERS_AUDIT_EVENTS,
+            ROUTING_KEYS.ALL_EVENTS,
+            (event, msg) => eventStoreService.archive(event, msg),
+            { validate: false }
+        );
+        for (const exchange of others) {
+            await rabbitMQ.bindQueue(QUEUES.USERS_AUDIT_EVENTS, exchange, ROUTING_KEYS.ALL_EVENTS);
+        }
+        console.log("RabbitMQ connected");
+    } catch (error) {
+        console.error("RabbitMQ failed:", error.message);
+    }
+
+    // Runs even if the broker is down; recorded events go out once it is back
+    outboxRelay.start();
+};
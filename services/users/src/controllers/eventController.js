@@ -0,0 +1,47 @@
+import eventStoreService from "../services/eventStoreService.js";
+import { parsePaginationParams, createPaginationResponse } from "../utils/pagination.js";
+
+//  Query the event store (admin only)
+//  GET /api/users/events?eventType=&aggregateId=&from=&to=&page=&limit=
+export const getEvents = async (req, res, next) => {
+    try {
+        const { eventType, aggregateId, from, to } = req.query;
+
+        for (const [name, value] of Object.entries({ from, to })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid '${name}' date: ${value}`
+                });
+            }
+        }
+
+        const { page, limit, skip } = parsePaginationParams(req.query);
+        const { events, total } = await eventStoreService.query(
+            { eventType, aggregateId, from, to },
+            { skip, limit }
+        );
+
+        res.json(createPaginationResponse(events, total, page, limit));
+    } catch (err) {
+        next(err);
+    }
+};
+
+//  Get a single stored event by its eventId (admin only)
+export const getEventById = async (req, res, next) => {
+    try {
+        const event = await eventStoreService.findByEventId(req.params.eventId);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        res.json({ success: true, event });
+    } catch (err) {
+        next(err);
+    }
+};
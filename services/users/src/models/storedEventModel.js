@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// Every event published on the exchanges, as it was published.
+// Append-only: events are inserted once (by eventId) and never changed.
+const storedEventSchema = new mongoose.Schema(
+    {
+        eventId: { type: String, required: true, unique: true },
+        eventType: { type: String, required: true },
+        // Entity the event is about: order, product, supplier or user id
+        aggregateId: { type: String, default: null },
+        exchange: { type: String, required: true },
+        routingKey: { type: String, required: true },
+        source: { type: String },
+        version: { type: String },
+        occurredAt: { type: Date, required: true },
+        // The full event: { eventType, eventId, timestamp, data, metadata }
+        event: { type: mongoose.Schema.Types.Mixed, required: true },
+    },
+    {
+        collection: "events",
+        timestamps: { createdAt: "storedAt", updatedAt: false },
+    }
+);
+
+storedEventSchema.index({ occurredAt: 1 });
+storedEventSchema.index({ eventType: 1, occurredAt: 1 });
+storedEventSchema.index({ aggregateId: 1, occurredAt: 1 });
+
+const refuseChange = function () {
+    throw new Error("The event store is append-only");
+};
+storedEventSchema.pre(
+    ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+    refuseChange
+);
+
+// Id of the entity an event is about
+storedEventSchema.statics.aggregateIdOf = function (event) {
+    const data = event.data || {};
+    return data.orderId || data.productId || data.supplierId || data.userId || null;
+};
+
+// Store an event once; a redelivered event is ignored
+storedEventSchema.statics.append = async function (event, { exchange, routingKey }) {
+    try {
+        await this.create({
+            eventId: event.eventId,
+            eventType: event.eventType,
+            aggregateId: this.aggregateIdOf(event),
+            exchange,
+            routingKey,
+            source: event.metadata?.source,
+            version: event.metadata?.version,
+            occurredAt: event.timestamp,
+            event,
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+const StoredEvent = mongoose.model("StoredEvent", storedEventSchema);
+
+export default StoredEvent;
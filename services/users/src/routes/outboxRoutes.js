@@ -0,0 +1,23 @@
+import express from "express";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { createOutboxHandlers } from "../../shared/utils/outboxAdmin.js";
+
+const router = express.Router();
+const outbox = createOutboxHandlers();
+
+router.get(
+    "/failed",
+    authMiddleware,
+    roleMiddleware("admin"),
+    outbox.listFailed
+);
+
+router.post(
+    "/redrive",
+    authMiddleware,
+    roleMiddleware("admin"),
+    outbox.redrive
+);
+
+export default router;
@@ -13,6 +13,8 @@ import {
     updateUser,
     deleteUser
 } from "../controllers/userController.js";
+import { getEvents, getEventById } from "../controllers/eventController.js";
+import outboxRoutes from "./outboxRoutes.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 import { roleMiddleware } from "../middlewares/roleMiddleware.js";
 import { loginLimiter } from "../middlewares/rateLimit.js";
@@ -84,6 +86,23 @@ router.get("/verify-token", authMiddleware, (req, res) => {
 router.post("/logout", authMiddleware, logout);
 router.get("/profile", authMiddleware, getProfile);
 
+// ==================== EVENT STORE (Admin) ====================
+router.get("/events",
+    authMiddleware,
+    roleMiddleware("admin"),
+    getEvents
+);
+
+router.get("/events/:eventId",
+    authMiddleware,
+    roleMiddleware("admin"),
+    getEventById
+);
+
+// ==================== OUTBOX (Admin) ====================
+// Mounted before "/:id" so the paths are not taken for a user id
+router.use("/outbox", outboxRoutes);
+
 // ==================== ADMIN ONLY ROUTES - USER MANAGEMENT ====================
 router.get("/",
     authMiddleware,
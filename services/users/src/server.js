@@ -6,10 +6,9 @@ import cookieParser from "cookie-parser";
 import { connectDB, swaggerServe, swaggerSetup } from "./config/index.js";
 import userRoutes from "./routes/userRoutes.js";
 import { errorHandler } from "./middlewares/errorMiddleware.js";
+import { rabbitMQ, setupRabbitMQ } from "./config/rabbitmq.js";
 
 import ConsulClient from "../shared/utils/consulClient.js";
-import RabbitMQClient from "../shared/utils/rabbitmqClient.js";
-import { EXCHANGES } from "../shared/events/eventTypes.js";
 
 dotenv.config();
 
@@ -49,18 +48,6 @@ app.get("/", (req, res) => {
 // ERROR HANDLER
 app.use(errorHandler);
 
-// RabbitMQ Setup
-const rabbitMQ = new RabbitMQClient();
-async function setupRabbitMQ() {
-    try {
-        await rabbitMQ.connect();
-        await rabbitMQ.createExchange(EXCHANGES.USERS, "topic");
-        console.log("RabbitMQ connected");
-    } catch (error) {
-        console.error("RabbitMQ failed:", error.message);
-    }
-}
-
 // SERVER STARTUP
 const PORT = process.env.PORT || 5001;
 connectDB()
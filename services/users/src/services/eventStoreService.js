@@ -0,0 +1,58 @@
+import StoredEvent from "../models/storedEventModel.js";
+
+const eventStoreService = {
+    //  Archive an event received from an exchange. Retried and replayed
+    //  messages come back through the default exchange; their headers
+    //  keep where the event was first published.
+    async archive(event, msg) {
+        const headers = msg.properties.headers || {};
+        return StoredEvent.append(event, {
+            exchange: headers["x-original-exchange"] ?? msg.fields.exchange,
+            routingKey: headers["x-original-routing-key"] ?? msg.fields.routingKey,
+        });
+    },
+
+    //  Build a query from { eventType, aggregateId, from, to }
+    //  eventType accepts a comma-separated list; from/to bound occurredAt
+    buildFilter({ eventType, aggregateId, from, to } = {}) {
+        const filter = {};
+
+        if (eventType) {
+            const types = eventType.split(",").map((type) => type.trim()).filter(Boolean);
+            filter.eventType = types.length === 1 ? types[0] : { $in: types };
+        }
+        if (aggregateId) {
+            filter.aggregateId = aggregateId;
+        }
+        if (from || to) {
+            filter.occurredAt = {};
+            if (from) filter.occurredAt.$gte = new Date(from);
+            if (to) filter.occurredAt.$lte = new Date(to);
+        }
+
+        return filter;
+    },
+
+    //  Events matching the filters, oldest first
+    async query(filters, { skip = 0, limit = 20 } = {}) {
+        const filter = this.buildFilter(filters);
+
+        const [events, total] = await Promise.all([
+            StoredEvent.find(filter)
+                .sort({ occurredAt: 1, _id: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            StoredEvent.countDocuments(filter),
+        ]);
+
+        return { events, total };
+    },
+
+    //  Single event by its eventId
+    async findByEventId(eventId) {
+        return StoredEvent.findOne({ eventId }).lean();
+    },
+};
+
+export default eventStoreService;
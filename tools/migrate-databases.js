@@ -13,17 +13,17 @@ const SOURCE_DB = process.env.SOURCE_DB || 'mongodb://localhost:27017/stock-mana
 
 // Target databases (one per service)
 const TARGET_DBS = {
-    users: 'mongodb://localhost:27017/users_db',
-    products: 'mongodb://localhost:27017/products_db',
-    stock: 'mongodb://localhost:27017/stock_db',
-    suppliers: 'mongodb://localhost:27017/suppliers_db'
+    users: 'mongodb://localhost:27017/users_db?replicaSet=rs0',
+    products: 'mongodb://localhost:27017/products_db?replicaSet=rs0',
+    stock: 'mongodb://localhost:27017/stock_db?replicaSet=rs0',
+    suppliers: 'mongodb://localhost:27017/suppliers_db?replicaSet=rs0'
 };
 
 // Collection mappings
 const COLLECTION_MAPPING = {
     users: ['users', 'sessions'],
     products: ['products'],
-    stock: ['stocklevels', 'stockmovements'],
+    stock: ['locations', 'stocklevels', 'stockmovements'],
     suppliers: ['suppliers']
 };
 
@@ -151,6 +151,46 @@ async function verifyMigration() {
     console.log('\n═══════════════════════════════════════════════');
 }
 
+async function migrateStockLocations() {
+    console.log('\n📍 Moving stock to the default location...');
+
+    const stockConn = await mongoose.createConnection(TARGET_DBS.stock).asPromise();
+    const locations = stockConn.db.collection('locations');
+
+    // Same default location the stock service creates on first use
+    let location = await locations.findOne({ isDefault: true, isActive: true });
+    if (!location) {
+        const now = new Date();
+        location = await locations.findOneAndUpdate(
+            { code: (process.env.DEFAULT_LOCATION_CODE || 'MAIN').toUpperCase() },
+            {
+                $set: { isDefault: true, isActive: true, updatedAt: now },
+                $setOnInsert: { name: 'Main Warehouse', createdBy: 'system', createdAt: now }
+            },
+            { upsert: true, returnDocument: 'after' }
+        );
+    }
+    console.log(`   ✅ Default location: ${location.code} (${location._id})`);
+
+    // Stock recorded before locations existed belongs to the default one
+    for (const collectionName of ['stocklevels', 'stockmovements']) {
+        const result = await stockConn.db.collection(collectionName).updateMany(
+            { $or: [{ locationId: { $exists: false } }, { locationId: null }] },
+            { $set: { locationId: location._id } }
+        );
+        console.log(`   ✅ ${collectionName}: ${result.modifiedCount} documents assigned`);
+    }
+
+    // The old one-level-per-product index blocks a second location
+    const indexes = await stockConn.db.collection('stocklevels').indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'productId_1' && index.unique)) {
+        await stockConn.db.collection('stocklevels').dropIndex('productId_1');
+        console.log('   ✅ Dropped unique index stocklevels.productId_1');
+    }
+
+    await stockConn.close();
+}
+
 async function createIndexes() {
     console.log('\n🔧 Creating indexes...');
 
@@ -173,8 +213,10 @@ async function createIndexes() {
 
     // Stock database indexes
     const stockConn = await mongoose.createConnection(TARGET_DBS.stock).asPromise();
-    await stockConn.db.collection('stocklevels').createIndex({ productId: 1 }, { unique: true });
+    await stockConn.db.collection('locations').createIndex({ code: 1 }, { unique: true });
+    await stockConn.db.collection('stocklevels').createIndex({ productId: 1, locationId: 1 }, { unique: true });
     await stockConn.db.collection('stockmovements').createIndex({ productId: 1, timestamp: -1 });
+    await stockConn.db.collection('stockmovements').createIndex({ locationId: 1, timestamp: -1 });
     await stockConn.db.collection('stockmovements').createIndex({ type: 1 });
     await stockConn.close();
     console.log('   ✅ Stock indexes created');
@@ -224,10 +266,13 @@ async function migrate() {
 
         await sourceConn.close();
 
-        // Step 5: Create indexes
+        // Step 5: Assign existing stock to the default location
+        await migrateStockLocations();
+
+        // Step 6: Create indexes
         await createIndexes();
 
-        // Step 6: Verify migration
+        // Step 7: Verify migration
         await verifyMigration();
 
         console.log('\n✅ Migration completed successfully!');
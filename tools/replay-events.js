@@ -0,0 +1,155 @@
+/**
+ * Event Replay Tool
+ * Replays archived events from the event store (users service) into a
+ * queue, oldest first, e.g. to bootstrap a new consumer or rebuild a read
+ * model. Events are sent straight to the queue, so no other consumer sees
+ * them again. The queue must already exist (start its consumer once).
+ * Consumers that dedupe skip events they have already processed.
+ *
+ * Run: node tools/replay-events.js --queue <name> [options]
+ *
+ * Options:
+ *   --queue      Target queue (required)
+ *   --type       Event type, or a comma-separated list (e.g. product.created,product.updated)
+ *   --aggregate  Aggregate id (order, product, supplier or user id)
+ *   --from       Only events that occurred at or after this date (ISO 8601)
+ *   --to         Only events that occurred at or before this date (ISO 8601)
+ *   --limit      Replay at most this many events
+ *   --dry-run    Count the matching events without sending them
+ */
+
+import mongoose from 'mongoose';
+import amqp from 'amqplib';
+import { parseArgs } from 'node:util';
+
+const EVENT_STORE_URI = process.env.EVENT_STORE_URI || 'mongodb://localhost:27017/users_db?replicaSet=rs0';
+const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
+
+const { values: options } = parseArgs({
+    options: {
+        queue: { type: 'string' },
+        type: { type: 'string' },
+        aggregate: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        limit: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false }
+    }
+});
+
+function parseDate(name) {
+    if (!options[name]) return null;
+
+    const date = new Date(options[name]);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid --${name} date: ${options[name]}`);
+    }
+    return date;
+}
+
+function parseLimit() {
+    if (!options.limit) return 0;
+
+    const limit = Number(options.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error(`Invalid --limit: ${options.limit} (expected a positive whole number)`);
+    }
+    return limit;
+}
+
+function buildFilter() {
+    const filter = {};
+
+    if (options.type) {
+        filter.eventType = { $in: options.type.split(',').map(type => type.trim()) };
+    }
+    if (options.aggregate) {
+        filter.aggregateId = options.aggregate;
+    }
+
+    const from = parseDate('from');
+    const to = parseDate('to');
+    if (from || to) {
+        filter.occurredAt = {};
+        if (from) filter.occurredAt.$gte = from;
+        if (to) filter.occurredAt.$lte = to;
+    }
+
+    return filter;
+}
+
+async function replay() {
+    console.log('╔════════════════════════════════════════════════════╗');
+    console.log('║              Event Replay Tool                     ║');
+    console.log('╚════════════════════════════════════════════════════╝');
+
+    if (!options.queue) {
+        console.error('\n❌ --queue is required');
+        process.exit(1);
+    }
+
+    let connection;
+    try {
+        const filter = buildFilter();
+        const limit = parseLimit();
+
+        await mongoose.connect(EVENT_STORE_URI);
+        const events = mongoose.connection.db.collection('events');
+
+        const total = await events.countDocuments(filter, limit ? { limit } : {});
+        console.log(`\n🔍 ${total} event(s) match ${JSON.stringify(filter)}`);
+
+        if (options['dry-run'] || total === 0) {
+            console.log(options['dry-run'] ? '\n🧪 Dry run, nothing sent' : '\n✅ Nothing to replay');
+            return;
+        }
+
+        connection = await amqp.connect(RABBITMQ_URL);
+        const channel = await connection.createConfirmChannel();
+        // Fails (and stops the replay) if the queue does not exist
+        await channel.checkQueue(options.queue);
+
+        console.log(`\n📤 Replaying into ${options.queue}...`);
+        const replayedAt = new Date().toISOString();
+        const cursor = events.find(filter).sort({ occurredAt: 1, _id: 1 }).limit(limit);
+
+        let sent = 0;
+        for await (const stored of cursor) {
+            channel.sendToQueue(
+                options.queue,
+                Buffer.from(JSON.stringify(stored.event)),
+                {
+                    persistent: true,
+                    contentType: 'application/json',
+                    messageId: stored.eventId,
+                    timestamp: Date.now(),
+                    // Sent through the default exchange; keep where the event
+                    // was first published, as retries and dead letters do
+                    headers: {
+                        'x-replayed-at': replayedAt,
+                        'x-original-exchange': stored.exchange,
+                        'x-original-routing-key': stored.routingKey
+                    }
+                }
+            );
+            sent++;
+
+            // Wait for the broker now and then rather than buffer everything
+            if (sent % 500 === 0) {
+                await channel.waitForConfirms();
+                console.log(`   ${sent}/${total}`);
+            }
+        }
+        await channel.waitForConfirms();
+
+        console.log(`\n✅ Replayed ${sent} event(s) into ${options.queue}`);
+    } catch (error) {
+        console.error('\n❌ Replay failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) await connection.close();
+        await mongoose.disconnect();
+    }
+}
+
+replay();